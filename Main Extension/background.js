@@ -3,6 +3,42 @@ import { CONFIG, debugLog } from './config.production.js';
 import { forceRefreshSubscription, validateSubscription } from './lib/subscription-validator.js';
 import * as GoogleCalendarAPI from './lib/google-calendar-api.js';
 import { isAuthGranted, getAuthToken } from './lib/google-auth.js';
+import './lib/migrations.js';
+import './lib/storageAdapters.js';
+import './lib/storage.js';
+import './lib/workload.js';
+
+// Storage schema migrations. Run on every worker start, not just on install/update:
+// data restored or synced from an older install never triggers onInstalled here.
+// runMigrations is a no-op once the stored schema version is current.
+let storageMigration = null;
+
+async function migrateStorage() {
+  try {
+    const result = await self.cc3Migrations.runMigrations();
+    if (result.applied.length > 0) {
+      debugLog(`Storage schema migrated from v${result.from} to v${result.to}:`, result.applied);
+      await self.cc3Storage.recordAuditEntries([
+        self.cc3Storage.buildAuditEntry({
+          source: 'migration',
+          kind: 'note',
+          path: 'cf.schemaVersion',
+          oldValue: result.from,
+          newValue: result.to,
+        }),
+      ]);
+    }
+  } catch (error) {
+    console.error('Storage schema migration failed:', error);
+  }
+}
+
+function ensureStorageMigrated() {
+  if (!storageMigration) storageMigration = migrateStorage();
+  return storageMigration;
+}
+
+ensureStorageMigrated();
 
 // Service Worker Installation
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -16,6 +52,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     });
   }
 
+  // Upgrade stored data written by older versions before anything reads it
+  await ensureStorageMigrated();
+
   // Register with Web Push API for push notifications
   // This allows server to send instant updates when subscription changes
   if (CONFIG.VAPID_PUBLIC_KEY) {
@@ -46,6 +85,18 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   });
 
   debugLog('3-day subscription check alarm set for:', next4AM.toLocaleString());
+
+  // Daily pruning of stale per-event colors, an hour after the subscription check
+  chrome.alarms.create('event-colors-cleanup', {
+    when: next4AM.getTime() + 60 * 60 * 1000,
+    periodInMinutes: 1440,
+  });
+
+  // Daily restore point of all settings, before the cleanup can remove anything
+  chrome.alarms.create('settings-backup', {
+    when: next4AM.getTime() + 30 * 60 * 1000,
+    periodInMinutes: 1440,
+  });
 });
 
 // Service Worker Startup
@@ -119,6 +170,19 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     } catch (error) {
       console.error('Periodic validation failed:', error);
     }
+  } else if (alarm.name === 'event-colors-cleanup') {
+    try {
+      await cleanupStaleEventColors();
+    } catch (error) {
+      console.error('Event color cleanup failed:', error);
+    }
+  } else if (alarm.name === 'settings-backup') {
+    try {
+      const backup = await self.cc3Storage.createBackup('scheduled', { skipIfUnchanged: true });
+      debugLog(backup ? `Restore point ${backup.id} created` : 'Nothing changed since the last restore point');
+    } catch (error) {
+      console.error('Scheduled backup failed:', error);
+    }
   }
 });
 
@@ -138,6 +202,32 @@ chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) =>
   return true; // Required for async sendResponse
 });
 
+// Widest GET_BUSY_HOURS span: the year view plus the spill-over days of its month grids
+const BUSY_HOURS_MAX_DAYS = 400;
+
+/**
+ * Calendar API time range of a GET_BUSY_HOURS request
+ * @param {string} from - First day, YYYY-MM-DD
+ * @param {string} to - Last day, YYYY-MM-DD (inclusive)
+ * @returns {{timeMin: string, timeMax: string}|null} null if a date is malformed or the span is reversed or too wide
+ */
+function busyHoursRange(from, to) {
+  const parse = (ymd) => {
+    if (typeof ymd !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(ymd)) return null;
+    const [y, m, d] = ymd.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    // Rejects dates that roll over, like 2026-02-30
+    return date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+  };
+  const start = parse(from);
+  const end = parse(to);
+  if (!start || !end || end < start) return null;
+
+  const endExclusive = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+  if (Math.round((endExclusive - start) / 86400000) > BUSY_HOURS_MAX_DAYS) return null;
+  return { timeMin: start.toISOString(), timeMax: endExclusive.toISOString() };
+}
+
 // Listen for messages from popup/content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   debugLog('Internal message received:', message.type);
@@ -185,6 +275,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       GoogleCalendarAPI.getCalendarColorFromEventId(message.eventId).then(sendResponse);
       return true;
 
+    case 'GET_BUSY_HOURS': {
+      // Busy hours per day for the workload heatmap: { from, to } as YYYY-MM-DD, inclusive
+      const { from, to } = message;
+      const range = busyHoursRange(from, to);
+      if (!range) {
+        sendResponse({ success: false, error: 'invalid_range' });
+        return true;
+      }
+      GoogleCalendarAPI.fetchEventsInRange(range.timeMin, range.timeMax)
+        .then((events) => {
+          if (!events) {
+            sendResponse({ success: false, error: 'no_access' });
+            return;
+          }
+          sendResponse({ success: true, hours: self.cc3Workload.busyHoursFromApiEvents(events, { from, to }) });
+        })
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
     case 'CHECK_CALENDAR_OAUTH':
       // Check if Google Calendar API OAuth permission is granted
       isAuthGranted().then(granted => {
@@ -214,6 +324,83 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
 
+    case 'EVENT_COLORS_COMMIT':
+      // All cf.eventColors writes from every tab are serialized through this worker's queue
+      self.cc3Storage
+        .runEventColorOps(message.ops || [], message.options)
+        .then((results) => sendResponse({ success: true, results }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'HISTORY_RECORD':
+      // Undo history shares the event color write queue so entries land in commit order
+      self.cc3Storage
+        .queueHistoryEntry(message.entry)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'AUDIT_RECORD':
+      // Audit entries from every page share the write queue so none are lost to concurrent appends
+      self.cc3Storage
+        .recordAuditEntries(message.entries || [])
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'HISTORY_STEP':
+      // Undo/redo from any tab - apply once, then let every calendar tab re-render
+      self.cc3Storage
+        .stepHistoryNow(message.direction, message.account ?? null)
+        .then(async (result) => {
+          if (result.success) {
+            await broadcastToCalendarTabs({
+              type: 'HISTORY_APPLIED',
+              direction: message.direction,
+              account: message.account ?? null,
+              ...result,
+            });
+          }
+          sendResponse({ ...result, broadcast: result.success });
+        })
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'PROFILE_SWITCH':
+      // Apply once here, then let every calendar tab re-render with the profile's settings
+      self.cc3Storage
+        .applyProfileNow(message.profileId, message.account ?? null)
+        .then(async (result) => {
+          if (result.success) {
+            await broadcastToCalendarTabs({
+              type: 'PROFILE_APPLIED',
+              profileId: message.profileId,
+              account: message.account ?? null,
+            });
+          }
+          sendResponse({ ...result, broadcast: result.success });
+        })
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'BACKUP_RESTORE':
+      // Restore once here, then reload every calendar tab like an import does
+      self.cc3Storage
+        .restoreBackupNow(message.backupId)
+        .then(async (result) => {
+          if (result.success) await broadcastToCalendarTabs({ type: 'SETTINGS_IMPORTED' });
+          sendResponse({ ...result, broadcast: result.success });
+        })
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'RUN_EVENT_COLORS_CLEANUP':
+      // Manual run from the popup - ignores the enabled flag
+      cleanupStaleEventColors({ manual: true })
+        .then((report) => sendResponse({ success: true, report }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'SETTINGS_RESET_COMPLETE':
       // Handle complete reset - clear background caches
       debugLog('Settings reset complete - clearing background caches');
@@ -479,25 +666,46 @@ async function completePendingPremiumAction(action) {
 
   debugLog('Completing pending action:', action.type);
 
-  // Get current settings from sync storage
-  const { settings = {} } = await chrome.storage.sync.get('settings');
+  // Settings are sharded across storage keys - always go through cc3Storage
+  const settings = await self.cc3Storage.getSettings();
 
   switch (action.type) {
     case 'dayColoring.specificDate': {
       // Complete date-specific color save
-      const { dateKey, color, opacity, label } = action.data;
-      if (dateKey && color) {
-        const dateColors = settings.dateColors || {};
-        const dateOpacity = settings.dateOpacity || {};
-        const dateColorLabels = settings.dateColorLabels || {};
+      const { dateKey, color, opacity, label, range, fill } = action.data;
+      if (dateKey && color && range) {
+        const dateRanges = [
+          ...(settings.dateRanges || []),
+          {
+            id: `range_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            startDate: dateKey,
+            endDate: range.endDate,
+            color,
+            opacity,
+            label,
+            weekdaysOnly: range.weekdaysOnly,
+            fill: fill || 'solid',
+          },
+        ];
+        await self.cc3Storage.setSettings({ dateRanges }, { source: 'webApp' });
+        debugLog('Completed: Date range saved from', dateKey, 'to', range.endDate);
+      } else if (dateKey && color) {
+        const dateColors = { ...settings.dateColors, [dateKey]: color };
+        const dateOpacity = { ...settings.dateOpacity };
+        const dateColorLabels = { ...settings.dateColorLabels };
+        const dateFills = { ...settings.dateFills };
+        // Colored by hand now, so a milestone or import that added this date no longer owns it
+        const dateColorOwners = { ...settings.dateColorOwners };
 
-        dateColors[dateKey] = color;
         if (opacity !== undefined) dateOpacity[dateKey] = opacity;
         if (label) dateColorLabels[dateKey] = label;
+        if (fill && fill !== 'solid') dateFills[dateKey] = fill;
+        delete dateColorOwners[dateKey];
 
-        await chrome.storage.sync.set({
-          settings: { ...settings, dateColors, dateOpacity, dateColorLabels },
-        });
+        await self.cc3Storage.setSettings(
+          { dateColors, dateOpacity, dateColorLabels, dateFills, dateColorOwners },
+          { source: 'webApp' },
+        );
         debugLog('Completed: Date-specific color saved for', dateKey);
       }
       break;
@@ -507,18 +715,12 @@ async function completePendingPremiumAction(action) {
       // Complete date-specific time block save
       const { dateKey, block } = action.data;
       if (dateKey && block) {
-        const timeBlocking = settings.timeBlocking || {};
-        const dateSpecificSchedule = timeBlocking.dateSpecificSchedule || {};
+        const dateSpecificSchedule = { ...settings.timeBlocking?.dateSpecificSchedule };
         const existingBlocks = dateSpecificSchedule[dateKey] || [];
 
         dateSpecificSchedule[dateKey] = [...existingBlocks, block];
 
-        await chrome.storage.sync.set({
-          settings: {
-            ...settings,
-            timeBlocking: { ...timeBlocking, dateSpecificSchedule },
-          },
-        });
+        await self.cc3Storage.setSettings({ timeBlocking: { dateSpecificSchedule } }, { source: 'webApp' });
         debugLog('Completed: Date-specific time block saved for', dateKey);
       }
       break;
@@ -528,19 +730,10 @@ async function completePendingPremiumAction(action) {
       // Complete calendar default color save
       const { calendarId, colorType, color } = action.data;
       if (calendarId && colorType && color) {
-        const eventColoring = settings.eventColoring || {};
-        const calendarColors = eventColoring.calendarColors || {};
-        const calendarEntry = calendarColors[calendarId] || {};
-
-        calendarEntry[colorType] = color;
-        calendarColors[calendarId] = calendarEntry;
+        const calendarColors = { ...settings.eventColoring?.calendarColors };
+        calendarColors[calendarId] = { ...calendarColors[calendarId], [colorType]: color };
 
-        await chrome.storage.sync.set({
-          settings: {
-            ...settings,
-            eventColoring: { ...eventColoring, calendarColors },
-          },
-        });
+        await self.cc3Storage.setSettings({ eventColoring: { calendarColors } }, { source: 'webApp' });
         debugLog('Completed: Calendar color saved for', calendarId, colorType);
       }
       break;
@@ -550,17 +743,9 @@ async function completePendingPremiumAction(action) {
       // Complete template save
       const { template } = action.data;
       if (template && template.id) {
-        const eventColoring = settings.eventColoring || {};
-        const templates = eventColoring.templates || {};
-
-        templates[template.id] = template;
+        const templates = { ...settings.eventColoring?.templates, [template.id]: template };
 
-        await chrome.storage.sync.set({
-          settings: {
-            ...settings,
-            eventColoring: { ...eventColoring, templates },
-          },
-        });
+        await self.cc3Storage.setSettings({ eventColoring: { templates } }, { source: 'webApp' });
         debugLog('Completed: Template saved', template.id);
       }
       break;
@@ -571,15 +756,10 @@ async function completePendingPremiumAction(action) {
       // This needs to be saved to local storage (cf.eventColors)
       const { eventId, colors } = action.data;
       if (eventId && colors) {
-        const { 'cf.eventColors': eventColors = {} } = await chrome.storage.local.get('cf.eventColors');
-
-        eventColors[eventId] = {
-          ...eventColors[eventId],
-          ...colors,
-          appliedAt: Date.now(),
-        };
-
-        await chrome.storage.local.set({ 'cf.eventColors': eventColors });
+        await self.cc3Storage.commitEventColorOps(
+          [{ type: 'patch', eventId, patch: { ...colors, appliedAt: Date.now() } }],
+          { source: 'webApp' },
+        );
         debugLog('Completed: Advanced event colors saved for', eventId);
       }
       break;
@@ -593,6 +773,121 @@ async function completePendingPremiumAction(action) {
   await broadcastToCalendarTabs({ type: 'PENDING_ACTION_COMPLETED', actionType: action.type });
 }
 
+// ========================================
+// STALE EVENT COLOR CLEANUP
+// ========================================
+
+// Cap Calendar API lookups per run so a large backlog is worked off over several days
+const CLEANUP_MAX_API_CHECKS = 50;
+const CLEANUP_REPORT_MAX_ITEMS = 100;
+
+/**
+ * Remove cf.eventColors entries that can no longer match an event on the calendar:
+ * recurring instances older than the retention window and, optionally, events the
+ * Calendar API reports as deleted. Runs over the base colors and every Google account
+ * that keeps its own, each with that account's cleanup settings.
+ * @param {Object} options - { manual: boolean }
+ * @returns {Promise<Object|null>} Cleanup report, or null if cleanup is disabled everywhere
+ */
+async function cleanupStaleEventColors({ manual = false } = {}) {
+  const accounts = await self.cc3Storage.listEventColorAccounts();
+  let apiBudget = CLEANUP_MAX_API_CHECKS;
+  let scanned = 0;
+  let verified = 0;
+  let removed = [];
+  let ran = false;
+
+  for (const account of accounts) {
+    const result = await cleanupAccountEventColors(account, { manual, apiBudget });
+    if (!result) continue;
+    ran = true;
+    apiBudget -= result.verified;
+    scanned += result.scanned;
+    verified += result.verified;
+    removed = removed.concat(result.removed);
+  }
+
+  if (!ran) {
+    debugLog('Event color cleanup disabled, skipping');
+    return null;
+  }
+
+  const report = {
+    ranAt: Date.now(),
+    manual,
+    scanned,
+    verified,
+    removedCount: removed.length,
+    removed: removed
+      .slice(0, CLEANUP_REPORT_MAX_ITEMS)
+      .map(({ eventId, reason, instanceDate, account }) => ({ eventId, reason, instanceDate, account })),
+  };
+  await self.cc3Storage.saveEventColorCleanupReport(report);
+
+  debugLog(`Event color cleanup: removed ${report.removedCount} of ${report.scanned} entries`);
+  if (report.removedCount > 0) {
+    await broadcastToCalendarTabs({ type: 'EVENT_COLORS_CLEANED', removedCount: report.removedCount });
+  }
+  return report;
+}
+
+// Clean one account's event colors (null = base). Returns null when that account has cleanup off.
+async function cleanupAccountEventColors(account, { manual, apiBudget }) {
+  const settings = await self.cc3Storage.getSettings(account);
+  const config = settings.eventColoring?.cleanup || {};
+  if (!config.enabled && !manual) return null;
+
+  const eventColors = await self.cc3Storage.getAllEventColors(account);
+  const cutoff = Date.now() - (config.retentionDays || 180) * 24 * 60 * 60 * 1000;
+  const stale = [];
+  const toVerify = [];
+
+  for (const [eventId, record] of Object.entries(eventColors)) {
+    const instanceDate = self.cc3Storage.getEventInstanceDate(eventId);
+    if (instanceDate && instanceDate.getTime() < cutoff) {
+      stale.push({ eventId, record, reason: 'expired', instanceDate: instanceDate.toISOString() });
+    } else {
+      toVerify.push({ eventId, record, instanceDate });
+    }
+  }
+
+  let verified = 0;
+  if (config.verifyWithCalendarApi && toVerify.length > 0 && apiBudget > 0) {
+    // A 404 can also mean a calendar we can't see, so only trust it for the user's own calendars
+    const knownCalendars = await GoogleCalendarAPI.fetchCalendarColors();
+
+    for (const { eventId, record, instanceDate } of toVerify.slice(0, apiBudget)) {
+      const parsed = self.cc3Storage.parseEventId(eventId);
+      const calendarId = GoogleCalendarAPI.expandCalendarId(parsed.emailSuffix);
+      const apiEventId = parsed.decodedId + (parsed.instanceDate || '');
+      const { status } = await GoogleCalendarAPI.getEventStatus(calendarId, apiEventId);
+      if (status === 'unknown') break; // No token or API trouble - try again next run
+      verified++;
+
+      const deleted =
+        status === 'cancelled' || status === 'gone' || (status === 'not_found' && calendarId in knownCalendars);
+      if (deleted) {
+        stale.push({ eventId, record, reason: 'deleted', instanceDate: instanceDate?.toISOString() || null });
+      }
+    }
+  }
+
+  if (stale.length > 0) {
+    // Guard on appliedAt so a color re-applied while we were scanning survives
+    const results = await self.cc3Storage.commitEventColorOps(
+      stale.map(({ eventId, record }) => ({ type: 'remove', eventId, ifAppliedAt: record?.appliedAt })),
+      { recordHistory: false, account, source: 'cleanup' },
+    );
+    results.forEach((wasRemoved, i) => (stale[i].removed = wasRemoved));
+  }
+
+  return {
+    scanned: Object.keys(eventColors).length,
+    verified,
+    removed: stale.filter((item) => item.removed).map((item) => ({ ...item, account })),
+  };
+}
+
 // Global flag to prevent concurrent push subscription attempts
 let subscribing = false;
 
@@ -0,0 +1,59 @@
+// Works out which Google account this calendar tab belongs to, so settings and event colors
+// can be kept per account (calendar.google.com/calendar/u/0, /u/1, ...)
+(function () {
+  const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+
+  // The account button can render after the calendar grid; wait for it rather than guess
+  const DETECT_ATTEMPTS = 10;
+  const DETECT_RETRY_MS = 300;
+
+  // The Google bar's account button: aria-label="Google Account: Jane Doe (jane@example.com)"
+  function emailFromAccountButton() {
+    const buttons = document.querySelectorAll('a[href*="accounts.google.com"][aria-label*="@"]');
+    for (const button of buttons) {
+      const match = EMAIL_RE.exec(button.getAttribute('aria-label') || '');
+      if (match) return match[0];
+    }
+    return null;
+  }
+
+  /**
+   * Detect the account of this tab from its /u/N index and the account button's email
+   * @returns {{id: string, index: number, email: string|null}} id is null until the email is known
+   */
+  function detect() {
+    const index = window.cc3Storage.accountIndexFromUrl(location.href);
+    const email = emailFromAccountButton()?.toLowerCase() || null;
+    return { id: email, index, email };
+  }
+
+  /**
+   * Detect the account, retrying until the account button shows up. If it never does, reuse the
+   * account last seen at this /u/N index (or a per-index id for an index not seen before)
+   * @returns {Promise<{id: string, index: number, email: string|null}>}
+   */
+  async function detectWithRetry() {
+    for (let attempt = 1; attempt <= DETECT_ATTEMPTS; attempt++) {
+      const account = detect();
+      if (account.id) return account;
+      if (attempt < DETECT_ATTEMPTS) await new Promise((resolve) => setTimeout(resolve, DETECT_RETRY_MS));
+    }
+
+    const index = window.cc3Storage.accountIndexFromUrl(location.href);
+    const known = (await window.cc3Storage.listAccounts()).find((account) => account.index === index);
+    return { id: known ? known.id : `u${index}`, index, email: null };
+  }
+
+  /**
+   * Detect the account, remember it and point cc3Storage at its namespace
+   * @returns {Promise<{id: string, index: number, email: string|null}>}
+   */
+  async function init() {
+    const account = await detectWithRetry();
+    const namespace = await window.cc3Storage.registerAccount(account);
+    window.cc3Storage.setActiveAccount(namespace);
+    return account;
+  }
+
+  window.cc3Account = { detect, init };
+})();
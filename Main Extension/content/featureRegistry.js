@@ -79,8 +79,9 @@
       this.initialized = true;
     },
 
-    // Update settings for a feature
-    updateFeature: function (featureId, newSettings) {
+    // Update settings for a feature. diff ({ changes } from cc3Storage.onSettingsChanged) is
+    // optional; features with applySettingsDiff use it to update only what changed.
+    updateFeature: function (featureId, newSettings, diff = null) {
       const feature = this.features.get(featureId);
       if (!feature) {
         console.warn('Feature not found:', featureId);
@@ -112,7 +113,9 @@
         } else {
           settingsToPass = newSettings;
         }
-        if (typeof feature.onSettingsChanged === 'function') {
+        if (diff && typeof feature.applySettingsDiff === 'function') {
+          feature.applySettingsDiff(settingsToPass, diff);
+        } else if (typeof feature.onSettingsChanged === 'function') {
           feature.onSettingsChanged(settingsToPass);
         } else if (typeof feature.init === 'function') {
           // Fallback: re-initialize if no onSettingsChanged method
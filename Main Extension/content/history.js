@@ -0,0 +1,127 @@
+// Undo/redo for coloring changes on the calendar page: Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and an undo toast
+(function () {
+  const TOAST_DURATION_MS = 6000;
+
+  const state = {
+    history: { canUndo: false, canRedo: false, undoId: null },
+    toastTimer: null,
+    stepping: false, // history changes caused by our own undo/redo shouldn't offer another undo toast
+    mounted: false,
+  };
+
+  function isEditableTarget(target) {
+    if (!(target instanceof HTMLElement)) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
+  function hideToast() {
+    clearTimeout(state.toastTimer);
+    document.querySelector('.cc3-history-toast')?.remove();
+  }
+
+  function showToast(message, actionLabel, action) {
+    hideToast();
+
+    const toast = document.createElement('div');
+    toast.className = 'cc3-history-toast';
+    toast.setAttribute('role', 'status');
+    toast.appendChild(document.createTextNode(message));
+
+    if (actionLabel) {
+      const button = document.createElement('button');
+      button.textContent = actionLabel;
+      button.addEventListener('click', () => {
+        hideToast();
+        action();
+      });
+      toast.appendChild(button);
+    }
+
+    document.documentElement.appendChild(toast);
+    state.toastTimer = setTimeout(hideToast, TOAST_DURATION_MS);
+  }
+
+  // Re-render whatever the undone/redone entry touched
+  async function refreshFeatures(touches = {}) {
+    if (touches.eventColors) {
+      window.dispatchEvent(new CustomEvent('cf-event-color-changed'));
+    }
+    if (touches.settings && window.cc3Features?.updateFeature) {
+      const settings = await window.cc3Storage.getSettings();
+      window.cc3Features.updateFeature('dayColoring', settings);
+      window.cc3Features.updateFeature('timeBlocking', settings.timeBlocking || {});
+    }
+  }
+
+  async function step(direction) {
+    state.stepping = true;
+    let result;
+    try {
+      result = direction === 'undo' ? await window.cc3Storage.undo() : await window.cc3Storage.redo();
+    } finally {
+      // storage.onChanged for the step may arrive just after the response
+      setTimeout(() => (state.stepping = false), 250);
+    }
+    if (!result?.success) return;
+
+    // The background broadcasts HISTORY_APPLIED to every calendar tab; refresh here only if it couldn't
+    if (!result.broadcast) await refreshFeatures(result.touches);
+
+    if (direction === 'undo') {
+      showToast(`Undone: ${result.label}`, 'Redo', () => step('redo'));
+    } else {
+      showToast(`Redone: ${result.label}`, 'Undo', () => step('undo'));
+    }
+  }
+
+  function handleKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+    if (isEditableTarget(e.target)) return;
+
+    const direction = e.shiftKey ? 'redo' : 'undo';
+    const available = direction === 'undo' ? state.history.canUndo : state.history.canRedo;
+    // Leave the shortcut to Google Calendar when we have nothing to undo/redo
+    if (!available) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    step(direction);
+  }
+
+  function handleHistoryChange(changes, area) {
+    const key = window.cc3Storage.historyStorageKey();
+    if (area !== 'local' || !changes[key]) return;
+
+    const previous = state.history;
+    state.history = window.cc3Storage.describeHistory(changes[key].newValue);
+
+    // A new change was recorded (not an undo/redo step) - offer to undo it
+    const next = state.history;
+    if (
+      !state.stepping &&
+      next.undoId &&
+      next.undoId !== previous.undoId &&
+      !next.canRedo &&
+      document.visibilityState === 'visible'
+    ) {
+      showToast(next.undoLabel, 'Undo', () => step('undo'));
+    }
+  }
+
+  async function mount() {
+    if (state.mounted) return;
+    state.mounted = true;
+
+    state.history = await window.cc3Storage.getHistoryState();
+    document.addEventListener('keydown', handleKeydown, true);
+    chrome.storage.onChanged.addListener(handleHistoryChange);
+
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'HISTORY_APPLIED' && message.account === window.cc3Storage.getActiveAccount()) {
+        refreshFeatures(message.touches);
+      }
+    });
+  }
+
+  window.cc3History = { mount, undo: () => step('undo'), redo: () => step('redo') };
+})();
@@ -76,6 +76,15 @@
       return;
     }
 
+    // Settings and event colors are kept per Google account - find out which one this tab is
+    // before any feature reads them (the account button is part of the calendar chrome)
+    await waitForCalendarElements();
+    try {
+      if (window.cc3Account) await window.cc3Account.init();
+    } catch (error) {
+      console.warn('[ColorKit] Account detection failed, using shared settings:', error);
+    }
+
     // FREEMIUM: Check subscription status for premium feature gating
     // Features always boot - premium gating happens at the feature level
     await checkSubscriptionStatus();
@@ -104,6 +113,45 @@
       console.warn('Toolbar init failed:', e);
     }
 
+    // Ctrl+Z / Ctrl+Shift+Z and undo toast for coloring changes
+    try {
+      window.cc3History && window.cc3History.mount();
+    } catch (e) {
+      console.warn('History init failed:', e);
+    }
+
+    watchSharedSettings();
+
+  }
+
+  // Settings each feature was last rendered with. The popup only messages tabs of the account it
+  // is editing, so changes to shared sections reach other accounts' tabs as storage changes.
+  const renderedSettings = {};
+
+  function featureSettingsKey(feature, featureSettings) {
+    return feature === 'dayColoring'
+      ? JSON.stringify(window.cc3Storage.pickAccountSection(featureSettings, 'dayColoring'))
+      : JSON.stringify(featureSettings);
+  }
+
+  function watchSharedSettings() {
+    const watched = {
+      dayColoring: { paths: window.cc3Storage.ACCOUNT_SECTIONS.dayColoring.paths, pick: (settings) => settings },
+      timeBlocking: { paths: ['timeBlocking'], pick: (settings) => settings.timeBlocking || {} },
+    };
+    for (const [feature, { paths, pick }] of Object.entries(watched)) {
+      window.cc3Storage.onSettingsChanged(
+        async (stored, diff) => {
+          if (!featuresEnabled || !window.cc3Features) return;
+          const featureSettings = pick(await window.cc3Storage.getSettings());
+          const key = featureSettingsKey(feature, featureSettings);
+          if (renderedSettings[feature] === key) return;
+          renderedSettings[feature] = key;
+          window.cc3Features.updateFeature(feature, featureSettings, diff);
+        },
+        { paths },
+      );
+    }
   }
 
   // Check if colors should be applied immediately on page load
@@ -173,6 +221,7 @@
     if (message.type === 'settingsChanged' && message.feature && window.cc3Features) {
       // Only allow settings changes if subscription is active
       if (featuresEnabled) {
+        renderedSettings[message.feature] = featureSettingsKey(message.feature, message.settings);
         window.cc3Features.updateFeature(message.feature, message.settings);
       }
     } else if (message.type === 'SUBSCRIPTION_CANCELLED') {
@@ -191,13 +240,22 @@
           console.log('[ColorKit] Free tier - premium features gated');
         }
       });
+    } else if (message.type === 'PROFILE_APPLIED') {
+      // A settings profile was switched (popup or any tab's toolbar) - re-render without reloading
+      if (featuresEnabled && window.cc3Features && message.account === window.cc3Storage.getActiveAccount()) {
+        window.cc3Storage.getSettings().then((settings) => {
+          window.cc3Features.updateFeature('dayColoring', settings);
+          window.cc3Features.updateFeature('timeBlocking', settings.timeBlocking || {});
+          window.dispatchEvent(new CustomEvent('cf-event-color-changed'));
+        });
+      }
     } else if (message.type === 'PENDING_ACTION_COMPLETED') {
       // Pending premium action was completed after upgrade - reload to apply changes
       console.log('[ColorKit] Pending action completed - reloading to apply changes');
       location.reload();
-    } else if (message.type === 'SETTINGS_RESET') {
-      // Complete reset detected - clean up and reload page
-      console.log('[ColorKit] Settings reset detected - cleaning up and reloading page...');
+    } else if (message.type === 'SETTINGS_RESET' || message.type === 'SETTINGS_IMPORTED') {
+      // Complete reset or settings import detected - clean up and reload page
+      console.log(`[ColorKit] ${message.type} detected - cleaning up and reloading page...`);
 
       // Clear any cached data in features
       if (window.cc3Features) {
@@ -1,6 +1,7 @@
 (function () {
   const state = {
     settings: null,
+    profiles: { activeId: null, profiles: [] },
     collapsed: true,
   };
 
@@ -55,7 +56,7 @@
       // Update local state
       state.settings.enabled = next;
 
-      await window.cc3Storage.setEnabled(next);
+      await window.cc3Storage.setSettings({ enabled: next }, { source: 'toolbar' });
 
       // Trigger immediate update for day coloring feature
       const newSettings = await window.cc3Storage.getSettings();
@@ -77,7 +78,7 @@
       if (!state.settings.timeBlocking) state.settings.timeBlocking = {};
       state.settings.timeBlocking.enabled = next;
 
-      await window.cc3Storage.setTimeBlockingEnabled(next);
+      await window.cc3Storage.setSettings({ timeBlocking: { enabled: next } }, { source: 'toolbar' });
 
       // Trigger immediate update for time blocking feature
       const newSettings = await window.cc3Storage.getSettings();
@@ -91,19 +92,55 @@
     row.appendChild(createEl('span', {}, ['|']));
     row.appendChild(timeBlockToggleWrap);
 
+    // Profile switcher - one button per saved profile
+    if (state.profiles.profiles.length > 0) {
+      row.appendChild(createEl('span', {}, ['|']));
+      row.appendChild(createEl('label', {}, ['Profile']));
+      for (const profile of state.profiles.profiles) {
+        const isActive = profile.id === state.profiles.activeId;
+        const profileBtn = createEl('button', {
+          className: isActive ? 'cc3-profile-btn' : 'cc3-profile-btn cc3-secondary',
+          title: isActive ? `${profile.name} (active)` : `Switch to ${profile.name}`,
+        }, [profile.name]);
+        profileBtn.addEventListener('click', () => switchProfile(profile.id));
+        row.appendChild(profileBtn);
+      }
+    }
+
     row.appendChild(collapseBtn);
 
     root.appendChild(row);
     document.documentElement.appendChild(root);
   }
 
+  async function switchProfile(profileId) {
+    const result = await window.cc3Storage.switchProfile(profileId);
+    if (!result?.success) {
+      console.warn('[Toolbar] Profile switch failed:', result?.error);
+      return;
+    }
+
+    // The background broadcasts PROFILE_APPLIED to every calendar tab; refresh here only if it couldn't
+    if (!result.broadcast && window.cc3Features?.updateFeature) {
+      const newSettings = await window.cc3Storage.getSettings();
+      window.cc3Features.updateFeature('dayColoring', newSettings);
+      window.cc3Features.updateFeature('timeBlocking', newSettings.timeBlocking || {});
+      window.dispatchEvent(new CustomEvent('cf-event-color-changed'));
+    }
+  }
+
   async function mount() {
     state.settings = await window.cc3Storage.getSettings();
+    state.profiles = await window.cc3Storage.listProfiles();
     renderToolbar();
     window.cc3Storage.onSettingsChanged((s) => {
       state.settings = s;
       renderToolbar();
     });
+    window.cc3Storage.onProfilesChanged((profiles) => {
+      state.profiles = profiles;
+      renderToolbar();
+    });
   }
 
   // Global API
@@ -0,0 +1,172 @@
+// Date labels on colored days: a banner under week/day column headers and a chip in month cells.
+// Milestone deadlines also get a flag (content.css draws it from the data attribute).
+// Elements are reused when their text hasn't changed so the month painter's observer isn't retriggered.
+(function () {
+  const BANNER_CLASS = 'cc3-date-label-banner';
+  const CHIP_CLASS = 'cc3-date-label-chip';
+  const DEFAULT_FONT_SIZE = 11;
+  const DEADLINE_ATTR = 'data-cc3-milestone';
+  let tooltipEl = null;
+
+  function ensureTooltip() {
+    if (tooltipEl && document.body.contains(tooltipEl)) return tooltipEl;
+
+    tooltipEl = document.createElement('div');
+    tooltipEl.id = 'cc3-date-label-tooltip';
+    tooltipEl.style.cssText = `
+      position: absolute;
+      z-index: 9999;
+      background: white;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      padding: 6px 10px;
+      box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
+      pointer-events: none;
+      font-size: 0.9rem;
+      display: none;
+      max-width: 240px;
+      word-wrap: break-word;
+    `;
+    document.body.appendChild(tooltipEl);
+    return tooltipEl;
+  }
+
+  function positionTooltip(e) {
+    const rect = tooltipEl.getBoundingClientRect();
+    let top = e.pageY - rect.height - 10;
+    let left = e.pageX + 10;
+
+    // Keep the tooltip on screen
+    if (left + rect.width > window.innerWidth) left = e.pageX - rect.width - 10;
+    if (top < window.scrollY) top = e.pageY + 10;
+
+    tooltipEl.style.top = `${top}px`;
+    tooltipEl.style.left = `${left}px`;
+  }
+
+  // Same hover tooltip as time blocks, so a truncated label can still be read in full
+  function attachTooltip(el) {
+    el.addEventListener('mouseenter', (e) => {
+      const tooltip = ensureTooltip();
+      tooltip.textContent = '';
+      const dot = document.createElement('span');
+      dot.style.cssText = `display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 6px; background: ${el.dataset.color};`;
+      tooltip.appendChild(dot);
+      tooltip.appendChild(document.createTextNode(el.dataset.label));
+      tooltip.style.display = 'block';
+      positionTooltip(e);
+    });
+    el.addEventListener('mousemove', (e) => {
+      if (tooltipEl && tooltipEl.style.display !== 'none') positionTooltip(e);
+    });
+    el.addEventListener('mouseleave', () => {
+      if (tooltipEl) tooltipEl.style.display = 'none';
+    });
+  }
+
+  // Create or update the label element of one container
+  function upsertLabel(container, className, label, color, fontSize) {
+    let el = container.querySelector(`:scope > .${className}`);
+    if (el && el.dataset.label === label && el.dataset.color === color && el.dataset.fontSize === String(fontSize)) {
+      return el;
+    }
+    if (!el) {
+      el = document.createElement('div');
+      el.className = className;
+      attachTooltip(el);
+      container.appendChild(el);
+    }
+    el.textContent = label;
+    el.dataset.label = label;
+    el.dataset.color = color;
+    el.dataset.fontSize = String(fontSize);
+    el.style.setProperty('--cc3-date-label-color', color);
+    el.style.setProperty('--cc3-date-label-size', `${fontSize}px`);
+    return el;
+  }
+
+  /**
+   * Show labels under week/day column headers; headers not listed lose their banner
+   * @param {Array<{header: Element, label: string, color: string}>} entries
+   * @param {Object} options - { fontSize }
+   */
+  function renderColumnLabels(entries, options = {}) {
+    const fontSize = options.fontSize || DEFAULT_FONT_SIZE;
+    const keep = new Set();
+    for (const { header, label, color } of entries) {
+      if (!header || !label) continue;
+      keep.add(upsertLabel(header, BANNER_CLASS, label, color, fontSize));
+    }
+    document.querySelectorAll(`.${BANNER_CLASS}`).forEach((el) => {
+      if (!keep.has(el)) el.remove();
+    });
+  }
+
+  /**
+   * Show (or with no label, remove) the chip of one month cell
+   * @param {Element} cell - Month day cell
+   * @param {string|null} label
+   * @param {string} color - Day color, used for the chip accent
+   * @param {Object} options - { fontSize }
+   */
+  function setCellLabel(cell, label, color, options = {}) {
+    if (!label) {
+      cell.querySelector(`:scope > .${CHIP_CLASS}`)?.remove();
+      return;
+    }
+    if (getComputedStyle(cell).position === 'static') cell.style.position = 'relative';
+    upsertLabel(cell, CHIP_CLASS, label, color, options.fontSize || DEFAULT_FONT_SIZE);
+  }
+
+  /**
+   * Flag (or with no milestone, unflag) a milestone's deadline day
+   * @param {Element} el - Month cell or week/day column header
+   * @param {Object|null} milestone - { id, color, label }
+   */
+  function setDeadlineMarker(el, milestone) {
+    if (!milestone) {
+      if (el.hasAttribute(DEADLINE_ATTR)) {
+        el.removeAttribute(DEADLINE_ATTR);
+        el.style.removeProperty('--cc3-milestone-color');
+      }
+      return;
+    }
+    if (el.getAttribute(DEADLINE_ATTR) === milestone.id && el.style.getPropertyValue('--cc3-milestone-color') === milestone.color) {
+      return;
+    }
+    if (getComputedStyle(el).position === 'static') el.style.position = 'relative';
+    el.setAttribute(DEADLINE_ATTR, milestone.id || 'deadline');
+    el.style.setProperty('--cc3-milestone-color', milestone.color);
+  }
+
+  /**
+   * Flag the deadline days among the week/day column headers; other headers lose their flag
+   * @param {Array<{header: Element, milestone: Object}>} entries
+   */
+  function renderColumnDeadlines(entries) {
+    const keep = new Set();
+    for (const { header, milestone } of entries) {
+      if (!header || !milestone) continue;
+      setDeadlineMarker(header, milestone);
+      keep.add(header);
+    }
+    document.querySelectorAll("[role='columnheader'][" + DEADLINE_ATTR + ']').forEach((el) => {
+      if (!keep.has(el)) setDeadlineMarker(el, null);
+    });
+  }
+
+  function clearLabels() {
+    document.querySelectorAll(`.${BANNER_CLASS}, .${CHIP_CLASS}`).forEach((el) => el.remove());
+    document.querySelectorAll(`[${DEADLINE_ATTR}]`).forEach((el) => setDeadlineMarker(el, null));
+    if (tooltipEl) tooltipEl.style.display = 'none';
+  }
+
+  window.cc3DateLabels = {
+    DEFAULT_FONT_SIZE,
+    renderColumnLabels,
+    setCellLabel,
+    setDeadlineMarker,
+    renderColumnDeadlines,
+    clearLabels,
+  };
+})();
@@ -198,29 +198,95 @@
   }
 
   // Helper function to get color for a specific date
-  // Checks dateColors first (specific date override), then falls back to weekdayColors
+  // Checks dateColors first (specific date override), then date ranges, recurring rules and weekdayColors
+  // With the workload heatmap on, a day's busy hours take the weekday color's place
   function getColorForDate(settings, dateStr, weekday) {
-    // Check for date-specific color first
-    if (settings.dateColors && settings.dateColors[dateStr]) {
-      // Use stored date opacity, or default to 100 if not set
-      const dateOpacity = settings.dateOpacity?.[dateStr] !== undefined ? settings.dateOpacity[dateStr] : 100;
-      return {
-        color: settings.dateColors[dateStr],
-        opacity: dateOpacity,
-        isDateSpecific: true
-      };
-    }
+    const colorInfo = window.cc3DayColors.resolveDayColor(settings, dateStr, weekday);
+    if (colorInfo.source !== 'weekday' && colorInfo.source !== 'cycle') return colorInfo;
 
-    // Fall back to weekday color
-    const color = settings.weekdayColors?.[String(weekday)];
-    const opacity = settings.weekdayOpacity?.[String(weekday)] || 30;
+    const heat = window.cc3Workload?.heatColor(settings.workloadHeatmap, busyHours[dateStr]);
+    if (!heat) return colorInfo;
     return {
-      color: color,
-      opacity: opacity,
-      isDateSpecific: false
+      ...colorInfo,
+      color: heat.color,
+      opacity: heat.opacity,
+      fill: 'solid',
+      source: 'workload',
+      busyHours: busyHours[dateStr],
+      // A week cycle tint that stood alone moves underneath the heat color
+      underlay: colorInfo.source === 'cycle' ? { color: colorInfo.color, opacity: colorInfo.opacity } : colorInfo.underlay,
     };
   }
 
+  // === WORKLOAD HEATMAP ===
+  // Busy hours per 'YYYY-MM-DD', measured from the event chips on screen or fetched through the
+  // background worker from the Calendar API. Days measured earlier stay known for the session.
+  let busyHours = {};
+  const API_BUSY_TTL = 5 * 60 * 1000;
+  const apiBusyHours = { key: null, fetchedAt: 0, pending: null };
+
+  // Day elements of the current view; event chips inside them belong to that day
+  function getVisibleDays(currentView) {
+    if (currentView === 'month') {
+      const grid = findMonthGrid();
+      return (grid ? getMonthCells(grid) : [])
+        .map((cell) => ({ ymd: getMonthCellYmd(cell), elements: [cell] }))
+        .filter((day) => day.ymd);
+    }
+    if (window.cc3YearScheduleColoring?.isHandledView(currentView)) return [];
+    return getDayColumnElements(currentView);
+  }
+
+  function updateBusyHours(settings, currentView) {
+    const config = settings.workloadHeatmap;
+    if (!config?.enabled || !window.cc3Workload) return;
+
+    if (config.source === 'api') {
+      const dates = window.cc3YearScheduleColoring?.isHandledView(currentView)
+        ? window.cc3YearScheduleColoring.getVisibleDates()
+        : getVisibleDays(currentView).map((day) => day.ymd);
+      requestApiBusyHours(dates);
+      return;
+    }
+
+    for (const { ymd, elements } of getVisibleDays(currentView)) {
+      const chips = elements
+        .flatMap((el) => Array.from(el.querySelectorAll('[data-eventid]')))
+        .map((chip) => ({ id: chip.getAttribute('data-eventid'), text: chip.textContent }));
+      busyHours[ymd] = window.cc3Workload.busyHoursFromChips(chips);
+    }
+  }
+
+  // Fetch the visible span once per TTL; the calendar is repainted when the hours arrive
+  function requestApiBusyHours(dates) {
+    if (!dates.length) return;
+    const sorted = [...dates].sort();
+    const from = sorted[0];
+    const to = sorted[sorted.length - 1];
+    const key = `${from}_${to}`;
+    if (apiBusyHours.pending === key) return;
+    if (apiBusyHours.key === key && Date.now() - apiBusyHours.fetchedAt < API_BUSY_TTL) return;
+
+    apiBusyHours.pending = key;
+    chrome.runtime
+      .sendMessage({ type: 'GET_BUSY_HOURS', from, to })
+      .then((response) => {
+        apiBusyHours.pending = null;
+        if (!response?.success) {
+          console.warn('Workload heatmap: could not load events from Google Calendar:', response?.error);
+          return;
+        }
+        busyHours = { ...busyHours, ...response.hours };
+        apiBusyHours.key = key;
+        apiBusyHours.fetchedAt = Date.now();
+        if (currentSettings && currentSettings.enabled) applyDayColoring(currentSettings);
+      })
+      .catch((error) => {
+        apiBusyHours.pending = null;
+        console.warn('Workload heatmap: busy hours request failed:', error);
+      });
+  }
+
   // Get the dates displayed in each column of the week view
   // Returns an object mapping column index to date string (YYYY-MM-DD)
   function getWeekViewColumnDates() {
@@ -297,6 +363,190 @@
   function removeStyles() {
     const style = document.getElementById(STYLE_ID);
     if (style) style.remove();
+    window.cc3DateLabels?.clearLabels();
+    window.cc3DayEmphasis?.clearAll();
+    window.cc3YearScheduleColoring?.teardown();
+    window.cc3WeekCycleLegend?.remove();
+    window.cc3WeekNumberOverlay?.clear();
+    window.cc3MiniCalendarColoring?.teardown();
+  }
+
+  // Legend of the week cycle; in day/week view it marks the cycle week on screen
+  function applyCycleLegend(settings, currentView) {
+    const legend = window.cc3WeekCycleLegend;
+    if (!legend) return;
+    const cycle = settings.weekCycle;
+    if (!cycle?.enabled || cycle.showLegend === false || (cycle.weeks || []).length < 2 || !cycle.anchorDate) {
+      legend.remove();
+      return;
+    }
+
+    let shownDate = null;
+    if (currentView === 'day') {
+      shownDate = normalizeYmdFromDate(getCurrentDateInDayView());
+    } else if (currentView !== 'month' && !window.cc3YearScheduleColoring?.isHandledView(currentView)) {
+      shownDate = Object.values(getWeekViewColumnDates())[0] || null;
+    }
+    const cycleWeek = shownDate ? window.cc3DayColors.findCycleWeek(cycle, shownDate, settings.weekStart || 0) : null;
+    legend.render(cycle, cycleWeek ? cycleWeek.index : null);
+  }
+
+  // The week/day column headers with the date each one shows: [{ header, ymd, weekday }]
+  function getColumnHeaderDates() {
+    const headers = getWeekViewHeaders();
+    if (detectCurrentView() === 'day') {
+      const date = getCurrentDateInDayView();
+      const header = headers[headers.length - 1];
+      return date && header ? [{ header, ymd: normalizeYmdFromDate(date), weekday: date.getDay() }] : [];
+    }
+
+    const columnDates = getWeekViewColumnDates();
+    const columns = Object.keys(columnDates).map(Number);
+    // A leading time-gutter header shifts the day headers by one
+    const offset = Math.max(0, headers.length - columns.length);
+    return columns.map((col) => {
+      const ymd = columnDates[col];
+      return { header: headers[col + offset], ymd, weekday: new Date(ymd + 'T12:00:00').getDay() };
+    });
+  }
+
+  // Date labels as banners under the week/day column headers, plus the milestone deadline flags
+  function applyColumnLabels(settings) {
+    if (!window.cc3DateLabels) return;
+    const columns = getColumnHeaderDates();
+    window.cc3DateLabels.renderColumnDeadlines(
+      columns.map(({ header, ymd }) => {
+        const countdown = window.cc3DayColors.findMilestone(settings.milestones, ymd);
+        return { header, milestone: countdown?.daysLeft === 0 ? countdown.milestone : null };
+      }),
+    );
+
+    if (settings.showDateLabels === false) {
+      window.cc3DateLabels.renderColumnLabels([]);
+      return;
+    }
+    const entries = columns.map(({ header, ymd, weekday }) => {
+      const { label, color } = getColorForDate(settings, ymd, weekday);
+      return { header, label, color };
+    });
+    window.cc3DateLabels.renderColumnLabels(entries, { fontSize: settings.dateLabelFontSize });
+  }
+
+  // Past-day dimming and today emphasis: tag the week/day columns, content.css does the styling.
+  // Month cells are tagged by the month painter, which already knows each cell's date.
+  function applyDayEmphasis(settings) {
+    const emphasis = window.cc3DayEmphasis;
+    if (!emphasis) return;
+    if (!emphasis.isActive(settings.dayEmphasis)) {
+      emphasis.clearAll();
+      return;
+    }
+
+    emphasis.applyPageState(settings.dayEmphasis);
+    const currentView = detectCurrentView();
+    if (currentView === 'month' || window.cc3YearScheduleColoring?.isHandledView(currentView)) return;
+
+    const today = emphasis.todayYmd();
+    document.querySelectorAll('[data-cc3-day-state]').forEach((el) => emphasis.setState(el, null));
+    for (const { ymd, elements } of getDayColumnElements(currentView)) {
+      const state = emphasis.dayState(ymd, settings.dayEmphasis, today);
+      elements.forEach((el) => emphasis.setState(el, state));
+    }
+  }
+
+  function getWeekViewHeaders() {
+    return Array.from(
+      document.querySelectorAll("[role='grid'] > [data-start-date-key] > [role='presentation'] > [role='columnheader']"),
+    );
+  }
+
+  // The elements that make up each day column of the week/day view: header plus grid cells
+  // Returns [{ ymd: 'YYYY-MM-DD', elements: Element[] }] in column order
+  function getDayColumnElements(currentView) {
+    const headers = getWeekViewHeaders();
+
+    if (currentView === 'day') {
+      const elements = [...document.querySelectorAll('div.QIYAPb'), headers[headers.length - 1]].filter(Boolean);
+      return [{ ymd: normalizeYmdFromDate(getCurrentDateInDayView()), elements }];
+    }
+
+    const columnDates = getWeekViewColumnDates();
+    const columns = Object.keys(columnDates).map(Number);
+    const result = columns.map((col) => ({ ymd: columnDates[col], elements: [] }));
+    if (!columns.length) return result;
+
+    // Leading time-gutter header/cells shift the day columns by one
+    const headerOffset = Math.max(0, headers.length - columns.length);
+    columns.forEach((col, i) => {
+      if (headers[col + headerOffset]) result[i].elements.push(headers[col + headerOffset]);
+    });
+    document.querySelectorAll("[role='grid'] > [data-start-date-key] [role='row']").forEach((row) => {
+      const cells = row.querySelectorAll(':scope > [role="gridcell"]');
+      const cellOffset = Math.max(0, cells.length - columns.length);
+      columns.forEach((col, i) => {
+        if (cells[col + cellOffset]) result[i].elements.push(cells[col + cellOffset]);
+      });
+    });
+    return result;
+  }
+
+  // Month cells: the datekey decodes exactly; the generic lookup is the fallback
+  function getMonthCellYmd(cell) {
+    const keyEl = cell.matches('[data-datekey]') ? cell : cell.querySelector('[data-datekey]');
+    const fromKey = keyEl && window.cc3YearScheduleColoring?.dateKeyToYmd(keyEl.getAttribute('data-datekey'));
+    return fromKey || getCellISODate(cell);
+  }
+
+  // Week numbers in the week/day header or down the month grid, plus fiscal period boundaries
+  function applyWeekNumbers(settings, currentView) {
+    const overlay = window.cc3WeekNumberOverlay;
+    const numbers = window.cc3WeekNumbers;
+    if (!overlay || !numbers) return;
+    const config = settings.weekNumbers;
+    const isWeekLike = currentView !== 'month' && !window.cc3YearScheduleColoring?.isHandledView(currentView);
+    if (!config?.enabled || (!isWeekLike && currentView !== 'month')) {
+      overlay.clear();
+      return;
+    }
+
+    const weekStart = settings.weekStart || 0;
+    const labelFor = (ymd) => (ymd ? numbers.weekLabel(ymd, config, weekStart) : null);
+    const boundaryFor = (ymd) => (ymd ? numbers.periodBoundary(ymd, config, weekStart) : null);
+    const boundaries = [];
+
+    if (currentView === 'month') {
+      const grid = findMonthGrid();
+      const rows = new Map(); // row -> [{ cell, ymd }]
+      for (const cell of grid ? getMonthCells(grid) : []) {
+        const row = cell.closest('[role="row"]');
+        const ymd = getMonthCellYmd(cell);
+        if (!row || !ymd) continue;
+        if (!rows.has(row)) rows.set(row, []);
+        rows.get(row).push({ cell, ymd });
+      }
+
+      const gutter = [];
+      rows.forEach((days, row) => {
+        // The middle day names the row, so ISO weeks read right in Sunday-first grids
+        gutter.push({ row, label: labelFor(days[Math.floor(days.length / 2)].ymd) });
+        days.forEach(({ cell, ymd }) => boundaries.push({ el: cell, boundary: boundaryFor(ymd) }));
+      });
+      overlay.renderMonthGutter(gutter);
+      overlay.markBoundaries(boundaries, config.periodColor);
+      return;
+    }
+
+    const columns = getDayColumnElements(currentView);
+    const headers = getWeekViewHeaders();
+    // The first header is the time gutter's free corner (or, without a gutter, the first day)
+    const badgeHeader = headers[0] || null;
+    const middle = columns[Math.floor(columns.length / 2)];
+    overlay.renderWeekHeader(badgeHeader, labelFor(middle?.ymd));
+    for (const { ymd, elements } of columns) {
+      const boundary = boundaryFor(ymd);
+      elements.forEach((el) => boundaries.push({ el, boundary }));
+    }
+    overlay.markBoundaries(boundaries, config.periodColor);
   }
 
   function removeDirectStyling() {
@@ -305,28 +555,16 @@
     // Remove direct styling from QIYAPb elements
     const qiyapbElements = document.querySelectorAll('div.QIYAPb');
     qiyapbElements.forEach((element) => {
-      element.style.removeProperty('background-color');
+      window.cc3DayColors.clearFill(element);
       console.log('Removed direct styling from QIYAPb element:', element);
 
       // Remove from child elements
       const children = element.children;
       for (let child of children) {
-        child.style.removeProperty('background-color');
+        window.cc3DayColors.clearFill(child);
       }
     });
 
-    // Remove from mini calendar elements
-    const miniCalElements = document.querySelectorAll(
-      `#drawerMiniMonthNavigator [data-date], ` +
-        `[role="complementary"] [data-date], ` +
-        `.v4rOrb [data-date], ` +
-        `[data-month] [data-date], ` +
-        `[jsname="PkgjIb"] [data-date]`,
-    );
-    miniCalElements.forEach((element) => {
-      element.style.removeProperty('background-color');
-    });
-
     console.log('Direct DOM styling removed');
   }
 
@@ -371,25 +609,15 @@
 
           // Day view - PRECISE targeting using ONLY QIYAPb elements (like old implementation)
           css += `/* Day View Coloring - Only QIYAPb elements, avoid feMFof.A3o4Oe */\n`;
-          css += `:root { --cc3-day-color: ${rgba}; }\n`;
+          // The event column gets the fill
+          const dayFill = window.cc3DayColors.fillCss(color, colorInfo.opacity, colorInfo.fill, colorInfo.underlay);
 
           // Target ONLY QIYAPb elements (the correct day view container)
-          css += `body[data-viewkey="day"] div.QIYAPb { background-color: var(--cc3-day-color) !important; }\n`;
+          css += `body[data-viewkey="day"] div.QIYAPb { ${dayFill} }\n`;
 
           // Ensure QIYAPb child elements also get the color, but exclude event elements
-          css += `body[data-viewkey="day"] div.QIYAPb > *:not(.feMFof.A3o4Oe) { background-color: var(--cc3-day-color) !important; }\n`;
-
-          // Mini calendar in day view - target the current day cell
-          css += `/* Mini Calendar Day View Coloring */\n`;
-          css += `body[data-viewkey="day"] #drawerMiniMonthNavigator [data-date="${currentDateStr}"] { background-color: var(--cc3-day-color) !important; }\n`;
-          css += `body[data-viewkey="day"] #drawerMiniMonthNavigator [data-date="${currentDateStr}"] > * { background-color: var(--cc3-day-color) !important; }\n`;
-          css += `body[data-viewkey="day"] [role="complementary"] [data-date="${currentDateStr}"] { background-color: var(--cc3-day-color) !important; }\n`;
-          css += `body[data-viewkey="day"] [role="complementary"] [data-date="${currentDateStr}"] > * { background-color: var(--cc3-day-color) !important; }\n`;
-
-          // Alternative mini calendar selectors
-          css += `body[data-viewkey="day"] .v4rOrb [data-date="${currentDateStr}"] { background-color: var(--cc3-day-color) !important; }\n`;
-          css += `body[data-viewkey="day"] [data-month] [data-date="${currentDateStr}"] { background-color: var(--cc3-day-color) !important; }\n`;
-          css += `body[data-viewkey="day"] [jsname="PkgjIb"] [data-date="${currentDateStr}"] { background-color: var(--cc3-day-color) !important; }\n`;
+          css += `body[data-viewkey="day"] div.QIYAPb > *:not(.feMFof.A3o4Oe) { ${dayFill} }\n`;
+          // The mini calendar is painted by core/miniCalendarColoring.js in every view
 
           console.log('Day view CSS generated:', css);
         } else {
@@ -432,23 +660,24 @@
 
       const alpha = colorInfo.opacity / 100; // Convert percentage to decimal
       const rgba = hexToRgba(color, alpha);
+      const fill = window.cc3DayColors.fillCss(color, colorInfo.opacity, colorInfo.fill, colorInfo.underlay);
       console.log(`Applying color ${color} (${rgba}) to column ${col} for ${colorInfo.isDateSpecific ? 'date ' + dateStr : 'weekday ' + weekday}`);
 
       // Column headers - more precise targeting to avoid bleeding
-      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 1}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
-      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 2}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
+      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 1}):nth-last-child(${7 - col}) { ${fill} }\n`;
+      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 2}):nth-last-child(${7 - col}) { ${fill} }\n`;
 
       // Column content - multiple targeting patterns for reliability
-      css += `${base} [data-column-index="${col}"] { background-color: ${rgba} !important; }\n`;
-      css += `${base} [data-column-index="${col + 1}"] { background-color: ${rgba} !important; }\n`;
+      css += `${base} [data-column-index="${col}"] { ${fill} }\n`;
+      css += `${base} [data-column-index="${col + 1}"] { ${fill} }\n`;
 
       // nth-child patterns for rows - more specific
-      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
-      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
+      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { ${fill} }\n`;
+      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { ${fill} }\n`;
 
       // Additional patterns for different calendar layouts - more specific
-      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
-      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
+      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { ${fill} }\n`;
+      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { ${fill} }\n`;
     }
 
     return css;
@@ -659,7 +888,7 @@
     // Target ONLY QIYAPb elements
     const qiyapbElements = document.querySelectorAll('div.QIYAPb');
     qiyapbElements.forEach((element) => {
-      element.style.setProperty('background-color', rgba, 'important');
+      window.cc3DayColors.applyFill(element, color, colorInfo.opacity, colorInfo.fill, colorInfo.underlay);
       console.log('Applied color to QIYAPb element:', element);
 
       // Only apply to direct children that are not event elements
@@ -667,25 +896,11 @@
       for (let child of children) {
         // Skip event elements (feMFof.A3o4Oe) to preserve their original styling
         if (!child.classList.contains('feMFof') || !child.classList.contains('A3o4Oe')) {
-          child.style.setProperty('background-color', rgba, 'important');
+          window.cc3DayColors.applyFill(child, color, colorInfo.opacity, colorInfo.fill, colorInfo.underlay);
         }
       }
     });
 
-    // Also apply to mini calendar in day view
-    if (currentDateStr) {
-      const miniCalElements = document.querySelectorAll(
-        `#drawerMiniMonthNavigator [data-date="${currentDateStr}"], ` +
-          `[role="complementary"] [data-date="${currentDateStr}"], ` +
-          `.v4rOrb [data-date="${currentDateStr}"], ` +
-          `[data-month] [data-date="${currentDateStr}"], ` +
-          `[jsname="PkgjIb"] [data-date="${currentDateStr}"]`,
-      );
-      miniCalElements.forEach((element) => {
-        element.style.setProperty('background-color', rgba, 'important');
-      });
-    }
-
     console.log('Precise direct DOM styling applied for day view - ONLY QIYAPb elements');
   }
 
@@ -699,42 +914,40 @@
     console.log('Applying day coloring with settings:', settings);
     const currentView = detectCurrentView();
     console.log('Current view:', currentView);
+    updateBusyHours(settings, currentView);
+    window.cc3MiniCalendarColoring?.applyMiniCalendarColors(settings, getColorForDate);
+
+    // Year and Schedule views are painted element by element, with the same date precedence
+    const extraViews = window.cc3YearScheduleColoring;
+    if (extraViews?.isHandledView(currentView)) {
+      const style = ensureStyleElement();
+      style.textContent = `/* ${currentView} view uses direct painting */`;
+      window.cc3DateLabels?.renderColumnLabels([]);
+      applyDayEmphasis(settings);
+      applyCycleLegend(settings, currentView);
+      applyWeekNumbers(settings, currentView);
+      extraViews.applyExtraViewColors(currentView, settings, getColorForDate);
+      return;
+    }
+    extraViews?.teardown();
 
     // Handle month view with new month painter - ONLY targets div.MGaLHf.ChfiMc (NOT gridcells)
     if (currentView === 'month') {
       // Use the new month painter if available
       if (window.cc3MonthColoring && window.cc3MonthColoring.applyMonthViewColors) {
-        // Convert settings to the format expected by the month painter
-        const userColors = {};
-        const userOpacity = {};
-        if (settings.weekdayColors) {
-          // Map weekday colors (0-6, Sun-Sat) to the format expected
-          for (let i = 0; i < 7; i++) {
-            const color = settings.weekdayColors[String(i)];
-            const opacity = settings.weekdayOpacity?.[String(i)] || 30; // Default to 30% if not set
-            if (color && color !== '#ffffff') {
-              userColors[i] = color;
-              userOpacity[i] = opacity;
-            }
-          }
-        }
-
-        // Apply month view colors using user's week start setting
-        const userWeekStart = settings.weekStart !== undefined ? settings.weekStart : 0; // Default to Sunday if not set
-        console.log('CC3 Month View: Using user week start setting:', userWeekStart);
-        console.log('CC3 Month View: Date-specific colors:', settings.dateColors);
-        window.cc3MonthColoring.applyMonthViewColors(userColors, {
-          assumeWeekStartsOn: userWeekStart,
-          opacity: userOpacity,
-          dateColors: settings.dateColors || {}, // Pass date-specific colors
-          dateOpacity: settings.dateOpacity || {}, // Pass date-specific opacity
-        });
+        // Same resolver as every other view, so a date paints the same everywhere
+        window.cc3MonthColoring.applyMonthViewColors(settings, getColorForDate);
+        // Column header banners belong to week/day views
+        window.cc3DateLabels?.renderColumnLabels([]);
         console.log('CC3 Month View Coloring Applied via New Month Painter - ONLY div.MGaLHf.ChfiMc (NOT gridcells)');
       }
 
       // Clear any existing CSS to prevent conflicts
       const style = ensureStyleElement();
       style.textContent = '/* Month view uses direct div.MGaLHf.ChfiMc painting only - NO gridcells */';
+      applyDayEmphasis(settings);
+      applyCycleLegend(settings, currentView);
+      applyWeekNumbers(settings, currentView);
       return;
     }
 
@@ -744,6 +957,10 @@
     console.log('Generated CSS length:', css.length);
 
     style.textContent = css;
+    applyColumnLabels(settings);
+    applyDayEmphasis(settings);
+    applyCycleLegend(settings, currentView);
+    applyWeekNumbers(settings, currentView);
 
     // For day view, force immediate style recalculation AND apply direct styling
     if (currentView === 'day') {
@@ -895,6 +1112,15 @@
   }
 
 
+  // Past days and "today" move at midnight; repaint then instead of waiting for a reload
+  function watchForNewDay() {
+    window.cc3DayEmphasis?.watchMidnight(() => {
+      if (currentSettings && currentSettings.enabled) {
+        applyDayColoring(currentSettings);
+      }
+    });
+  }
+
   function waitForCalendarReady() {
     return new Promise((resolve) => {
       const maxWait = 5000;
@@ -926,6 +1152,8 @@
   // === LOCKED FEATURE REGISTRATION ===
   const feature = {
     id: FEATURE_ID,
+    // Date of a month grid cell, shared with the fixture tests
+    getMonthCellYmd,
     init: async (settings) => {
       console.log('=== INITIALIZING LOCKED DAY COLORING FEATURE ===');
       console.log('Settings received:', settings);
@@ -970,6 +1198,7 @@
 
         // Set up DOM observer for dynamic updates
         setupDOMObserver(settings);
+        watchForNewDay();
 
         // Apply colors again after a short delay to ensure they stick
         createTrackedTimeout(() => {
@@ -1000,7 +1229,21 @@
         currentSettings.enabled === settings?.enabled &&
         JSON.stringify(currentSettings.weekdayColors) === JSON.stringify(settings?.weekdayColors) &&
         JSON.stringify(currentSettings.weekdayOpacity) === JSON.stringify(settings?.weekdayOpacity) &&
-        JSON.stringify(currentSettings.dateColors) === JSON.stringify(settings?.dateColors)
+        JSON.stringify(currentSettings.dateColors) === JSON.stringify(settings?.dateColors) &&
+        JSON.stringify(currentSettings.dateRanges) === JSON.stringify(settings?.dateRanges) &&
+        JSON.stringify(currentSettings.dayColorRules) === JSON.stringify(settings?.dayColorRules) &&
+        JSON.stringify(currentSettings.dateColorLabels) === JSON.stringify(settings?.dateColorLabels) &&
+        JSON.stringify(currentSettings.weekdayFills) === JSON.stringify(settings?.weekdayFills) &&
+        JSON.stringify(currentSettings.dateFills) === JSON.stringify(settings?.dateFills) &&
+        currentSettings.showDateLabels === settings?.showDateLabels &&
+        currentSettings.dateLabelFontSize === settings?.dateLabelFontSize &&
+        JSON.stringify(currentSettings.dayEmphasis) === JSON.stringify(settings?.dayEmphasis) &&
+        JSON.stringify(currentSettings.weekCycle) === JSON.stringify(settings?.weekCycle) &&
+        JSON.stringify(currentSettings.weekNumbers) === JSON.stringify(settings?.weekNumbers) &&
+        JSON.stringify(currentSettings.workloadHeatmap) === JSON.stringify(settings?.workloadHeatmap) &&
+        JSON.stringify(currentSettings.milestones) === JSON.stringify(settings?.milestones) &&
+        JSON.stringify(currentSettings.miniCalendar) === JSON.stringify(settings?.miniCalendar) &&
+        currentSettings.weekStart === settings?.weekStart
       ) {
         console.log('Settings unchanged, skipping update');
         return;
@@ -1013,6 +1256,7 @@
 
         // Set up DOM observer
         setupDOMObserver(settings);
+        watchForNewDay();
 
         // Apply colors immediately
         applyDayColoring(settings);
@@ -1030,6 +1274,7 @@
 
         // Clear all pending timeouts
         clearAllTimeouts();
+        window.cc3DayEmphasis?.stopWatching();
 
         // Remove colors immediately and force refresh
         removeStyles();
@@ -1058,6 +1303,8 @@
         domObserver = null;
       }
 
+      window.cc3DayEmphasis?.stopWatching();
+
       // Clean up month painter if it was used
       if (window.cc3MonthColoring && window.cc3MonthColoring.teardownMonthPainter) {
         window.cc3MonthColoring.teardownMonthPainter();
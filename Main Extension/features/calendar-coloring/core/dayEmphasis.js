@@ -0,0 +1,149 @@
+// Past-day dimming and today emphasis, layered on top of the day colors.
+// Painters tag day elements with data-cc3-day-state="past|today"; content.css turns the tags into
+// opacity/grayscale and an outline or tint, driven by classes and variables set on <body>.
+(function () {
+  const STATE_ATTR = 'data-cc3-day-state';
+  const BODY_CLASSES = ['cc3-dim-past', 'cc3-dim-desaturate', 'cc3-today-outline', 'cc3-today-highlight'];
+  const DEFAULTS = {
+    dimPastDays: false,
+    dimStyle: 'fade', // 'fade' lowers opacity, 'desaturate' turns past days gray
+    dimAmount: 50, // 0-100
+    highlightToday: false,
+    todayStyle: 'outline', // 'outline' or 'highlight' (tint over the day color)
+    todayColor: '#1a73e8',
+  };
+  let midnightTimer = null;
+  let onDayChange = null;
+  let lastToday = null;
+
+  function withDefaults(emphasis) {
+    return { ...DEFAULTS, ...(emphasis || {}) };
+  }
+
+  function isActive(emphasis) {
+    const e = withDefaults(emphasis);
+    return e.dimPastDays || e.highlightToday;
+  }
+
+  function todayYmd() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * State of a day relative to today; YYYY-MM-DD strings compare correctly as text
+   * @param {string|null} ymd
+   * @param {Object} emphasis - settings.dayEmphasis
+   * @param {string} [today]
+   * @returns {'past'|'today'|null}
+   */
+  function dayState(ymd, emphasis, today = todayYmd()) {
+    if (!ymd) return null;
+    const e = withDefaults(emphasis);
+    if (e.highlightToday && ymd === today) return 'today';
+    if (e.dimPastDays && ymd < today) return 'past';
+    return null;
+  }
+
+  // Only touch the attribute when it changes, so the month painter's observer stays quiet
+  function setState(el, state) {
+    if (!el) return;
+    if (state) {
+      if (el.getAttribute(STATE_ATTR) !== state) el.setAttribute(STATE_ATTR, state);
+    } else if (el.hasAttribute(STATE_ATTR)) {
+      el.removeAttribute(STATE_ATTR);
+    }
+  }
+
+  function hexToRgba(hex, alpha) {
+    const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+    if (!m) return `rgba(26, 115, 232, ${alpha})`;
+    return `rgba(${parseInt(m[1], 16)}, ${parseInt(m[2], 16)}, ${parseInt(m[3], 16)}, ${alpha})`;
+  }
+
+  /**
+   * Switch the body classes and variables content.css reads
+   * @param {Object} emphasis - settings.dayEmphasis
+   */
+  function applyPageState(emphasis) {
+    const e = withDefaults(emphasis);
+    const body = document.body;
+    const amount = Math.min(100, Math.max(0, Number(e.dimAmount) || 0)) / 100;
+
+    body.classList.toggle('cc3-dim-past', e.dimPastDays && e.dimStyle !== 'desaturate');
+    body.classList.toggle('cc3-dim-desaturate', e.dimPastDays && e.dimStyle === 'desaturate');
+    body.classList.toggle('cc3-today-outline', e.highlightToday && e.todayStyle !== 'highlight');
+    body.classList.toggle('cc3-today-highlight', e.highlightToday && e.todayStyle === 'highlight');
+
+    body.style.setProperty('--cc3-past-opacity', String(1 - amount * 0.8));
+    body.style.setProperty('--cc3-past-grayscale', String(amount));
+    body.style.setProperty('--cc3-today-color', e.todayColor);
+    body.style.setProperty('--cc3-today-tint', hexToRgba(e.todayColor, 0.15));
+  }
+
+  function clearAll() {
+    document.body.classList.remove(...BODY_CLASSES);
+    document.querySelectorAll(`[${STATE_ATTR}]`).forEach((el) => el.removeAttribute(STATE_ATTR));
+  }
+
+  function msUntilMidnight() {
+    const now = new Date();
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 1);
+    return next - now;
+  }
+
+  function checkDayChange() {
+    const today = todayYmd();
+    if (today !== lastToday) {
+      lastToday = today;
+      onDayChange?.();
+    }
+  }
+
+  function armTimer() {
+    clearTimeout(midnightTimer);
+    midnightTimer = setTimeout(() => {
+      checkDayChange();
+      armTimer();
+    }, msUntilMidnight());
+  }
+
+  // Timers don't fire while the machine sleeps, so also re-check when the tab comes back
+  function onVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+      checkDayChange();
+      armTimer();
+    }
+  }
+
+  /**
+   * Call back once the local date changes, without a reload
+   * @param {Function} callback
+   */
+  function watchMidnight(callback) {
+    onDayChange = callback;
+    lastToday = todayYmd();
+    armTimer();
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+  }
+
+  function stopWatching() {
+    clearTimeout(midnightTimer);
+    midnightTimer = null;
+    onDayChange = null;
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+  }
+
+  window.cc3DayEmphasis = {
+    DEFAULTS,
+    isActive,
+    todayYmd,
+    dayState,
+    setState,
+    applyPageState,
+    clearAll,
+    watchMidnight,
+    stopWatching,
+  };
+})();
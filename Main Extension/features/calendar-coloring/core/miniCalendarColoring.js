@@ -0,0 +1,104 @@
+// Day colors in the sidebar mini-calendar (the month navigator left of the main grid).
+// Dates are resolved by the caller's getColorForDate, so they match the main grid in every view.
+// Style 'tint' fills the day cell, 'dot' puts a small colored dot under the day number
+// (content.css draws it from the data attribute).
+(function () {
+  const ROOT_ID = 'drawerMiniMonthNavigator';
+  const PAINTED_ATTR = 'data-cc3-mini-painted';
+  const DOT_ATTR = 'data-cc3-mini-dot';
+  const WHITE_RE = /^#f{3}(f{3})?$/i;
+  let observer = null;
+  let observedRoot = null;
+  let rafId = 0;
+
+  function weekdayOf(ymd) {
+    return new Date(ymd + 'T12:00:00').getDay();
+  }
+
+  function clearElement(el) {
+    window.cc3DayColors.clearFill(el);
+    el.style.removeProperty('--cc3-mini-dot-color');
+    el.removeAttribute(DOT_ATTR);
+    el.removeAttribute(PAINTED_ATTR);
+  }
+
+  function paintElement(el, colorInfo, style) {
+    // A cleared weekday is stored as white, which would only wash out the navigator
+    if (!colorInfo.color || WHITE_RE.test(colorInfo.color)) {
+      if (el.hasAttribute(PAINTED_ATTR)) clearElement(el);
+      return;
+    }
+
+    if (style === 'dot') {
+      window.cc3DayColors.clearFill(el);
+      if (getComputedStyle(el).position === 'static') el.style.position = 'relative';
+      el.style.setProperty('--cc3-mini-dot-color', colorInfo.color);
+      el.setAttribute(DOT_ATTR, '1');
+    } else {
+      // Patterns don't read on days this small
+      window.cc3DayColors.applyFill(el, colorInfo.color, colorInfo.opacity, 'solid', colorInfo.underlay);
+      el.style.removeProperty('--cc3-mini-dot-color');
+      el.removeAttribute(DOT_ATTR);
+    }
+    el.setAttribute(PAINTED_ATTR, '1');
+  }
+
+  function paint(root, settings, getColorForDate) {
+    const config = settings.miniCalendar || {};
+    const parse = window.cc3YearScheduleColoring?.elementYmd;
+    if (!parse) return 0;
+
+    const painted = new Set();
+    root.querySelectorAll('[data-date]').forEach((el) => {
+      const ymd = parse(el);
+      if (!ymd) return;
+      paintElement(el, getColorForDate(settings, ymd, weekdayOf(ymd)), config.style);
+      painted.add(el);
+    });
+    // Cells that lost their date while navigating
+    root.querySelectorAll(`[${PAINTED_ATTR}]`).forEach((el) => {
+      if (!painted.has(el)) clearElement(el);
+    });
+    return painted.size;
+  }
+
+  /**
+   * Paint the mini-calendar and keep it painted as it moves between months
+   * @param {Object} settings - dayColoring settings
+   * @param {Function} getColorForDate - Shared date -> color resolver
+   */
+  function applyMiniCalendarColors(settings, getColorForDate) {
+    if (settings.miniCalendar?.enabled === false) {
+      teardown();
+      return;
+    }
+    // The drawer can be collapsed; the next apply picks the navigator up once it's back
+    const root = document.getElementById(ROOT_ID);
+    if (!root) return;
+
+    paint(root, settings, getColorForDate);
+
+    // Navigating swaps the day cells or their data-date; our own styling is ignored
+    if (observer) observer.disconnect();
+    observedRoot = root;
+    observer = new MutationObserver(() => {
+      cancelAnimationFrame(rafId);
+      rafId = requestAnimationFrame(() => {
+        if (document.contains(observedRoot)) paint(observedRoot, settings, getColorForDate);
+      });
+    });
+    observer.observe(root, { childList: true, subtree: true, attributes: true, attributeFilter: ['data-date'] });
+  }
+
+  function teardown() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    observedRoot = null;
+    cancelAnimationFrame(rafId);
+    document.querySelectorAll(`[${PAINTED_ATTR}]`).forEach(clearElement);
+  }
+
+  window.cc3MiniCalendarColoring = { applyMiniCalendarColors, teardown };
+})();
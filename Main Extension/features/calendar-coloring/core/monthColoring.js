@@ -286,6 +286,8 @@ function headerColumnWeekdayMap() {
 function clearMonthColors() {
   document.querySelectorAll('div.MGaLHf.ChfiMc[data-gce-month-painted="1"]').forEach(el => {
     el.style.backgroundColor = '';
+    el.style.removeProperty('background-image');
+    el.style.removeProperty('background-size');
     el.removeAttribute('data-gce-month-painted');
     el.removeAttribute('data-gce-date-colored');
   });
@@ -352,29 +354,21 @@ function computeColumnPositionMap(cols, startWeekDay) {
   return map;
 }
 
-// ============================================================================
-// COLOR UTILITIES
-// ============================================================================
-
-function hexToRgba(hex, alpha) {
-  if (!hex || hex === '#ffffff') return `rgba(255, 255, 255, ${alpha})`;
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (!result) return `rgba(255, 255, 255, ${alpha})`;
-  const r = parseInt(result[1], 16);
-  const g = parseInt(result[2], 16);
-  const b = parseInt(result[3], 16);
-  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-}
-
 // ============================================================================
 // MAIN PAINTING FUNCTION
 // ============================================================================
 
-function applyMonthViewColors(userColors, opts) {
-  const startWeekDay = opts?.assumeWeekStartsOn ?? 0;
-  const userOpacity = opts?.opacity || {};
-  const dateColors = opts?.dateColors || {};
-  const dateOpacity = opts?.dateOpacity || {};
+// A cleared weekday is stored as white; it means "no color", not a white wash
+const WHITE_RE = /^#f{3}(f{3})?$/i;
+
+/**
+ * Paint the month grid and keep it painted while it re-renders
+ * @param {Object} settings - dayColoring settings
+ * @param {Function} getColorForDate - Shared date -> color resolver, (settings, ymd, weekday) => color info
+ */
+function applyMonthViewColors(settings, getColorForDate) {
+  const startWeekDay = settings.weekStart ?? 0;
+  const labels = { enabled: settings.showDateLabels !== false, fontSize: settings.dateLabelFontSize };
 
   const paint = () => {
     clearMonthColors();
@@ -388,34 +382,27 @@ function applyMonthViewColors(userColors, opts) {
     // Build the datekey map - this is the key to everything!
     const dateKeyMap = buildDateKeyMap();
     const colToPosition = computeColumnPositionMap(cols, startWeekDay);
+    const today = window.cc3DayEmphasis?.todayYmd();
 
     cols.forEach((col, cIdx) => {
       const weekday = colToPosition[cIdx];
-      const defaultColor = userColors[weekday];
-      const defaultOpacity = userOpacity[weekday] || 30;
 
       for (const cell of col.members) {
         // Get date from datekey - simple and reliable!
         const cellDateStr = getCellDateString(cell, dateKeyMap);
-
-        let color = defaultColor;
-        let opacity = defaultOpacity;
-        let isDateSpecific = false;
-
-        // Check for date-specific color
-        if (cellDateStr && dateColors[cellDateStr]) {
-          color = dateColors[cellDateStr];
-          // Use stored date opacity, or default to 30 if not set
-          opacity = dateOpacity[cellDateStr] !== undefined ? dateOpacity[cellDateStr] : 30;
-          isDateSpecific = true;
-        }
-
+        const colorInfo = getColorForDate(settings, cellDateStr, weekday);
+        const color = colorInfo.color && !WHITE_RE.test(colorInfo.color) ? colorInfo.color : null;
+        // The deadline day is usually a date color of its own; the marker shows either way
+        const countdown = cellDateStr && window.cc3DayColors.findMilestone(settings.milestones, cellDateStr);
+
+        window.cc3DateLabels?.setCellLabel(cell, color && labels.enabled ? colorInfo.label : null, color, labels);
+        window.cc3DateLabels?.setDeadlineMarker(cell, countdown?.daysLeft === 0 ? countdown.milestone : null);
+        window.cc3DayEmphasis?.setState(cell, window.cc3DayEmphasis.dayState(cellDateStr, settings.dayEmphasis, today));
         if (!color) continue;
 
-        const rgba = hexToRgba(color, opacity / 100);
-        cell.style.setProperty('background-color', rgba, 'important');
+        window.cc3DayColors.applyFill(cell, color, colorInfo.opacity, colorInfo.fill, colorInfo.underlay);
         cell.setAttribute('data-gce-month-painted', '1');
-        if (isDateSpecific) {
+        if (colorInfo.isDateSpecific) {
           cell.setAttribute('data-gce-date-colored', cellDateStr);
         }
       }
@@ -450,6 +437,8 @@ function teardownMonthPainter() {
     monthMo = null;
   }
   clearMonthColors();
+  document.querySelectorAll('.cc3-date-label-chip').forEach((el) => el.remove());
+  document.querySelectorAll('div.MGaLHf.ChfiMc[data-cc3-day-state]').forEach((el) => el.removeAttribute('data-cc3-day-state'));
 }
 
 // Export
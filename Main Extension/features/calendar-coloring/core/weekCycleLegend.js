@@ -0,0 +1,52 @@
+// On-calendar legend for the week cycle (A/B weeks, on-call rotations, sprints).
+// Lists the cycle's weeks with their tint; the week on screen in day/week view is marked.
+(function () {
+  const LEGEND_ID = 'cc3-week-cycle-legend';
+
+  /**
+   * Show or update the legend
+   * @param {Object} cycle - settings.weekCycle
+   * @param {number|null} activeIndex - Cycle week on screen, null when several are (month/year)
+   */
+  function render(cycle, activeIndex) {
+    const weeks = cycle?.weeks || [];
+    let legend = document.getElementById(LEGEND_ID);
+    if (!legend) {
+      legend = document.createElement('div');
+      legend.id = LEGEND_ID;
+      document.body.appendChild(legend);
+    }
+
+    // Skip rebuilding when nothing changed, the calendar re-renders often
+    const signature = JSON.stringify([weeks, activeIndex]);
+    if (legend.dataset.signature === signature) return;
+    legend.dataset.signature = signature;
+
+    legend.textContent = '';
+    const title = document.createElement('div');
+    title.className = 'cc3-week-cycle-legend-title';
+    title.textContent = activeIndex !== null && activeIndex !== undefined
+      ? `Week ${activeIndex + 1} of ${weeks.length}`
+      : `${weeks.length}-week cycle`;
+    legend.appendChild(title);
+
+    weeks.forEach((week, index) => {
+      const item = document.createElement('div');
+      item.className = 'cc3-week-cycle-legend-item';
+      if (index === activeIndex) item.classList.add('active');
+
+      const swatch = document.createElement('span');
+      swatch.className = 'cc3-week-cycle-legend-swatch';
+      swatch.style.background = week.color || 'transparent';
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(week.label || `Week ${index + 1}`));
+      legend.appendChild(item);
+    });
+  }
+
+  function remove() {
+    document.getElementById(LEGEND_ID)?.remove();
+  }
+
+  window.cc3WeekCycleLegend = { render, remove };
+})();
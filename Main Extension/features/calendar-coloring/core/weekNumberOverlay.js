@@ -0,0 +1,83 @@
+// Week number overlay: a badge in the week/day view header gutter, a left gutter of badges in
+// month view, and optional marks on the first day of each fiscal period.
+// Numbers come from lib/weekNumbers.js; dayColoring works out which element shows which week.
+(function () {
+  const HEADER_CLASS = 'cc3-week-number';
+  const GUTTER_CLASS = 'cc3-week-number-gutter';
+  const BOUNDARY_ATTR = 'data-cc3-period-start';
+
+  // Create or update the badge of one container; unchanged badges are left alone
+  function upsertBadge(container, className, label) {
+    let el = container.querySelector(`:scope > .${className}`);
+    if (el && el.textContent === label.text && el.title === label.title) return el;
+    if (!el) {
+      el = document.createElement('div');
+      el.className = className;
+      container.appendChild(el);
+    }
+    el.textContent = label.text;
+    el.title = label.title;
+    return el;
+  }
+
+  function removeStale(className, keep) {
+    document.querySelectorAll(`.${className}`).forEach((el) => {
+      if (!keep.has(el)) el.remove();
+    });
+  }
+
+  /**
+   * Show the week number in the week/day view header
+   * @param {Element|null} header - Header cell to hold the badge (the time gutter when there is one)
+   * @param {{text: string, title: string}|null} label
+   */
+  function renderWeekHeader(header, label) {
+    const keep = new Set();
+    if (header && label) keep.add(upsertBadge(header, HEADER_CLASS, label));
+    removeStale(HEADER_CLASS, keep);
+    removeStale(GUTTER_CLASS, new Set());
+  }
+
+  /**
+   * Show week numbers down the left edge of the month grid
+   * @param {Array<{row: Element, label: {text: string, title: string}|null}>} rows
+   */
+  function renderMonthGutter(rows) {
+    const keep = new Set();
+    for (const { row, label } of rows) {
+      if (!row || !label) continue;
+      if (getComputedStyle(row).position === 'static') row.style.position = 'relative';
+      keep.add(upsertBadge(row, GUTTER_CLASS, label));
+    }
+    removeStale(GUTTER_CLASS, keep);
+    removeStale(HEADER_CLASS, new Set());
+  }
+
+  /**
+   * Mark (or unmark) the elements of days on which a fiscal period starts
+   * @param {Array<{el: Element, boundary: {label: string, yearStart: boolean}|null}>} entries
+   *   (the label is shown by the week badge's tooltip, not here)
+   * @param {string} color - Boundary line color
+   */
+  function markBoundaries(entries, color) {
+    document.body.style.setProperty('--cc3-period-color', color || '#7c3aed');
+    const marked = new Set();
+    for (const { el, boundary } of entries) {
+      if (!el || !boundary) continue;
+      const value = boundary.yearStart ? 'year' : 'period';
+      if (el.getAttribute(BOUNDARY_ATTR) !== value) el.setAttribute(BOUNDARY_ATTR, value);
+      marked.add(el);
+    }
+    document.querySelectorAll(`[${BOUNDARY_ATTR}]`).forEach((el) => {
+      if (!marked.has(el)) el.removeAttribute(BOUNDARY_ATTR);
+    });
+  }
+
+  function clear() {
+    removeStale(HEADER_CLASS, new Set());
+    removeStale(GUTTER_CLASS, new Set());
+    markBoundaries([]);
+  }
+
+  window.cc3WeekNumberOverlay = { renderWeekHeader, renderMonthGutter, markBoundaries, clear };
+})();
@@ -0,0 +1,175 @@
+// Day coloring for Year view (mini-month grids) and Schedule view (date group header rows).
+// Dates are resolved by the caller's getColorForDate, so precedence matches the other views.
+(function () {
+  const PAINTED_ATTR = 'data-cc3-extra-view-painted';
+  const YEAR_VIEWS = ['year'];
+  const SCHEDULE_VIEWS = ['agenda', 'schedule'];
+  let observer = null;
+  let rafId = 0;
+
+  /**
+   * Decode a Google Calendar datekey: ((year - 1970) << 9) | (month << 5) | day
+   * e.g. 28545 -> 2025-12-01
+   * @param {string|number} dateKey
+   * @returns {string|null} YYYY-MM-DD
+   */
+  function dateKeyToYmd(dateKey) {
+    const n = parseInt(dateKey, 10);
+    if (!Number.isFinite(n) || n <= 0) return null;
+    const year = 1970 + (n >> 9);
+    const month = (n >> 5) & 15;
+    const day = n & 31;
+    if (month < 1 || month > 12 || day < 1) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // data-date comes as YYYY-MM-DD or YYYYMMDD depending on the widget
+  function parseDateAttr(value) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  function elementYmd(el) {
+    return parseDateAttr(el.getAttribute('data-date')) || dateKeyToYmd(el.getAttribute('data-datekey'));
+  }
+
+  function weekdayOf(ymd) {
+    return new Date(ymd + 'T12:00:00').getDay();
+  }
+
+  function paintElement(el, colorInfo, state, { solid }) {
+    const emphasis = window.cc3DayEmphasis;
+    if (emphasis) emphasis.setState(el, state);
+
+    if (!colorInfo.color) {
+      clearElement(el);
+      return;
+    }
+    // Patterns don't read on tiny year view days, so those stay solid
+    window.cc3DayColors.applyFill(el, colorInfo.color, colorInfo.opacity, solid ? 'solid' : colorInfo.fill, colorInfo.underlay);
+    // Remember whether the title is ours, so clearing leaves Google's own titles alone
+    const ownsTitle = el.getAttribute(PAINTED_ATTR) === 'title' || !el.title;
+    if (ownsTitle && colorInfo.label) {
+      el.title = colorInfo.label;
+      el.setAttribute(PAINTED_ATTR, 'title');
+    } else {
+      if (ownsTitle) el.removeAttribute('title');
+      el.setAttribute(PAINTED_ATTR, '1');
+    }
+  }
+
+  function clearElement(el) {
+    if (!el.hasAttribute(PAINTED_ATTR)) return;
+    window.cc3DayColors.clearFill(el);
+    if (el.getAttribute(PAINTED_ATTR) === 'title') el.removeAttribute('title');
+    el.removeAttribute(PAINTED_ATTR);
+  }
+
+  /**
+   * Year view: every day cell of the mini-month grids inside the main area
+   * @param {Function} getColorForDate - (settings, ymd, weekday) => color info
+   */
+  function paintYearView(settings, getColorForDate, today) {
+    const main = document.querySelector('[role="main"]');
+    if (!main) return 0;
+
+    let painted = 0;
+    main.querySelectorAll('[data-date], [data-datekey]').forEach((el) => {
+      const ymd = elementYmd(el);
+      if (!ymd) return;
+      const state = window.cc3DayEmphasis?.dayState(ymd, settings.dayEmphasis, today) ?? null;
+      paintElement(el, getColorForDate(settings, ymd, weekdayOf(ymd)), state, { solid: true });
+      painted++;
+    });
+    return painted;
+  }
+
+  /**
+   * Schedule view: the row that starts each date group
+   * @param {Function} getColorForDate - (settings, ymd, weekday) => color info
+   */
+  function paintScheduleView(settings, getColorForDate, today) {
+    const main = document.querySelector('[role="main"]');
+    if (!main) return 0;
+
+    // Several elements of one group may carry the key; color each group row once
+    const rows = new Map();
+    main.querySelectorAll('[data-datekey], [data-date]').forEach((el) => {
+      const ymd = elementYmd(el);
+      const row = el.closest('[role="row"]') || el;
+      if (ymd && !rows.has(row)) rows.set(row, ymd);
+    });
+
+    for (const [row, ymd] of rows) {
+      const state = window.cc3DayEmphasis?.dayState(ymd, settings.dayEmphasis, today) ?? null;
+      paintElement(row, getColorForDate(settings, ymd, weekdayOf(ymd)), state, { solid: false });
+    }
+    return rows.size;
+  }
+
+  // Every date shown in the main area (for fetching data about the visible span)
+  function getVisibleDates() {
+    const main = document.querySelector('[role="main"]');
+    if (!main) return [];
+    const dates = new Set();
+    main.querySelectorAll('[data-date], [data-datekey]').forEach((el) => {
+      const ymd = elementYmd(el);
+      if (ymd) dates.add(ymd);
+    });
+    return [...dates];
+  }
+
+  function isYearView(view) {
+    return YEAR_VIEWS.includes(view);
+  }
+
+  function isScheduleView(view) {
+    return SCHEDULE_VIEWS.includes(view);
+  }
+
+  function isHandledView(view) {
+    return isYearView(view) || isScheduleView(view);
+  }
+
+  /**
+   * Paint the current Year or Schedule view and keep it painted while it scrolls or re-renders
+   * @param {string} view - Lower-cased body data-viewkey
+   * @param {Object} settings - dayColoring settings
+   * @param {Function} getColorForDate - Shared date -> color resolver
+   */
+  function applyExtraViewColors(view, settings, getColorForDate) {
+    const paint = () => {
+      const today = window.cc3DayEmphasis?.todayYmd();
+      if (isYearView(view)) paintYearView(settings, getColorForDate, today);
+      else paintScheduleView(settings, getColorForDate, today);
+    };
+    paint();
+
+    // Schedule view loads more days while scrolling; only childList changes, our own styling is ignored
+    const root = document.querySelector('[role="main"]') || document.body;
+    if (observer) observer.disconnect();
+    observer = new MutationObserver(() => {
+      cancelAnimationFrame(rafId);
+      rafId = requestAnimationFrame(paint);
+    });
+    observer.observe(root, { childList: true, subtree: true });
+  }
+
+  function teardown() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    cancelAnimationFrame(rafId);
+    document.querySelectorAll(`[${PAINTED_ATTR}]`).forEach(clearElement);
+  }
+
+  window.cc3YearScheduleColoring = {
+    dateKeyToYmd,
+    elementYmd,
+    getVisibleDates,
+    isHandledView,
+    applyExtraViewColors,
+    teardown,
+  };
+})();
@@ -69,9 +69,11 @@
           const dt = new Date(y, m - 1, d);
           dt.setDate(dt.getDate() + pos);
           const wd = dt.getDay();
-          const bg = settings.weekdayColors?.[String(wd)] || '#ffffff';
-          const fg = getTextColorForBg(bg);
-          vars.push(`--cc3-pos-bg-${pos}: ${hexToRgba(bg, 0.3)}; --cc3-pos-fg-${pos}: ${fg};`);
+          const ymd = `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`;
+          const { color, opacity } = window.cc3DayColors.resolveDayColor(settings, ymd, wd);
+          // Uncolored days leave the position unset rather than washing it white
+          if (!color) continue;
+          vars.push(`--cc3-pos-bg-${pos}: ${hexToRgba(color, opacity / 100)}; --cc3-pos-fg-${pos}: ${getTextColorForBg(color)};`);
         }
       }
       css += `\n[role='grid'] > [data-start-date-key='${start}']{${vars.join(' ')}}`;
@@ -2575,7 +2575,7 @@ export class ColorPickerInjector {
       currentColor = colorData?.hex;
     } else if (this.storageService.getEventColor) {
       const colorData = await this.storageService.getEventColor(eventId);
-      currentColor = typeof colorData === 'string' ? colorData : colorData?.hex;
+      currentColor = colorData?.hex;
     }
 
     // Setup cleanup handlers: when user clicks Google color, remove our ColorKit color
@@ -56,38 +56,13 @@ export class ColorRenderer {
   }
 
   /**
-   * Normalize event color data (handles both old and new formats)
-   * @param {Object|string} colorData - Raw color data
+   * Normalize event color data (current format only - older formats are migrated on update)
+   * @param {Object} colorData - Raw color data
    * @returns {Object} Normalized { background, text, border, borderWidth, hex, isRecurring }
    */
   normalizeColorData(colorData) {
     if (!colorData) return null;
 
-    // Handle string format (very old)
-    if (typeof colorData === 'string') {
-      return {
-        background: colorData,
-        text: null,
-        border: null,
-        borderWidth: 2, // Default border width
-        hex: colorData,
-        isRecurring: false,
-      };
-    }
-
-    // Handle old format with only hex
-    if (colorData.hex && !colorData.background && colorData.background !== null) {
-      return {
-        background: colorData.hex,
-        text: null,
-        border: null,
-        borderWidth: colorData.borderWidth || 2, // Default if not set
-        hex: colorData.hex,
-        isRecurring: colorData.isRecurring || false,
-      };
-    }
-
-    // New format - return as-is with defaults
     return {
       background: colorData.background || null,
       text: colorData.text || null,
@@ -353,7 +328,7 @@ export class ColorRenderer {
       const colorData = await this.findColorForEvent(eventId, eventColors);
       if (!colorData) return;
 
-      const color = typeof colorData === 'string' ? colorData : colorData.hex;
+      const color = colorData.hex;
 
       // Find and update the color selector
       const colorSelector = document.querySelector(EVENT_SELECTORS.EDITOR.COLOR_SELECTOR);
@@ -376,7 +351,7 @@ export class ColorRenderer {
     const colorData = await this.findColorForEvent(eventId, eventColors);
     if (!colorData) return;
 
-    const color = typeof colorData === 'string' ? colorData : colorData.hex;
+    const color = colorData.hex;
 
     // Find and update color indicators in the viewer
     const colorIndicators = viewerDialog.querySelectorAll(EVENT_SELECTORS.VIEWER.COLOR_INDICATOR);
@@ -391,30 +366,15 @@ export class ColorRenderer {
    * Find the color for an event, considering recurring events
    */
   async findColorForEvent(eventId, eventColors = null) {
+    let index = null;
     if (!eventColors) {
-      eventColors = await this.storageService.getAllEventColors();
-    }
-
-    // Direct match
-    if (eventColors[eventId]) {
-      return eventColors[eventId];
-    }
-
-    // Check for recurring event match
-    const parsedEvent = EventIdUtils.fromEncoded(eventId);
-    if (parsedEvent.type !== 'calendar') return null;
-
-    // Look for a matching recurring event
-    for (const [storedId, colorData] of Object.entries(eventColors)) {
-      if (typeof colorData === 'object' && colorData.isRecurring) {
-        const storedParsed = EventIdUtils.fromEncoded(storedId);
-        if (EventIdUtils.matchesEvent(parsedEvent, storedParsed)) {
-          return colorData;
-        }
-      }
+      ({ eventColors, index } = await this.storageService.getIndexedEventColors());
+    } else {
+      index = this.storageService.buildEventColorIndex(eventColors);
     }
 
-    return null;
+    const storageId = this.storageService.resolveEventColorId(eventColors, index, eventId);
+    return storageId ? eventColors[storageId] : null;
   }
 
   /**
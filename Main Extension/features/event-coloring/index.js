@@ -22,6 +22,7 @@
   // ========================================
   let settings = {};
   let eventColors = {};
+  let eventColorIndex = { size: 0, byBaseId: {}, byCalendar: {} }; // Series/calendar index over eventColors (see cc3Storage)
   let categories = {};
   let templates = {}; // Color templates: templateId → { id, name, background, text, border, borderWidth, categoryId }
   let calendarColors = {}; // Cache: calendarId → { backgroundColor, foregroundColor } (from Google API)
@@ -950,7 +951,7 @@
     }
 
     // Load event colors from storage
-    eventColors = await window.cc3Storage.getAllEventColors();
+    await loadEventColors();
     console.log('[EventColoring] Loaded', Object.keys(eventColors).length, 'event colors');
 
     // Load calendar default colors (user-defined per-calendar colors)
@@ -1862,7 +1863,7 @@
             await window.cc3Storage.removeEventColor(eventId);
           }
           // Clear from local cache so list coloring takes effect immediately
-          delete eventColors[eventId];
+          deleteCachedEventColor(eventId);
           closeColorPicker();
           // Refresh colors from storage and re-apply
           await refreshColors();
@@ -1872,7 +1873,7 @@
     } else {
       await window.cc3Storage.removeEventColor(eventId);
       // Clear from local cache so list coloring takes effect immediately
-      delete eventColors[eventId];
+      deleteCachedEventColor(eventId);
       closeColorPicker();
       // Refresh colors from storage and re-apply
       await refreshColors();
@@ -1939,12 +1940,12 @@
         onConfirm: async (applyToAll) => {
           await window.cc3Storage.saveEventColorsFullAdvanced(eventId, colors, { applyToAll });
           // Update local cache
-          eventColors[eventId] = {
+          setCachedEventColor(eventId, {
             ...colors,
             hex: template.background,
             isRecurring: applyToAll,
             appliedAt: Date.now()
-          };
+          });
           applyStoredColors();
         },
         onClose: () => {}
@@ -1952,12 +1953,12 @@
     } else {
       await window.cc3Storage.saveEventColorsFullAdvanced(eventId, colors, { applyToAll: false });
       // Update local cache so applyStoredColors uses the new colors
-      eventColors[eventId] = {
+      setCachedEventColor(eventId, {
         ...colors,
         hex: template.background,
         isRecurring: false,
         appliedAt: Date.now()
-      };
+      });
       applyStoredColors();
     }
   }
@@ -2114,12 +2115,12 @@
           // For recurring events, mark the entire series
           await window.cc3Storage.markRecurringEventForGoogleColors(eventId);
           // Update local cache
-          eventColors[eventId] = { useGoogleColors: true, isRecurring: true, appliedAt: Date.now() };
+          setCachedEventColor(eventId, { useGoogleColors: true, isRecurring: true, appliedAt: Date.now() });
         } else {
           // For single events
           await window.cc3Storage.markEventForGoogleColors(eventId);
           // Update local cache
-          eventColors[eventId] = { useGoogleColors: true, appliedAt: Date.now() };
+          setCachedEventColor(eventId, { useGoogleColors: true, appliedAt: Date.now() });
         }
 
         // Trigger re-render - mergeEventColors will return null for this event
@@ -2705,7 +2706,7 @@
           }
 
           // Update local cache with the flag
-          eventColors[eventId] = { useGoogleColors: true };
+          setCachedEventColor(eventId, { useGoogleColors: true });
 
           closeColorPickerMenus();
           // Force reload to ensure Google's colors are re-applied
@@ -2718,7 +2719,7 @@
     } else {
       // Single event - mark to use Google colors (bypasses list defaults)
       await window.cc3Storage.markEventForGoogleColors(eventId);
-      eventColors[eventId] = { useGoogleColors: true };
+      setCachedEventColor(eventId, { useGoogleColors: true });
 
       closeColorPickerMenus();
       window.location.reload();
@@ -2765,7 +2766,7 @@
           }
 
           // Clear from local cache
-          delete eventColors[eventId];
+          deleteCachedEventColor(eventId);
 
           closeColorPickerMenus();
           // Refresh colors from storage and re-apply
@@ -2776,7 +2777,7 @@
     } else {
       // Single event - just remove custom color to let list defaults apply
       await window.cc3Storage.removeEventColor(eventId);
-      delete eventColors[eventId];
+      deleteCachedEventColor(eventId);
 
       closeColorPickerMenus();
       // Refresh colors from storage and re-apply
@@ -3374,7 +3375,7 @@
             console.log('[EventColoring] Recurring clear confirmed, applyToAll:', applyToAll);
             // Remove the event color from storage
             await window.cc3Storage.removeEventColor(eventId);
-            delete eventColors[eventId];
+            deleteCachedEventColor(eventId);
 
             // Close modal and color picker
             if (activeColorModal) {
@@ -3393,7 +3394,7 @@
       } else {
         // Single event - remove color and refresh
         await window.cc3Storage.removeEventColor(eventId);
-        delete eventColors[eventId];
+        deleteCachedEventColor(eventId);
 
         // Close the modal first
         if (activeColorModal) {
@@ -3477,7 +3478,7 @@
 
     // IMPORTANT: Update local cache FIRST for immediate effect
     // This prevents race conditions where MutationObserver fires before storage save completes
-    eventColors[eventId] = colorData;
+    setCachedEventColor(eventId, colorData);
     console.log('[EventColoring] Updated local cache FIRST for event:', eventId.slice(0, 30) + '...', 'borderWidth:', colorData.borderWidth);
 
     // Then save to storage (async, can complete in background)
@@ -3513,9 +3514,9 @@
     // Update local cache FIRST for immediate effect (before async storage operations)
     if (applyToAll && parsed.isRecurring) {
       const baseStorageId = EventIdUtils.toEncodedEventId(parsed.decodedId, parsed.emailSuffix);
-      eventColors[baseStorageId] = colorData;
+      setCachedEventColor(baseStorageId, colorData);
     } else {
-      eventColors[eventId] = colorData;
+      setCachedEventColor(eventId, colorData);
     }
 
     if (applyToAll && parsed.isRecurring) {
@@ -3528,14 +3529,7 @@
       }
 
       // Clean up individual instance colors (cache was already updated at function start)
-      Object.keys(eventColors).forEach((storedId) => {
-        try {
-          const storedParsed = EventIdUtils.fromEncoded(storedId);
-          if (storedParsed.decodedId === parsed.decodedId && storedId !== baseStorageId) {
-            delete eventColors[storedId];
-          }
-        } catch (e) {}
-      });
+      removeCachedSeries(eventId, baseStorageId);
     } else {
       await saveFullColors(eventId, colors);
     }
@@ -3986,12 +3980,12 @@
       });
     } else {
       await window.cc3Storage.saveEventColorsFullAdvanced(eventId, colorsWithOverride, { applyToAll: false });
-      eventColors[eventId] = {
+      setCachedEventColor(eventId, {
         ...colorsWithOverride,
         hex: colors.background,
         isRecurring: false,
         appliedAt: Date.now()
-      };
+      });
       updateGoogleColorSwatch(eventId, colors.background);
       if (keepOpen) {
         refreshColorPickerPanel(eventId);
@@ -4042,12 +4036,12 @@
     } else {
       // Single event - save with explicit overrides
       await window.cc3Storage.saveEventColorsFullAdvanced(eventId, colors, { applyToAll: false });
-      eventColors[eventId] = {
+      setCachedEventColor(eventId, {
         ...colors,
         hex: colorHex,
         isRecurring: false,
         appliedAt: Date.now()
-      };
+      });
       updateGoogleColorSwatch(eventId, colorHex);
       if (keepOpen) {
         refreshColorPickerPanel(eventId);
@@ -4141,56 +4135,23 @@
       }
 
       // Update local cache
-      eventColors[baseStorageId] = { hex: colorHex, isRecurring: true, appliedAt: Date.now() };
+      setCachedEventColor(baseStorageId, window.cc3Storage.createHexColorRecord(colorHex, true));
 
       // Clean up individual instance colors
-      Object.keys(eventColors).forEach((storedId) => {
-        try {
-          const storedParsed = EventIdUtils.fromEncoded(storedId);
-          if (storedParsed.decodedId === parsed.decodedId && storedId !== baseStorageId) {
-            delete eventColors[storedId];
-          }
-        } catch (e) {}
-      });
+      removeCachedSeries(eventId, baseStorageId);
     } else {
       await window.cc3Storage.saveEventColor(eventId, colorHex, false);
-      eventColors[eventId] = { hex: colorHex, isRecurring: false, appliedAt: Date.now() };
+      setCachedEventColor(eventId, window.cc3Storage.createHexColorRecord(colorHex, false));
     }
   }
 
   /**
-   * Normalize color data from storage (handles old and new formats)
+   * Normalize color data from storage (current format only - older formats are migrated on update)
    * Preserves borderWidth if set, otherwise returns null to allow inheritance from calendar
    */
   function normalizeColorData(colorData) {
     if (!colorData) return null;
 
-    // Handle string format (very old)
-    if (typeof colorData === 'string') {
-      return {
-        background: colorData,
-        text: null,
-        border: null,
-        borderWidth: null, // Allow inheritance from calendar
-        hex: colorData,
-        isRecurring: false,
-      };
-    }
-
-    // Handle old format with only hex
-    if (colorData.hex && !colorData.background && colorData.background !== null) {
-      return {
-        background: colorData.hex,
-        text: null,
-        border: null,
-        // Use null-coalescing to preserve 0 if somehow set, but treat undefined as null
-        borderWidth: colorData.borderWidth ?? null,
-        hex: colorData.hex,
-        isRecurring: colorData.isRecurring || false,
-      };
-    }
-
-    // New format - return as-is with proper null handling
     // Use null-coalescing (??) to preserve explicit values including 0
     return {
       background: colorData.background || null,
@@ -4205,26 +4166,36 @@
   }
 
   function findColorForEvent(eventId) {
-    // Direct match
-    if (eventColors[eventId]) {
-      return normalizeColorData(eventColors[eventId]);
-    }
+    const storageId = window.cc3Storage.resolveEventColorId(eventColors, eventColorIndex, eventId);
+    return storageId ? normalizeColorData(eventColors[storageId]) : null;
+  }
 
-    // Check for recurring event match
-    const parsed = EventIdUtils.fromEncoded(eventId);
-    if (parsed.type !== 'calendar') return null;
-
-    for (const [storedId, colorData] of Object.entries(eventColors)) {
-      const normalized = normalizeColorData(colorData);
-      if (normalized && normalized.isRecurring) {
-        const storedParsed = EventIdUtils.fromEncoded(storedId);
-        if (EventIdUtils.matchesEvent(parsed, storedParsed)) {
-          return normalized;
-        }
-      }
-    }
+  // ========================================
+  // LOCAL EVENT COLOR CACHE
+  // ========================================
+  // eventColors mirrors cf.eventColors for synchronous rendering; every local change goes through
+  // these helpers so eventColorIndex stays in step and lookups never scan the whole map.
 
-    return null;
+  async function loadEventColors() {
+    const { eventColors: stored, index } = await window.cc3Storage.getIndexedEventColors();
+    eventColors = stored;
+    eventColorIndex = index;
+  }
+
+  function setCachedEventColor(eventId, colorData) {
+    window.cc3Storage.applyEventColorOp(eventColors, { type: 'set', eventId, record: colorData }, eventColorIndex);
+    eventColorIndex.size = Object.keys(eventColors).length;
+  }
+
+  function deleteCachedEventColor(eventId) {
+    window.cc3Storage.applyEventColorOp(eventColors, { type: 'remove', eventId }, eventColorIndex);
+    eventColorIndex.size = Object.keys(eventColors).length;
+  }
+
+  // Drop every cached record of eventId's series except keepId
+  function removeCachedSeries(eventId, keepId) {
+    window.cc3Storage.applyEventColorOp(eventColors, { type: 'removeSeries', eventId, keepId }, eventColorIndex);
+    eventColorIndex.size = Object.keys(eventColors).length;
   }
 
   // ========================================
@@ -4232,7 +4203,7 @@
   // ========================================
 
   async function refreshColors() {
-    eventColors = await window.cc3Storage.getAllEventColors();
+    await loadEventColors();
     calendarDefaultColors = await window.cc3Storage.getEventCalendarColors();
     applyStoredColors();
 
@@ -4261,24 +4232,6 @@
       console.log('[EventColoring] Could not refresh calendar colors:', e);
     }
 
-    // Build lookup maps for manual colors
-    const recurringEventColors = new Map(); // base event ID -> colors
-    const singleEventColors = new Map(); // exact event ID -> colors
-
-    Object.entries(eventColors).forEach(([eventId, colorData]) => {
-      const normalized = normalizeColorData(colorData);
-      if (!normalized) return;
-
-      if (normalized.isRecurring) {
-        const parsed = EventIdUtils.fromEncoded(eventId);
-        if (parsed.type === 'calendar') {
-          recurringEventColors.set(parsed.decodedId, normalized);
-        }
-      } else {
-        singleEventColors.set(eventId, normalized);
-      }
-    });
-
     // Apply colors to all event elements
     // Merge manual colors with calendar defaults - each property independent
     const allEventElements = document.querySelectorAll('[data-eventid]');
@@ -4293,16 +4246,8 @@
       const eventId = element.getAttribute('data-eventid');
       if (!eventId) return;
 
-      // Get manual colors for this event (single or recurring)
-      let manualColors = singleEventColors.get(eventId);
-
-      if (!manualColors) {
-        // Check for recurring event colors
-        const parsed = EventIdUtils.fromEncoded(eventId);
-        if (parsed.type === 'calendar') {
-          manualColors = recurringEventColors.get(parsed.decodedId);
-        }
-      }
+      // Get manual colors for this event (single or recurring) - indexed, no per-pass rebuild
+      const manualColors = findColorForEvent(eventId);
 
       // Get calendar default colors
       const calendarDefaultColorsForEvent = getCalendarDefaultColorsForEvent(eventId);
@@ -4681,6 +4626,9 @@
       window.cc3Storage.getEventColoringSettings().then((freshSettings) => {
         init(freshSettings).catch((err) => console.error('[EventColoring] Reinit failed:', err));
       });
+    } else if (message.type === 'EVENT_COLORS_CLEANED') {
+      // Background pruned stale entries - drop them from the in-memory copy too
+      refreshColors();
     } else if (message.type === 'EVENT_CALENDAR_COLORS_CHANGED') {
       // User changed per-calendar default colors in popup
       // Use colors from message to avoid race conditions with storage
@@ -1,6 +1,29 @@
 // Time Blocking Feature - Main entry point
 // Provides visual time blocks on Google Calendar days
 (function () {
+  const COSMETIC_SETTINGS = ['globalColor', 'shadingStyle'];
+  const COSMETIC_BLOCK_FIELDS = ['color', 'style'];
+
+  // Blocks without the fields updateBlockColors can change in place
+  const blockLayout = (blocks) =>
+    JSON.stringify(
+      (Array.isArray(blocks) ? blocks : []).map((block) => {
+        const rest = { ...block };
+        COSMETIC_BLOCK_FIELDS.forEach((field) => delete rest[field]);
+        return rest;
+      }),
+    );
+
+  // Whether a timeBlocking.* change only affects how existing blocks look
+  function isCosmeticChange({ segments, oldValue, newValue }) {
+    const [, key, dayOrDate] = segments;
+    if (segments.length === 2 && COSMETIC_SETTINGS.includes(key)) return true;
+    if (dayOrDate && (key === 'weeklySchedule' || key === 'dateSpecificSchedule')) {
+      return blockLayout(oldValue) === blockLayout(newValue);
+    }
+    return false;
+  }
+
   const feature = {
     id: 'timeBlocking',
     name: 'Time Blocking',
@@ -27,7 +50,7 @@
           } else if (message.type === 'timeBlockingColorChanged') {
             // Real-time color updates
             this.state.settings = message.settings;
-            this.initializeCore();
+            this.syncCoreSettings();
             this.updateColors();
             sendResponse({ success: true });
           }
@@ -220,6 +243,13 @@
         return;
       }
 
+      if (isColorOnlyChange && this.state.observer) {
+        // Already running: hand core the new settings and recolor in place, no re-init
+        this.syncCoreSettings();
+        this.updateColors();
+        return;
+      }
+
       // Re-initialize fully when enabling (includes observer restart)
       this.initializeCore();
 
@@ -228,15 +258,24 @@
         this.startObserver();
       }
 
-      if (isColorOnlyChange && window.cc3TimeBlocking && window.cc3TimeBlocking.core) {
-        // Just update colors without full re-render for better performance
-        window.cc3TimeBlocking.core.updateBlockColors();
-      } else {
-        // Force render to ensure blocks appear after toggle
-        this.forceRender();
+      // Force render to ensure blocks appear after toggle
+      this.forceRender();
+    },
+
+    // Point core at the current settings without re-creating its tooltip
+    syncCoreSettings: function () {
+      if (window.cc3TimeBlocking && window.cc3TimeBlocking.core) {
+        window.cc3TimeBlocking.core.settings = this.state.settings || {};
       }
     },
 
+    // Storage-level change with a diff (see cc3Storage.onSettingsChanged): recolor blocks in place
+    // when only colors or shading styles changed, otherwise re-render
+    applySettingsDiff: function (newSettings, diff) {
+      const wasEnabled = !!this.state.settings?.enabled;
+      this.onSettingsChanged(newSettings, wasEnabled && diff.changes.every(isCosmeticChange));
+    },
+
     // Handle just color updates for real-time changes
     updateColors: function () {
       if (!this.state.settings?.enabled) return;
@@ -0,0 +1,534 @@
+// Day color resolution shared by the calendar painters, columnCss and the popup
+// (no module syntax so it can load in content scripts and pages)
+//
+// A day's color comes from, in order:
+//   1. dateColors     - a color set for that exact date
+//   2. milestones     - countdown to a deadline: the days before it get a tint that strengthens
+//                       as the deadline nears; where windows overlap the nearest deadline wins
+//   3. dateRanges     - vacations, conferences, sprints; the shortest covering range wins,
+//                       ties go to the range added last
+//   4. dayColorRules  - recurring rules; the highest priority match wins, ties go to list order
+//   5. weekdayColors  - the plain per-weekday color
+//
+// Underneath all of them sits the week cycle (weekCycle), a tint per week for A/B rotations,
+// on-call weeks or sprints: { enabled, anchorDate, weeks: [{ label, color, opacity }] }.
+// anchorDate falls in the cycle's first week; weeks start on settings.weekStart. The cycle
+// week shows through as the bottom background layer, or alone on days without another color.
+//
+// Range shape: { id, startDate, endDate, color, opacity, label, weekdaysOnly, fill }
+//   weekdaysOnly skips Saturdays and Sundays inside the range
+//
+// Milestone shape: { id, date, leadDays, color, opacity, label }
+//   The deadline day itself is a regular date color (dateColors/dateOpacity/dateColorLabels) that
+//   storage writes when the milestone is saved; opacity is the deadline's and the ramp's peak.
+//
+// Every color can be drawn with a fill (FILL_STYLES): weekdayFills / dateFills map weekdays and
+// dates to a fill, ranges and rules carry their own `fill`. Missing means solid.
+//
+// Rule shape: { id, type, color, opacity, priority, enabled, label, fill, startDate, endDate, ...type fields }
+//   nthWeekday   { weekday: 0-6, nth: [1-5 | -1] }       'first Monday', 'last Friday' of the month
+//   everyNWeeks  { interval: N, weekdays: [0-6] }       every Nth week counted from startDate
+//                                                         (no weekdays = the whole week)
+//   dayOfMonth   { days: [1-31 | -1..-7] }              negative days count back from the month's end
+(function () {
+  const RULE_TYPES = {
+    nthWeekday: 'Nth weekday of the month',
+    everyNWeeks: 'Every N weeks',
+    dayOfMonth: 'Day of the month',
+  };
+
+  const FILL_STYLES = {
+    solid: 'Solid',
+    stripes: 'Stripes',
+    dots: 'Dots',
+    crosshatch: 'Crosshatch',
+    gradient: 'Gradient',
+  };
+
+  const DEFAULT_RULE_OPACITY = 30;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const HEX_COLOR_RE = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+  const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  function parseYmd(ymd) {
+    if (!YMD_RE.test(ymd || '')) return null;
+    const [year, month, day] = ymd.split('-').map(Number);
+    // Day numbers are counted in UTC so DST changes never shift a week boundary
+    const dayNumber = Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+    const weekday = new Date(dayNumber * DAY_MS).getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { year, month, day, dayNumber, weekday, daysInMonth };
+  }
+
+  function ordinal(n) {
+    if (n === -1) return 'last';
+    const words = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth' };
+    return words[n] || `${n}th`;
+  }
+
+  function dayOfMonthLabel(day) {
+    if (day === -1) return 'last day';
+    if (day < -1) return `${dayOfMonthLabel(-day)} to last day`;
+    const suffix = day % 10 === 1 && day !== 11 ? 'st' : day % 10 === 2 && day !== 12 ? 'nd' : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+    return `${day}${suffix}`;
+  }
+
+  function hexToRgba(hex, alpha) {
+    let v = (hex || '#ffffff').replace('#', '');
+    if (v.length === 3) v = v.split('').map((c) => c + c).join('');
+    const num = parseInt(v, 16) || 0;
+    return `rgba(${(num >> 16) & 255}, ${(num >> 8) & 255}, ${num & 255}, ${alpha})`;
+  }
+
+  /**
+   * Background layers that draw a day color with a fill. Patterns keep a faint wash of the
+   * color underneath so a hashed (tentative) day still reads as the same color as a solid one.
+   * @param {string} color - Hex color
+   * @param {number} opacity - 0-100
+   * @param {string} fill - Key of FILL_STYLES (default solid)
+   * @returns {{backgroundColor: string, backgroundImage: string, backgroundSize: string}}
+   */
+  function getFillStyle(color, opacity, fill = 'solid') {
+    const alpha = opacity / 100;
+    const strong = hexToRgba(color, alpha);
+    const wash = hexToRgba(color, alpha * 0.3);
+    switch (fill) {
+      case 'stripes':
+        return {
+          backgroundColor: wash,
+          backgroundImage: `repeating-linear-gradient(45deg, ${strong} 0 6px, transparent 6px 12px)`,
+          backgroundSize: 'auto',
+        };
+      case 'crosshatch':
+        return {
+          backgroundColor: wash,
+          backgroundImage: `repeating-linear-gradient(45deg, ${strong} 0 2px, transparent 2px 8px), repeating-linear-gradient(-45deg, ${strong} 0 2px, transparent 2px 8px)`,
+          backgroundSize: 'auto',
+        };
+      case 'dots':
+        return {
+          backgroundColor: wash,
+          backgroundImage: `radial-gradient(${strong} 1.5px, transparent 2px)`,
+          backgroundSize: '8px 8px',
+        };
+      case 'gradient':
+        return {
+          backgroundColor: 'transparent',
+          backgroundImage: `linear-gradient(to bottom, ${strong}, ${hexToRgba(color, 0)})`,
+          backgroundSize: 'auto',
+        };
+      default:
+        return { backgroundColor: strong, backgroundImage: 'none', backgroundSize: 'auto' };
+    }
+  }
+
+  /**
+   * Put a second color underneath a fill: the underlay becomes the background color and the
+   * fill's own color moves up into an image layer
+   * @param {Object} style - getFillStyle result
+   * @param {{color: string, opacity: number}|null} underlay
+   */
+  function layerOver(style, underlay) {
+    if (!underlay?.color) return style;
+    const images = style.backgroundImage === 'none' ? [] : [style.backgroundImage];
+    const sizes = images.length ? [style.backgroundSize] : [];
+    if (style.backgroundColor !== 'transparent') {
+      images.push(`linear-gradient(${style.backgroundColor}, ${style.backgroundColor})`);
+      sizes.push('auto');
+    }
+    return {
+      backgroundColor: hexToRgba(underlay.color, underlay.opacity / 100),
+      backgroundImage: images.join(', ') || 'none',
+      backgroundSize: sizes.join(', ') || 'auto',
+    };
+  }
+
+  /**
+   * getFillStyle as CSS declarations for generated stylesheets
+   * @param {{color: string, opacity: number}|null} [underlay] - Week cycle tint drawn beneath
+   * @returns {string} e.g. "background-color: ... !important; background-image: ... !important; ..."
+   */
+  function fillCss(color, opacity, fill, underlay = null) {
+    const style = layerOver(getFillStyle(color, opacity, fill), underlay);
+    return (
+      `background-color: ${style.backgroundColor} !important; ` +
+      `background-image: ${style.backgroundImage} !important; ` +
+      `background-size: ${style.backgroundSize} !important;`
+    );
+  }
+
+  // Inline versions for painters that style elements directly
+  function applyFill(el, color, opacity, fill, underlay = null) {
+    const style = layerOver(getFillStyle(color, opacity, fill), underlay);
+    el.style.setProperty('background-color', style.backgroundColor, 'important');
+    el.style.setProperty('background-image', style.backgroundImage, 'important');
+    el.style.setProperty('background-size', style.backgroundSize, 'important');
+  }
+
+  function clearFill(el) {
+    el.style.removeProperty('background-color');
+    el.style.removeProperty('background-image');
+    el.style.removeProperty('background-size');
+  }
+
+  function joinList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+  }
+
+  /**
+   * Check whether a rule applies to a date
+   * @param {Object} rule - Day color rule
+   * @param {string} ymd - Date as YYYY-MM-DD
+   * @returns {boolean}
+   */
+  function ruleMatchesDate(rule, ymd) {
+    if (!rule || rule.enabled === false) return false;
+    const date = parseYmd(ymd);
+    if (!date) return false;
+    if (rule.startDate && ymd < rule.startDate) return false;
+    if (rule.endDate && ymd > rule.endDate) return false;
+
+    switch (rule.type) {
+      case 'nthWeekday': {
+        if (date.weekday !== Number(rule.weekday)) return false;
+        const fromStart = Math.ceil(date.day / 7);
+        const fromEnd = -Math.ceil((date.daysInMonth - date.day + 1) / 7);
+        return (rule.nth || []).some((n) => Number(n) === fromStart || Number(n) === fromEnd);
+      }
+      case 'everyNWeeks': {
+        const anchor = parseYmd(rule.startDate);
+        const interval = Number(rule.interval) || 1;
+        if (!anchor || date.dayNumber < anchor.dayNumber) return false;
+        const week = Math.floor((date.dayNumber - anchor.dayNumber) / 7);
+        if (week % interval !== 0) return false;
+        const weekdays = rule.weekdays || [];
+        return weekdays.length === 0 || weekdays.map(Number).includes(date.weekday);
+      }
+      case 'dayOfMonth':
+        return (rule.days || []).some((d) => {
+          const day = Number(d);
+          return day > 0 ? day === date.day : date.daysInMonth + day + 1 === date.day;
+        });
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether a date range covers a date
+   * @param {Object} range - Date range
+   * @param {string} ymd - Date as YYYY-MM-DD
+   * @returns {boolean}
+   */
+  function rangeMatchesDate(range, ymd) {
+    if (!range?.startDate || !range.endDate) return false;
+    if (ymd < range.startDate || ymd > range.endDate) return false;
+    if (range.weekdaysOnly) {
+      const date = parseYmd(ymd);
+      if (!date || date.weekday === 0 || date.weekday === 6) return false;
+    }
+    return true;
+  }
+
+  function rangeLength(range) {
+    return parseYmd(range.endDate).dayNumber - parseYmd(range.startDate).dayNumber;
+  }
+
+  /**
+   * Find the range that colors a date
+   * @param {Array} ranges - settings.dateRanges
+   * @param {string} ymd - Date as YYYY-MM-DD
+   * @returns {Object|null} Shortest covering range (a conference inside a vacation wins)
+   */
+  function findMatchingRange(ranges, ymd) {
+    let best = null;
+    for (const range of ranges || []) {
+      if (!range?.color || !rangeMatchesDate(range, ymd)) continue;
+      if (!best || rangeLength(range) <= rangeLength(best)) best = range;
+    }
+    return best;
+  }
+
+  /**
+   * Find the rule that colors a date
+   * @param {Array} rules - settings.dayColorRules
+   * @param {string} ymd - Date as YYYY-MM-DD
+   * @returns {Object|null} Highest priority matching rule (earlier in the list wins ties)
+   */
+  function findMatchingRule(rules, ymd) {
+    let best = null;
+    for (const rule of rules || []) {
+      if (!rule?.color || !ruleMatchesDate(rule, ymd)) continue;
+      if (!best || (Number(rule.priority) || 0) > (Number(best.priority) || 0)) best = rule;
+    }
+    return best;
+  }
+
+  /**
+   * Color a date gets from ranges and recurring rules, ignoring single dates and weekday colors
+   * @param {Object} settings - Anything with dateRanges / dayColorRules
+   * @param {string} ymd - Date as YYYY-MM-DD
+   * @returns {{color: string, opacity: number, label: string, fill: string, source: string, range: Object|null, rule: Object|null}|null}
+   */
+  function findPatternColor(settings, ymd) {
+    if (!ymd) return null;
+    const opacityOf = (entry) => (entry.opacity !== undefined && entry.opacity !== null ? entry.opacity : DEFAULT_RULE_OPACITY);
+
+    const range = findMatchingRange(settings?.dateRanges, ymd);
+    if (range) {
+      return { color: range.color, opacity: opacityOf(range), label: range.label || '', fill: range.fill || 'solid', source: 'range', range, rule: null };
+    }
+
+    const rule = findMatchingRule(settings?.dayColorRules, ymd);
+    if (rule) {
+      return { color: rule.color, opacity: opacityOf(rule), label: rule.label || '', fill: rule.fill || 'solid', source: 'rule', range: null, rule };
+    }
+
+    return null;
+  }
+
+  /**
+   * Milestone countdown a date falls in
+   * @param {Array} milestones - settings.milestones
+   * @param {string} ymd - Date as YYYY-MM-DD
+   * @returns {{milestone: Object, daysLeft: number, color: string, opacity: number, label: string}|null}
+   *   daysLeft is 0 on the deadline day, which alone carries the label. Ties between windows go to
+   *   the milestone listed first.
+   */
+  function findMilestone(milestones, ymd) {
+    const date = parseYmd(ymd);
+    if (!date) return null;
+
+    let best = null;
+    for (const milestone of milestones || []) {
+      const deadline = parseYmd(milestone?.date);
+      if (!deadline || !milestone.color) continue;
+      const leadDays = Math.max(0, Number(milestone.leadDays) || 0);
+      const daysLeft = deadline.dayNumber - date.dayNumber;
+      if (daysLeft < 0 || daysLeft > leadDays) continue;
+      if (!best || daysLeft < best.daysLeft) best = { milestone, daysLeft, leadDays };
+    }
+    if (!best) return null;
+
+    // Linear ramp up to the peak: with 4 lead days the tint runs 20%, 40%, 60%, 80%, 100% of it
+    const peak = best.milestone.opacity !== undefined && best.milestone.opacity !== null ? best.milestone.opacity : 60;
+    const opacity = Math.max(5, Math.round((peak * (best.leadDays + 1 - best.daysLeft)) / (best.leadDays + 1)));
+    return {
+      milestone: best.milestone,
+      daysLeft: best.daysLeft,
+      color: best.milestone.color,
+      opacity,
+      label: best.daysLeft === 0 ? best.milestone.label || '' : '',
+    };
+  }
+
+  /**
+   * Which week of the cycle a date falls in
+   * @param {Object} cycle - settings.weekCycle
+   * @param {string} ymd - Date as YYYY-MM-DD
+   * @param {number} [weekStart] - 0-6, first day of the week
+   * @returns {{index: number, label: string, color: string, opacity: number}|null}
+   *   color is empty for weeks without a tint
+   */
+  function findCycleWeek(cycle, ymd, weekStart = 0) {
+    const weeks = cycle?.weeks || [];
+    if (!cycle?.enabled || weeks.length < 2) return null;
+    const anchor = parseYmd(cycle.anchorDate);
+    const date = parseYmd(ymd);
+    if (!anchor || !date) return null;
+
+    const weekStartOf = (d) => d.dayNumber - ((d.weekday - weekStart + 7) % 7);
+    const weeksApart = Math.round((weekStartOf(date) - weekStartOf(anchor)) / 7);
+    const index = ((weeksApart % weeks.length) + weeks.length) % weeks.length;
+    const week = weeks[index] || {};
+    return {
+      index,
+      label: week.label || `Week ${index + 1}`,
+      color: week.color || '',
+      opacity: week.opacity !== undefined && week.opacity !== null ? week.opacity : DEFAULT_RULE_OPACITY,
+    };
+  }
+
+  /**
+   * Work out the color of a day
+   * @param {Object} settings - Day coloring settings
+   * @param {string} ymd - Date as YYYY-MM-DD (may be null when only the weekday is known)
+   * @param {number} weekday - 0-6, Sunday first
+   * @returns {{color: string|undefined, opacity: number, label: string, fill: string, isDateSpecific: boolean, source: string, range: Object|null, rule: Object|null, underlay: Object|null, cycleWeek: Object|null}}
+   *   source is 'date', 'milestone', 'range', 'rule', 'weekday' or 'cycle'; underlay is the
+   *   week cycle tint to draw beneath the color. Milestone colors also carry milestone/daysLeft.
+   */
+  function resolveDayColor(settings, ymd, weekday) {
+    const cycleWeek = ymd ? findCycleWeek(settings?.weekCycle, ymd, settings?.weekStart || 0) : null;
+    const result = resolveTopColor(settings, ymd, weekday);
+    const underlay = cycleWeek?.color ? { color: cycleWeek.color, opacity: cycleWeek.opacity } : null;
+
+    // A cleared weekday is stored as white; let the cycle week show there too
+    const uncolored = !result.color || (result.source === 'weekday' && /^#f{3}(f{3})?$/i.test(result.color));
+    if (uncolored && underlay) {
+      return { ...result, ...underlay, fill: 'solid', source: 'cycle', underlay: null, cycleWeek };
+    }
+    return { ...result, underlay, cycleWeek };
+  }
+
+  function resolveTopColor(settings, ymd, weekday) {
+    const dateColor = ymd ? settings?.dateColors?.[ymd] : null;
+    if (dateColor) {
+      // Use stored date opacity, or default to 100 if not set
+      const opacity = settings.dateOpacity?.[ymd] !== undefined ? settings.dateOpacity[ymd] : 100;
+      const label = settings.dateColorLabels?.[ymd] || '';
+      const fill = settings.dateFills?.[ymd] || 'solid';
+      return { color: dateColor, opacity, label, fill, isDateSpecific: true, source: 'date', range: null, rule: null };
+    }
+
+    const countdown = ymd ? findMilestone(settings?.milestones, ymd) : null;
+    if (countdown) {
+      return { ...countdown, fill: 'solid', isDateSpecific: false, source: 'milestone', range: null, rule: null };
+    }
+
+    const pattern = findPatternColor(settings, ymd);
+    if (pattern) return { ...pattern, isDateSpecific: false };
+
+    return {
+      color: settings?.weekdayColors?.[String(weekday)],
+      opacity: settings?.weekdayOpacity?.[String(weekday)] || 30,
+      label: '',
+      fill: settings?.weekdayFills?.[String(weekday)] || 'solid',
+      isDateSpecific: false,
+      source: 'weekday',
+      range: null,
+      rule: null,
+    };
+  }
+
+  /**
+   * Human readable summary of a rule, e.g. "Every 2 weeks on Friday from 2026-01-09"
+   * @param {Object} rule - Day color rule
+   * @returns {string}
+   */
+  function describeRule(rule) {
+    let text;
+    switch (rule?.type) {
+      case 'nthWeekday': {
+        const nth = (rule.nth || []).map(Number).sort((a, b) => (a < 0) - (b < 0) || a - b);
+        text = `${joinList(nth.map(ordinal))} ${WEEKDAY_NAMES[rule.weekday] || '?'} of the month`;
+        text = text.charAt(0).toUpperCase() + text.slice(1);
+        break;
+      }
+      case 'everyNWeeks': {
+        const interval = Number(rule.interval) || 1;
+        const weekdays = (rule.weekdays || []).map((d) => WEEKDAY_NAMES[d]).filter(Boolean);
+        text = interval === 1 ? 'Every week' : interval === 2 ? 'Every other week' : `Every ${interval} weeks`;
+        text += weekdays.length ? ` on ${joinList(weekdays)}` : '';
+        text += ` from ${rule.startDate}`;
+        break;
+      }
+      case 'dayOfMonth': {
+        const days = (rule.days || []).map(Number).sort((a, b) => (a < 0) - (b < 0) || a - b);
+        text = `The ${joinList(days.map(dayOfMonthLabel))} of each month`;
+        break;
+      }
+      default:
+        return 'Unknown rule';
+    }
+
+    if (rule.endDate) text += ` until ${rule.endDate}`;
+    if (rule.startDate && rule.type !== 'everyNWeeks') text += ` (from ${rule.startDate})`;
+    return text;
+  }
+
+  /**
+   * Check a rule before saving it
+   * @param {Object} rule - Day color rule
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  function validateRule(rule) {
+    const errors = [];
+    if (!rule || !RULE_TYPES[rule.type]) {
+      return { valid: false, errors: ['Choose a rule type'] };
+    }
+    if (!HEX_COLOR_RE.test(rule.color || '')) errors.push('Choose a color');
+    if (rule.opacity !== undefined && !(rule.opacity >= 0 && rule.opacity <= 100)) {
+      errors.push('Opacity must be between 0 and 100');
+    }
+    if (rule.startDate && !YMD_RE.test(rule.startDate)) errors.push('Start date must be YYYY-MM-DD');
+    if (rule.endDate && !YMD_RE.test(rule.endDate)) errors.push('End date must be YYYY-MM-DD');
+    if (rule.startDate && rule.endDate && rule.endDate < rule.startDate) {
+      errors.push('End date is before the start date');
+    }
+
+    if (rule.type === 'nthWeekday') {
+      if (!(rule.weekday >= 0 && rule.weekday <= 6)) errors.push('Choose a weekday');
+      if (!rule.nth?.length || rule.nth.some((n) => n !== -1 && !(n >= 1 && n <= 5))) {
+        errors.push('Choose which occurrence in the month (1st-5th or last)');
+      }
+    } else if (rule.type === 'everyNWeeks') {
+      if (!Number.isInteger(rule.interval) || rule.interval < 1) errors.push('Repeat interval must be at least 1 week');
+      if (!YMD_RE.test(rule.startDate || '')) errors.push('Every N weeks needs a start date to count from');
+      if ((rule.weekdays || []).some((d) => !(d >= 0 && d <= 6))) errors.push('Weekdays must be 0-6');
+    } else if (rule.type === 'dayOfMonth') {
+      if (!rule.days?.length || rule.days.some((d) => !Number.isInteger(d) || d === 0 || d > 31 || d < -7)) {
+        errors.push('Days must be 1-31, or -1 for the last day of the month');
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check a date range before saving it
+   * @param {Object} range - Date range
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  function validateRange(range) {
+    const errors = [];
+    if (!YMD_RE.test(range?.startDate || '')) errors.push('Choose a start date');
+    if (!YMD_RE.test(range?.endDate || '')) errors.push('Choose an end date');
+    if (errors.length === 0 && range.endDate < range.startDate) errors.push('End date is before the start date');
+    if (!HEX_COLOR_RE.test(range?.color || '')) errors.push('Choose a color');
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Build a rule with defaults filled in
+   * @param {Object} fields - Rule fields (type is required)
+   * @returns {Object} Rule
+   */
+  function createRule(fields) {
+    return {
+      id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      color: '#FDE68A',
+      opacity: DEFAULT_RULE_OPACITY,
+      priority: 0,
+      enabled: true,
+      label: '',
+      startDate: null,
+      endDate: null,
+      ...fields,
+    };
+  }
+
+  self.cc3DayColors = {
+    RULE_TYPES,
+    FILL_STYLES,
+    DEFAULT_RULE_OPACITY,
+    ruleMatchesDate,
+    findMatchingRule,
+    rangeMatchesDate,
+    findMatchingRange,
+    findPatternColor,
+    findMilestone,
+    resolveDayColor,
+    findCycleWeek,
+    getFillStyle,
+    fillCss,
+    applyFill,
+    clearFill,
+    describeRule,
+    validateRule,
+    validateRange,
+    createRule,
+  };
+})();
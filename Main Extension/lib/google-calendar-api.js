@@ -158,6 +158,105 @@ export async function getCalendarColorFromEventId(encodedEventId) {
   }
 }
 
+// ========================================
+// EVENT LOOKUP
+// ========================================
+
+// Event IDs in the DOM abbreviate well-known calendar domains
+const CALENDAR_ID_SUFFIXES = {
+  '@m': '@gmail.com',
+  '@g': '@group.calendar.google.com',
+};
+
+/**
+ * Expand the calendar ID carried in an encoded event ID to its full form
+ * @param {string} emailSuffix - Calendar part of a decoded event ID
+ * @returns {string|null}
+ */
+export function expandCalendarId(emailSuffix) {
+  if (!emailSuffix) return null;
+  for (const [short, full] of Object.entries(CALENDAR_ID_SUFFIXES)) {
+    if (emailSuffix.endsWith(short)) return emailSuffix.slice(0, -short.length) + full;
+  }
+  return emailSuffix;
+}
+
+/**
+ * Look up whether an event still exists in Google Calendar
+ * @param {string} calendarId - Full calendar ID
+ * @param {string} eventId - Calendar API event ID (instance IDs include the _YYYYMMDDTHHMMSSZ suffix)
+ * @returns {Promise<{status: 'active'|'cancelled'|'gone'|'not_found'|'unknown', end?: string}>}
+ */
+export async function getEventStatus(calendarId, eventId) {
+  if (!calendarId || !eventId) return { status: 'unknown' };
+
+  try {
+    const token = await getAuthToken(false);
+    if (!token) return { status: 'unknown' };
+
+    const url = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`;
+    const response = await fetch(url, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (response.status === 410) return { status: 'gone' };
+    if (response.status === 404) return { status: 'not_found' };
+    if (!response.ok) return { status: 'unknown' };
+
+    const event = await response.json();
+    return {
+      status: event.status === 'cancelled' ? 'cancelled' : 'active',
+      end: event.end?.dateTime || event.end?.date || null,
+    };
+  } catch (error) {
+    console.error('[CalendarAPI] Failed to look up event:', error);
+    return { status: 'unknown' };
+  }
+}
+
+/**
+ * Fetch the events of one calendar in a time window, recurring events expanded to instances
+ * @param {string} timeMin - RFC 3339 start (inclusive)
+ * @param {string} timeMax - RFC 3339 end (exclusive)
+ * @param {string} calendarId - Calendar ID, 'primary' for the user's own calendar
+ * @returns {Promise<Array|null>} Event resources, or null without access
+ */
+export async function fetchEventsInRange(timeMin, timeMax, calendarId = 'primary') {
+  try {
+    const token = await getAuthToken(false);
+    if (!token) return null;
+
+    const events = [];
+    let pageToken = null;
+    do {
+      const params = new URLSearchParams({ timeMin, timeMax, singleEvents: 'true', maxResults: '250' });
+      if (pageToken) params.set('pageToken', pageToken);
+      const url = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events?${params}`;
+      const response = await fetch(url, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+      });
+      if (!response.ok) {
+        console.error('[CalendarAPI] Failed to fetch events:', response.status);
+        return null;
+      }
+      const data = await response.json();
+      events.push(...(data.items || []));
+      pageToken = data.nextPageToken || null;
+    } while (pageToken);
+
+    return events;
+  } catch (error) {
+    console.error('[CalendarAPI] Failed to fetch events:', error);
+    return null;
+  }
+}
+
 /**
  * Clear the calendar colors cache
  */
@@ -174,6 +273,9 @@ const GoogleCalendarAPI = {
   fetchCalendarColors,
   getCalendarColor,
   getCalendarColorFromEventId,
+  expandCalendarId,
+  getEventStatus,
+  fetchEventsInRange,
   clearCalendarColorsCache,
 };
 
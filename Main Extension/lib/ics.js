@@ -0,0 +1,299 @@
+// Minimal iCalendar (RFC 5545) reader for importing holidays into day colors
+// (no module syntax so it can load in pages)
+//
+// Only what day coloring needs is read from each VEVENT: UID, SUMMARY, DTSTART, DTEND/DURATION,
+// STATUS, EXDATE, RECURRENCE-ID and simple RRULEs (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTH,
+// BYMONTHDAY). Times are dropped - an event colors every day it touches.
+(function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  // Safety net for open-ended rules: never look at more periods than this
+  const MAX_RRULE_PERIODS = 5000;
+
+  // Dates are handled as UTC day numbers so DST never moves a day
+  const dayNumber = (year, month, day) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+  const toYmd = (n) => new Date(n * DAY_MS).toISOString().slice(0, 10);
+  const fromYmd = (ymd) => dayNumber(...ymd.split('-').map(Number));
+  const weekdayOf = (n) => new Date(n * DAY_MS).getUTCDay();
+  const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  // Lines longer than 75 octets are folded: CRLF followed by a space or tab
+  function unfold(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  }
+
+  function unescapeText(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+  }
+
+  // NAME;PARAM=a;PARAM2=b:value -> { name, params, value }
+  function parseLine(line) {
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon < 0) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [key, val = ''] = part.split('=');
+      params[key.toUpperCase()] = val.replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  /**
+   * Parse a DATE or DATE-TIME value to a local YYYY-MM-DD
+   * @returns {{date: string, allDay: boolean, endsAtMidnight: boolean}|null}
+   */
+  function parseDateValue(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+    if (!match) return null;
+    const [, y, mo, d, h, mi, sec, utc] = match;
+    if (h === undefined || params.VALUE === 'DATE') {
+      return { date: `${y}-${mo}-${d}`, allDay: true, endsAtMidnight: true };
+    }
+    // UTC times land on the user's local day; floating and TZID times are taken as written
+    const local = utc ? new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +sec)) : new Date(+y, mo - 1, +d, +h, +mi, +sec);
+    const date = `${local.getFullYear()}-${String(local.getMonth() + 1).padStart(2, '0')}-${String(local.getDate()).padStart(2, '0')}`;
+    return { date, allDay: false, endsAtMidnight: local.getHours() === 0 && local.getMinutes() === 0 };
+  }
+
+  // P1D, P2W, PT5H, P1DT12H -> whole days covered after the start day
+  function durationDays(value) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+    if (!match) return 0;
+    const [, w = 0, d = 0, h = 0] = match;
+    return Number(w) * 7 + Number(d) + Math.floor(Number(h) / 24);
+  }
+
+  function parseRrule(value) {
+    const rule = {};
+    for (const part of value.split(';')) {
+      const [key, val] = part.split('=');
+      if (key && val) rule[key.toUpperCase()] = val;
+    }
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return null;
+    return {
+      freq: rule.FREQ,
+      interval: Math.max(1, Number(rule.INTERVAL) || 1),
+      count: rule.COUNT ? Number(rule.COUNT) : null,
+      until: rule.UNTIL ? parseDateValue(rule.UNTIL)?.date || null : null,
+      byDay: rule.BYDAY
+        ? rule.BYDAY.split(',')
+            .map((code) => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(code.trim()))
+            .filter(Boolean)
+            .map(([, nth, day]) => ({ nth: nth ? Number(nth) : null, weekday: WEEKDAY_CODES.indexOf(day) }))
+        : null,
+      byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null,
+      byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+    };
+  }
+
+  /**
+   * Parse an .ics file
+   * @param {string} text - File contents
+   * @returns {{calendarName: string|null, events: Array}} events:
+   *   { uid, summary, startDate, endDate (inclusive), rrule, exdates: string[], recurrenceId }
+   */
+  function parseIcs(text) {
+    const events = [];
+    let calendarName = null;
+    let current = null;
+    // Components nested in the current VEVENT (VALARM, ...) carry their own SUMMARY, DURATION,
+    // STATUS; only the event's own level is read
+    let nested = 0;
+
+    for (const line of unfold(text || '')) {
+      if (!line.trim()) continue;
+      const marker = line.trim().toUpperCase();
+      if (marker.startsWith('BEGIN:')) {
+        if (current) nested++;
+        else if (marker === 'BEGIN:VEVENT') current = { exdates: [] };
+        continue;
+      }
+      if (marker.startsWith('END:')) {
+        if (current && nested > 0) {
+          nested--;
+        } else if (current && marker === 'END:VEVENT') {
+          if (current.start && current.status !== 'CANCELLED') events.push(finishEvent(current));
+          current = null;
+        }
+        continue;
+      }
+      if (nested > 0) continue;
+
+      const prop = parseLine(line);
+      if (!prop) continue;
+      if (!current) {
+        if (prop.name === 'X-WR-CALNAME') calendarName = unescapeText(prop.value);
+        continue;
+      }
+
+      switch (prop.name) {
+        case 'UID':
+          current.uid = prop.value.trim();
+          break;
+        case 'SUMMARY':
+          current.summary = unescapeText(prop.value);
+          break;
+        case 'STATUS':
+          current.status = prop.value.trim().toUpperCase();
+          break;
+        case 'DTSTART':
+          current.start = parseDateValue(prop.value, prop.params);
+          break;
+        case 'DTEND':
+          current.end = parseDateValue(prop.value, prop.params);
+          break;
+        case 'DURATION':
+          current.duration = prop.value;
+          break;
+        case 'RRULE':
+          current.rrule = parseRrule(prop.value);
+          break;
+        case 'EXDATE':
+          prop.value.split(',').forEach((v) => {
+            const parsed = parseDateValue(v, prop.params);
+            if (parsed) current.exdates.push(parsed.date);
+          });
+          break;
+        case 'RECURRENCE-ID':
+          current.recurrenceId = parseDateValue(prop.value, prop.params)?.date || null;
+          break;
+      }
+    }
+
+    return { calendarName, events };
+  }
+
+  function finishEvent(raw) {
+    const start = fromYmd(raw.start.date);
+    let end = start;
+    if (raw.end) {
+      // DTEND is exclusive: an all-day event ending on the 3rd covers up to the 2nd,
+      // and a timed event ending at midnight doesn't touch the next day
+      end = fromYmd(raw.end.date) - (raw.end.endsAtMidnight ? 1 : 0);
+    } else if (raw.duration) {
+      const days = durationDays(raw.duration);
+      end = start + Math.max(0, raw.start.allDay ? days - 1 : days);
+    }
+    return {
+      uid: raw.uid || null,
+      summary: raw.summary || '',
+      startDate: raw.start.date,
+      endDate: toYmd(Math.max(start, end)),
+      rrule: raw.rrule || null,
+      exdates: raw.exdates,
+      recurrenceId: raw.recurrenceId || null,
+    };
+  }
+
+  // Days of one month picked by BYMONTHDAY / BYDAY, or the start's day of the month
+  function monthDays(year, month, rrule, startDay) {
+    const total = daysInMonth(year, month);
+    if (rrule.byMonthDay) {
+      return rrule.byMonthDay.map((d) => (d < 0 ? total + d + 1 : d)).filter((d) => d >= 1 && d <= total);
+    }
+    if (rrule.byDay) {
+      const days = [];
+      for (const { nth, weekday } of rrule.byDay) {
+        const matches = [];
+        for (let d = 1; d <= total; d++) if (weekdayOf(dayNumber(year, month, d)) === weekday) matches.push(d);
+        if (nth === null) days.push(...matches);
+        else if (matches.at(nth > 0 ? nth - 1 : nth) !== undefined) days.push(matches.at(nth > 0 ? nth - 1 : nth));
+      }
+      return days;
+    }
+    return startDay <= total ? [startDay] : [];
+  }
+
+  /**
+   * Start days (as YYYY-MM-DD) of an event's occurrences inside a window
+   * @param {Object} event - Parsed event
+   * @param {{from: string, to: string}} bounds - Inclusive YYYY-MM-DD bounds
+   * @returns {string[]}
+   */
+  function expandEvent(event, { from, to }) {
+    const start = fromYmd(event.startDate);
+    const windowEnd = fromYmd(to);
+    const length = fromYmd(event.endDate) - start;
+    const inWindow = (n) => n + length >= fromYmd(from) && n <= windowEnd;
+    const rrule = event.rrule;
+    if (!rrule) return inWindow(start) ? [event.startDate] : [];
+
+    const until = rrule.until ? Math.min(fromYmd(rrule.until), windowEnd) : windowEnd;
+    const exdates = new Set(event.exdates || []);
+    const [startYear, startMonth, startDay] = event.startDate.split('-').map(Number);
+    const results = [];
+    let seen = 0;
+
+    for (let period = 0; period < MAX_RRULE_PERIODS; period++) {
+      let periodStart;
+      let candidates;
+      if (rrule.freq === 'DAILY') {
+        periodStart = start + period * rrule.interval;
+        candidates = [periodStart];
+      } else if (rrule.freq === 'WEEKLY') {
+        periodStart = start - weekdayOf(start) + period * rrule.interval * 7;
+        const weekdays = rrule.byDay ? rrule.byDay.map((d) => d.weekday) : [weekdayOf(start)];
+        candidates = weekdays.map((wd) => periodStart + wd);
+      } else if (rrule.freq === 'MONTHLY') {
+        const monthIndex = startMonth - 1 + period * rrule.interval;
+        const year = startYear + Math.floor(monthIndex / 12);
+        const month = (monthIndex % 12) + 1;
+        periodStart = dayNumber(year, month, 1);
+        candidates = monthDays(year, month, rrule, startDay).map((d) => dayNumber(year, month, d));
+      } else {
+        const year = startYear + period * rrule.interval;
+        const months = rrule.byMonth || [startMonth];
+        periodStart = dayNumber(year, 1, 1);
+        candidates = months.flatMap((month) => monthDays(year, month, rrule, startDay).map((d) => dayNumber(year, month, d)));
+      }
+      if (periodStart > until) break;
+
+      for (const n of candidates.filter((c) => c >= start).sort((a, b) => a - b)) {
+        if (n > until || (rrule.count !== null && seen >= rrule.count)) return results;
+        seen++;
+        const ymd = toYmd(n);
+        if (!exdates.has(ymd) && inWindow(n)) results.push(ymd);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Turn parsed events into day color entries: one-day occurrences become dates,
+   * longer ones become ranges. Several events on one day share it, labels joined.
+   * @param {Array} events - parseIcs().events
+   * @param {{from: string, to: string}} bounds - Inclusive YYYY-MM-DD bounds for recurring events
+   * @returns {{days: Array<{date: string, label: string}>, ranges: Array<{startDate: string, endDate: string, label: string}>}}
+   */
+  function toDayColorEntries(events, bounds) {
+    // Moved or edited occurrences (RECURRENCE-ID) replace the one generated by the rule
+    const overridden = new Map();
+    events
+      .filter((e) => e.recurrenceId && e.uid)
+      .forEach((e) => overridden.set(e.uid, [...(overridden.get(e.uid) || []), e.recurrenceId]));
+
+    const days = new Map();
+    const ranges = [];
+    for (const event of events) {
+      const exdates = event.recurrenceId ? [] : [...(event.exdates || []), ...(overridden.get(event.uid) || [])];
+      const length = fromYmd(event.endDate) - fromYmd(event.startDate);
+      for (const startDate of expandEvent({ ...event, exdates }, bounds)) {
+        if (length === 0) {
+          const labels = days.get(startDate) || [];
+          if (event.summary && !labels.includes(event.summary)) labels.push(event.summary);
+          days.set(startDate, labels);
+        } else {
+          ranges.push({ startDate, endDate: toYmd(fromYmd(startDate) + length), label: event.summary });
+        }
+      }
+    }
+
+    return {
+      days: [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, labels]) => ({ date, label: labels.join(', ') })),
+      ranges: ranges.sort((a, b) => a.startDate.localeCompare(b.startDate)),
+    };
+  }
+
+  self.cc3Ics = { parseIcs, expandEvent, toDayColorEntries };
+})();
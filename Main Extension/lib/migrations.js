@@ -0,0 +1,206 @@
+// cc3 storage schema migrations (no module syntax so it can load in pages and the service worker)
+//
+// Each migration is a pure function over a snapshot of stored data:
+//   { sync: { settings, customDayColors, ... }, local: { 'cf.eventColors', ... } }
+// and returns the upgraded snapshot. Migrations run in order, once, and the
+// resulting schema version is recorded in chrome.storage.local.
+(function () {
+  const SCHEMA_VERSION_KEY = 'cf.schemaVersion';
+
+  // Settings keys from removed features (text coloring / completed task styling)
+  const LEGACY_SETTINGS_KEYS = ['pendingTextColors', 'textColors', 'completedStyling'];
+
+  // Settings shard layout introduced in schema v3 (frozen copy - later layout changes need a new migration)
+  const V3_SETTINGS_SHARDS = [
+    { key: 'settings.dayColoring.dateColors', path: ['dateColors'] },
+    { key: 'settings.dayColoring.dateOpacity', path: ['dateOpacity'] },
+    { key: 'settings.dayColoring.dateColorLabels', path: ['dateColorLabels'] },
+    { key: 'settings.timeBlocking.dateSpecificSchedule', path: ['timeBlocking', 'dateSpecificSchedule'] },
+    { key: 'settings.timeBlocking', path: ['timeBlocking'] },
+    { key: 'settings.eventColoring.templates', path: ['eventColoring', 'templates'] },
+    { key: 'settings.eventColoring.categories', path: ['eventColoring', 'categories'] },
+    { key: 'settings.eventColoring.calendarColors', path: ['eventColoring', 'calendarColors'] },
+    { key: 'settings.eventColoring', path: ['eventColoring'] },
+  ];
+
+  const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+  /**
+   * Upgrade one event color record to the current shape:
+   * { background, text, border, borderWidth, hex, isRecurring, ... }
+   * Records flagged useGoogleColors are already current and are left untouched.
+   * @param {string|Object} colorData - Stored record in any historical format
+   * @returns {Object|null} Current-format record, or null if unusable
+   */
+  function upgradeEventColorRecord(colorData) {
+    if (!colorData) return null;
+
+    // Very old format: plain hex string
+    if (typeof colorData === 'string') {
+      return {
+        background: colorData,
+        text: null,
+        border: null,
+        borderWidth: null, // Inherit from calendar defaults
+        hex: colorData,
+        isRecurring: false,
+      };
+    }
+
+    if (!isPlainObject(colorData)) return null;
+
+    // Old format: { hex, isRecurring, appliedAt } without a background
+    if (colorData.hex && !colorData.background && colorData.background !== null) {
+      return {
+        ...colorData,
+        background: colorData.hex,
+        text: null,
+        border: null,
+        borderWidth: colorData.borderWidth ?? null,
+        isRecurring: colorData.isRecurring || false,
+      };
+    }
+
+    return colorData;
+  }
+
+  function stripKeysDeep(obj, keys) {
+    if (!isPlainObject(obj)) return obj;
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+      if (keys.includes(k)) continue;
+      out[k] = stripKeysDeep(v, keys);
+    }
+    return out;
+  }
+
+  // Ordered list of migrations. Never edit or reorder a shipped entry - append a new one.
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Normalize event colors to { background, text, border, borderWidth }',
+      migrate(snapshot) {
+        const eventColors = snapshot.local['cf.eventColors'];
+        if (!isPlainObject(eventColors)) return snapshot;
+
+        const upgraded = {};
+        for (const [eventId, colorData] of Object.entries(eventColors)) {
+          const record = upgradeEventColorRecord(colorData);
+          if (record) upgraded[eventId] = record;
+        }
+        return { ...snapshot, local: { ...snapshot.local, 'cf.eventColors': upgraded } };
+      },
+    },
+    {
+      version: 2,
+      description: 'Remove settings left behind by retired text coloring features',
+      migrate(snapshot) {
+        const settings = snapshot.sync.settings;
+        if (!isPlainObject(settings)) return snapshot;
+        return { ...snapshot, sync: { ...snapshot.sync, settings: stripKeysDeep(settings, LEGACY_SETTINGS_KEYS) } };
+      },
+    },
+    {
+      version: 3,
+      description: 'Split the single settings object into per-subsystem sync keys',
+      migrate(snapshot) {
+        const settings = snapshot.sync.settings;
+        if (!isPlainObject(settings)) return snapshot;
+
+        const remaining = JSON.parse(JSON.stringify(settings));
+        const sync = { ...snapshot.sync };
+        for (const { key, path } of V3_SETTINGS_SHARDS) {
+          const parent = path.slice(0, -1).reduce((acc, k) => (isPlainObject(acc) ? acc[k] : undefined), remaining);
+          const leaf = path[path.length - 1];
+          if (isPlainObject(parent) && leaf in parent) {
+            sync[key] = parent[leaf];
+            delete parent[leaf];
+          }
+        }
+        sync.settings = remaining;
+        return { ...snapshot, sync };
+      },
+    },
+  ];
+
+  const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  /**
+   * Apply all migrations newer than fromVersion to a snapshot (pure, no storage access)
+   * @param {Object} snapshot - { sync, local }
+   * @param {number} fromVersion - Schema version the snapshot was written with
+   * @returns {{snapshot: Object, applied: number[], version: number}}
+   */
+  function migrateSnapshot(snapshot, fromVersion = 0) {
+    let current = { sync: { ...(snapshot.sync || {}) }, local: { ...(snapshot.local || {}) } };
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= fromVersion) continue;
+      current = migration.migrate(current);
+      applied.push(migration.version);
+    }
+
+    return { snapshot: current, applied, version: Math.max(fromVersion, CURRENT_SCHEMA_VERSION) };
+  }
+
+  function diffKeys(before, after) {
+    const changed = {};
+    const removed = [];
+    for (const k of Object.keys(after)) {
+      if (JSON.stringify(before[k]) !== JSON.stringify(after[k])) changed[k] = after[k];
+    }
+    for (const k of Object.keys(before)) {
+      if (!(k in after)) removed.push(k);
+    }
+    return { changed, removed };
+  }
+
+  function storageCall(area, method, arg) {
+    return new Promise((resolve, reject) => {
+      chrome.storage[area][method](arg, (result) => {
+        if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        else resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Read stored data, run pending migrations and write back only what changed
+   * @returns {Promise<{from: number, to: number, applied: number[]}>}
+   */
+  async function runMigrations() {
+    const local = await storageCall('local', 'get', null);
+    const fromVersion = local[SCHEMA_VERSION_KEY] || 0;
+
+    if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+      return { from: fromVersion, to: fromVersion, applied: [] };
+    }
+
+    const sync = await storageCall('sync', 'get', null);
+    delete local[SCHEMA_VERSION_KEY];
+
+    const { snapshot, applied, version } = migrateSnapshot({ sync, local }, fromVersion);
+
+    for (const [area, before] of [
+      ['sync', sync],
+      ['local', local],
+    ]) {
+      const { changed, removed } = diffKeys(before, snapshot[area]);
+      if (Object.keys(changed).length > 0) await storageCall(area, 'set', changed);
+      if (removed.length > 0) await storageCall(area, 'remove', removed);
+    }
+
+    await storageCall('local', 'set', { [SCHEMA_VERSION_KEY]: version });
+    return { from: fromVersion, to: version, applied };
+  }
+
+  self.cc3Migrations = {
+    SCHEMA_VERSION_KEY,
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    migrateSnapshot,
+    runMigrations,
+    upgradeEventColorRecord,
+  };
+})();
@@ -39,9 +39,63 @@
     weekdayOpacity: DEFAULT_WEEKDAY_OPACITY,
     dateColors: {}, // 'YYYY-MM-DD' -> hex color
     dateOpacity: {}, // 'YYYY-MM-DD' -> opacity (0-100)
+    weekdayFills: {}, // weekday -> fill style ('stripes', 'dots', ...; missing = solid)
+    dateFills: {}, // 'YYYY-MM-DD' -> fill style
+    dateRanges: [], // Multi-day spans (vacations, sprints), see lib/dayColors.js
+    dayColorRules: [], // Recurring day color rules, see lib/dayColors.js
+    milestones: [], // Deadlines with a countdown tint on the days before, see lib/dayColors.js
+    icsImports: {}, // importId -> { name, color, opacity, dates, rangeCount, importedAt } for re-imports
+    dateColorOwners: {}, // 'YYYY-MM-DD' -> 'milestone:<id>' or 'import:<importId>' for date colors added for the user
     presetColors: DEFAULT_PRESET_COLORS,
     weekStart: 0, // 0=Sunday, 1=Monday, 6=Saturday
     weekStartConfigured: false, // Whether user has explicitly set week start
+    showDateLabels: true, // Show date color labels on the calendar
+    dateLabelFontSize: 11, // px
+    miniCalendar: {
+      enabled: true, // Day colors in the sidebar mini-calendar too
+      style: 'tint', // 'tint' or 'dot'
+    },
+    dayEmphasis: {
+      dimPastDays: false, // Fade or gray out days before today
+      dimStyle: 'fade', // 'fade' or 'desaturate'
+      dimAmount: 50, // 0-100
+      highlightToday: false,
+      todayStyle: 'outline', // 'outline' or 'highlight'
+      todayColor: '#1a73e8',
+    },
+    weekCycle: {
+      enabled: false, // Tint alternating weeks (A/B rotations, on-call, sprints), see lib/dayColors.js
+      anchorDate: null, // 'YYYY-MM-DD' inside the cycle's first week
+      showLegend: true, // Legend on the calendar naming the cycle week on screen
+      weeks: [
+        { label: 'Week A', color: '#dbeafe', opacity: 40 },
+        { label: 'Week B', color: '#fef3c7', opacity: 40 },
+      ],
+    },
+    weekNumbers: {
+      enabled: false, // Week numbers on the calendar, see lib/weekNumbers.js
+      system: 'iso', // 'iso', 'us' or 'fiscal'
+      fiscal: {
+        startMonth: 1, // 1-12, month the fiscal year starts in
+        alignment: 'nearest', // 'nearest' or 'first' week start to the 1st of that month
+        pattern: '445', // Weeks per period in each quarter: '445', '454' or '544'
+      },
+      highlightPeriods: false, // Line on the first day of each fiscal period
+      periodColor: '#7c3aed',
+    },
+    workloadHeatmap: {
+      enabled: false, // Color days by busy hours instead of weekday colors, see lib/workload.js
+      source: 'dom', // 'dom' (events on screen) or 'api' (Google Calendar API, needs access)
+      opacity: 35,
+      // A day takes the highest step it reaches; an empty color leaves it untinted
+      steps: [
+        { minHours: 0, color: '' },
+        { minHours: 1, color: '#dcfce7' },
+        { minHours: 3, color: '#fef08a' },
+        { minHours: 5, color: '#fdba74' },
+        { minHours: 6, color: '#f87171' },
+      ],
+    },
     timeBlocking: {
       enabled: true, // Time blocking enabled by default
       globalColor: '#FFEB3B',
@@ -65,6 +119,11 @@
       quickAccessColors: [], // Recently used colors
       disableCustomColors: false, // Hide custom categories, show only Google colors
       calendarColors: {}, // Per-calendar default colors: calendarId -> { background, text, border }
+      cleanup: {
+        enabled: true, // Daily background pruning of stale per-event colors
+        retentionDays: 180, // Keep colors for recurring instances this many days after they happened
+        verifyWithCalendarApi: false, // Also drop colors for events deleted in Google Calendar
+      },
     },
   };
 
@@ -74,15 +133,15 @@
     const REPLACE_KEYS = new Set([
       'dateSpecificSchedule',
       'weeklySchedule',
-      'pendingTextColors', // Text colors need hard replace for deletions
-      'textColors', // Text colors need hard replace for deletions
-      'completedStyling', // Completed styling needs hard replace for deletions
       'calendarColors', // Calendar colors need hard replace for deletions
       'categories', // Event color categories need hard replace for deletions
       'templates', // Event color templates need hard replace for deletions
       'dateColors', // Date-specific day colors need hard replace for deletions
       'dateOpacity', // Date-specific opacity needs hard replace for deletions
       'dateColorLabels', // Date-specific labels need hard replace for deletions
+      'icsImports', // Removed calendar imports must stay removed
+      'dateColorOwners', // Released dates must stay released
+      'dateFills', // Date-specific fills need hard replace for deletions
     ]);
 
     // If either side isn't a plain object, prefer partial directly
@@ -120,36 +179,640 @@
     return out;
   }
 
-  async function getSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get({ settings: defaultSettings }, (res) => {
-        resolve(deepMerge(defaultSettings, res.settings || {}));
-      });
+  function isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  function getPath(obj, path) {
+    return path.split('.').reduce((acc, k) => (acc == null ? undefined : acc[k]), obj);
+  }
+
+  // Settings are persisted sharded across several keys so no single chrome.storage.sync item
+  // approaches the 8 KB per-item quota. The root `settings` key holds everything that isn't
+  // claimed by a shard. Nested shards must be listed before their parent.
+  const SETTINGS_ROOT_KEY = 'settings';
+  const SETTINGS_SHARDS = [
+    { key: 'settings.dayColoring.dateColors', path: ['dateColors'] },
+    { key: 'settings.dayColoring.dateOpacity', path: ['dateOpacity'] },
+    { key: 'settings.dayColoring.dateColorLabels', path: ['dateColorLabels'] },
+    { key: 'settings.dayColoring.dateFills', path: ['dateFills'] },
+    { key: 'settings.dayColoring.ranges', path: ['dateRanges'] },
+    { key: 'settings.dayColoring.rules', path: ['dayColorRules'] },
+    { key: 'settings.dayColoring.icsImports', path: ['icsImports'] },
+    { key: 'settings.dayColoring.dateColorOwners', path: ['dateColorOwners'] },
+    { key: 'settings.timeBlocking.dateSpecificSchedule', path: ['timeBlocking', 'dateSpecificSchedule'] },
+    { key: 'settings.timeBlocking', path: ['timeBlocking'] },
+    { key: 'settings.eventColoring.templates', path: ['eventColoring', 'templates'] },
+    { key: 'settings.eventColoring.categories', path: ['eventColoring', 'categories'] },
+    { key: 'settings.eventColoring.calendarColors', path: ['eventColoring', 'calendarColors'] },
+    { key: 'settings.eventColoring', path: ['eventColoring'] },
+  ];
+  const SETTINGS_KEYS = [SETTINGS_ROOT_KEY, ...SETTINGS_SHARDS.map((s) => s.key)];
+  // Shard keys that didn't fit in sync on this device and live in chrome.storage.local instead
+  const SETTINGS_FALLBACK_KEY = 'cf.settingsFallback';
+  const CHROME_SYNC = typeof chrome !== 'undefined' ? chrome.storage?.sync : null;
+  const SYNC_QUOTA_BYTES = CHROME_SYNC?.QUOTA_BYTES || 102400;
+  const SYNC_QUOTA_BYTES_PER_ITEM = CHROME_SYNC?.QUOTA_BYTES_PER_ITEM || 8192;
+  const QUOTA_WARNING_RATIO = 0.8;
+
+  // ========================================
+  // GOOGLE ACCOUNT NAMESPACES
+  // ========================================
+  // People signed in to several Google accounts (calendar.google.com/calendar/u/0, /u/1, ...)
+  // get separate settings and event colors per account. The first account seen owns the
+  // unprefixed base keys, so single-account users are unaffected. Any other account reads the
+  // base until its first save, which copies the scoped sections into keys prefixed with
+  // `acct.<accountId>.`. Sections listed in accountSharing always use the base (an account's
+  // own copy is kept, so turning sharing off again restores it).
+
+  const ACCOUNT_KEY_PREFIX = 'acct.';
+  const ACCOUNTS_KEY = 'cf.accounts'; // local registry: { primary, accounts: { accountId: { index, email, lastSeen } } }
+  const ACCOUNT_SHARING_KEY = 'accountSharing'; // sync: { sections: [...] }
+  const ACCOUNT_SECTIONS = {
+    dayColoring: {
+      label: 'Day colors',
+      paths: [
+        'enabled',
+        'weekdayColors',
+        'weekdayOpacity',
+        'dateColors',
+        'dateOpacity',
+        'dateColorLabels',
+        'weekdayFills',
+        'dateFills',
+        'dateRanges',
+        'dayColorRules',
+        'milestones',
+        'icsImports',
+        'dateColorOwners',
+        'showDateLabels',
+        'dateLabelFontSize',
+        'miniCalendar',
+        'dayEmphasis',
+        'weekCycle',
+        'weekNumbers',
+        'workloadHeatmap',
+      ],
+    },
+    timeBlocking: { label: 'Time blocks', paths: ['timeBlocking'] },
+    eventColoring: { label: 'Event coloring settings', paths: ['eventColoring'] },
+    eventColors: { label: 'Colors of individual events', paths: [] }, // cf.eventColors
+  };
+
+  // Namespace this page works on (null = base keys: the primary account, or the background worker)
+  let activeAccount = null;
+
+  // undefined means "this page's account"; null explicitly targets the base
+  function resolveAccount(account) {
+    return account === undefined ? activeAccount : account;
+  }
+
+  function namespacedKey(key, account) {
+    return account ? `${ACCOUNT_KEY_PREFIX}${account}.${key}` : key;
+  }
+
+  function setActiveAccount(account) {
+    activeAccount = account || null;
+  }
+
+  function getActiveAccount() {
+    return activeAccount;
+  }
+
+  async function readAccountRegistry() {
+    const result = await storageGet('local', ACCOUNTS_KEY);
+    const registry = result[ACCOUNTS_KEY] || {};
+    return { primary: registry.primary || null, accounts: registry.accounts || {} };
+  }
+
+  /**
+   * Remember a Google account seen in a calendar tab
+   * @param {Object} account - { id, index, email }
+   * @returns {Promise<string|null>} Storage namespace for the account (null for the primary account)
+   */
+  async function registerAccount({ id, index = 0, email = null }) {
+    if (!id) return null;
+    const registry = await readAccountRegistry();
+    if (!registry.primary) registry.primary = id;
+    registry.accounts[id] = { index, email: email || registry.accounts[id]?.email || null, lastSeen: Date.now() };
+    await storageSet('local', { [ACCOUNTS_KEY]: registry });
+    return id === registry.primary ? null : id;
+  }
+
+  /**
+   * Known accounts, most recently seen first
+   * @returns {Promise<Array<{id: string, index: number, email: string|null, lastSeen: number, namespace: string|null}>>}
+   */
+  async function listAccounts() {
+    const { primary, accounts } = await readAccountRegistry();
+    return Object.entries(accounts)
+      .map(([id, info]) => ({ id, ...info, namespace: id === primary ? null : id }))
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  // calendar.google.com/calendar/u/1/r -> 1 (no /u/N segment means the default account, 0)
+  function accountIndexFromUrl(url) {
+    const match = /\/calendar\/u\/(\d+)/.exec(url || '');
+    return match ? Number(match[1]) : 0;
+  }
+
+  /**
+   * Storage namespace of the account last seen at a calendar URL's /u/N index
+   * @param {string} url - Calendar tab URL
+   * @returns {Promise<string|null>} Namespace (null for the primary account or an index not seen yet)
+   */
+  async function resolveAccountForUrl(url) {
+    const index = accountIndexFromUrl(url);
+    const match = (await listAccounts()).find((account) => account.index === index);
+    return match ? match.namespace : null;
+  }
+
+  /**
+   * Point an extension page (popup, options) at the account of the active calendar tab,
+   * or the most recently used account when the active tab isn't Google Calendar
+   * @returns {Promise<string|null>} Namespace now active
+   */
+  async function useAccountOfActiveTab() {
+    let account;
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab?.url && tab.url.startsWith('https://calendar.google.com/')) {
+        account = await resolveAccountForUrl(tab.url);
+      }
+    } catch (error) {
+      // No tabs API in this context
+    }
+    if (account === undefined) account = (await listAccounts())[0]?.namespace || null;
+    setActiveAccount(account);
+    return account;
+  }
+
+  /**
+   * Sections shared by every account
+   * @returns {Promise<{sections: string[]}>}
+   */
+  async function getAccountSharing() {
+    const result = await storageGet('sync', ACCOUNT_SHARING_KEY);
+    const sections = result[ACCOUNT_SHARING_KEY]?.sections || [];
+    return { sections: sections.filter((section) => section in ACCOUNT_SECTIONS) };
+  }
+
+  /**
+   * Choose which sections every account shares
+   * @param {string[]} sections - Keys of ACCOUNT_SECTIONS
+   * @returns {Promise<void>}
+   */
+  async function setAccountSharing(sections) {
+    const valid = [...new Set(sections)].filter((section) => section in ACCOUNT_SECTIONS);
+    await storageSet('sync', { [ACCOUNT_SHARING_KEY]: { sections: valid } });
+  }
+
+  // Top-level settings keys that are kept per account, given the shared sections
+  function scopedPathsFor(sharedSections) {
+    return Object.entries(ACCOUNT_SECTIONS)
+      .filter(([section]) => !sharedSections.includes(section))
+      .flatMap(([, { paths }]) => paths);
+  }
+
+  async function getScopedSettingsPaths() {
+    const { sections } = await getAccountSharing();
+    return scopedPathsFor(sections);
+  }
+
+  /**
+   * Pick one account section out of a settings object
+   * @param {Object} settings - Full settings
+   * @param {string} section - Key of ACCOUNT_SECTIONS
+   * @returns {Object}
+   */
+  function pickAccountSection(settings, section) {
+    const picked = {};
+    (ACCOUNT_SECTIONS[section]?.paths || []).forEach((path) => {
+      if (settings?.[path] !== undefined) picked[path] = settings[path];
     });
+    return picked;
   }
 
-  async function setSettings(partial) {
-    const current = await getSettings();
-    const next = deepMerge(current, partial);
-    return new Promise((resolve) => {
-      chrome.storage.sync.set({ settings: next }, () => resolve(next));
+  // Every stored key that belongs to some account namespace
+  async function listNamespacedKeys(area) {
+    const all = await storageGet(area, null);
+    return Object.keys(all).filter((key) => key.startsWith(ACCOUNT_KEY_PREFIX));
+  }
+
+  // ========================================
+  // STORAGE BACKEND
+  // ========================================
+  // Every read, write and change subscription below goes through one adapter
+  // (see lib/storageAdapters.js). Extension pages use chrome.storage; tests and
+  // scripts outside the browser swap in the in-memory adapter.
+
+  let adapter = self.cc3StorageAdapters?.createChromeAdapter() || null;
+
+  /**
+   * Replace the storage backend (e.g. cc3StorageAdapters.createMemoryAdapter())
+   * @param {Object} next - Storage adapter
+   */
+  function setStorageAdapter(next) {
+    for (const method of ['get', 'set', 'remove', 'getBytesInUse', 'onChanged']) {
+      if (typeof next?.[method] !== 'function') throw new Error(`Storage adapter is missing ${method}()`);
+    }
+    adapter = next;
+  }
+
+  function getStorageAdapter() {
+    return adapter;
+  }
+
+  function storageGet(area, keys) {
+    return adapter.get(area, keys);
+  }
+
+  function storageSet(area, items) {
+    return adapter.set(area, items);
+  }
+
+  function storageRemove(area, keys) {
+    return adapter.remove(area, keys);
+  }
+
+  // Subscribe to changes in either area; returns an unsubscribe function
+  function subscribeStorage(listener) {
+    return adapter.onChanged(listener);
+  }
+
+  // Size of an item as chrome.storage.sync counts it (key + JSON value, UTF-8)
+  function itemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Split a full settings object into { [storageKey]: value } shards
+   * @param {Object} settings - Full settings object
+   * @param {string|null} account - Account namespace (null = base keys)
+   * @returns {Object} Shards keyed by storage key (root key always present)
+   */
+  function splitSettings(settings, account = null) {
+    const remaining = JSON.parse(JSON.stringify(settings || {}));
+    const shards = {};
+
+    for (const { key, path } of SETTINGS_SHARDS) {
+      const parent = path.length > 1 ? getPath(remaining, path.slice(0, -1).join('.')) : remaining;
+      const leaf = path[path.length - 1];
+      if (isPlainObject(parent) && leaf in parent) {
+        shards[namespacedKey(key, account)] = parent[leaf];
+        delete parent[leaf];
+      }
+    }
+
+    shards[namespacedKey(SETTINGS_ROOT_KEY, account)] = remaining;
+    return shards;
+  }
+
+  /**
+   * Reassemble stored shards into one settings object (inverse of splitSettings)
+   * @param {Object} shards - Values keyed by storage key
+   * @param {string|null} account - Account namespace (null = base keys)
+   * @returns {Object} Settings without defaults applied
+   */
+  function joinSettings(shards, account = null) {
+    const rootKey = namespacedKey(SETTINGS_ROOT_KEY, account);
+    const settings = isPlainObject(shards[rootKey]) ? { ...shards[rootKey] } : {};
+
+    // Parents first so nested shards land inside them
+    for (const { key: shardKey, path } of [...SETTINGS_SHARDS].reverse()) {
+      const key = namespacedKey(shardKey, account);
+      if (shards[key] === undefined) continue;
+      let target = settings;
+      for (const segment of path.slice(0, -1)) {
+        target[segment] = isPlainObject(target[segment]) ? { ...target[segment] } : {};
+        target = target[segment];
+      }
+      target[path[path.length - 1]] = shards[key];
+    }
+
+    return settings;
+  }
+
+  function namespaceSettingsKeys(account) {
+    return SETTINGS_KEYS.map((key) => namespacedKey(key, account));
+  }
+
+  // Sync shards with the ones listed in the local fallback list swapped in
+  function withFallbackShards(syncShards, local, keys) {
+    const shards = { ...syncShards };
+    (local[SETTINGS_FALLBACK_KEY] || []).forEach((key) => {
+      if (local[key] !== undefined && keys.includes(key)) shards[key] = local[key];
     });
+    return shards;
   }
 
-  function onSettingsChanged(callback) {
-    const listener = (changes, area) => {
-      if (area !== 'sync' || !changes.settings) return;
-      const { newValue } = changes.settings;
-      // Only call callback if we have a valid newValue, avoid falling back to defaults
-      // which could override user choices with default enabled: true
-      if (newValue) {
-        callback(newValue);
+  async function readSettingsShards(account = null) {
+    const keys = namespaceSettingsKeys(account);
+    const [syncShards, local] = await Promise.all([
+      storageGet('sync', keys),
+      storageGet('local', [...keys, SETTINGS_FALLBACK_KEY]),
+    ]);
+    return { shards: withFallbackShards(syncShards, local, keys), fallbackKeys: local[SETTINGS_FALLBACK_KEY] || [] };
+  }
+
+  async function readNamespaceSettings(account) {
+    const { shards } = await readSettingsShards(account);
+    return joinSettings(shards, account);
+  }
+
+  /**
+   * Stored settings as an account sees them (without defaults applied):
+   * the base, with the account's own copy of each scoped section on top
+   * @param {string|null} [account] - Defaults to this page's account
+   * @returns {Promise<Object>}
+   */
+  async function readStoredSettings(account) {
+    account = resolveAccount(account);
+    const base = await readNamespaceSettings(null);
+    if (!account) return base;
+
+    const [own, scopedPaths] = await Promise.all([readNamespaceSettings(account), getScopedSettingsPaths()]);
+    return composeAccountSettings(base, own, scopedPaths);
+  }
+
+  function composeAccountSettings(base, own, scopedPaths) {
+    const settings = { ...base };
+    scopedPaths.forEach((path) => {
+      if (path in own) settings[path] = own[path];
+    });
+    return settings;
+  }
+
+  /**
+   * Persist a full settings object for an account: scoped sections go to the account's
+   * namespace, everything else (and everything when there is no account) to the base.
+   * Every changed path is added to the audit log.
+   * @param {Object} next - Full settings object
+   * @param {string|null} [account] - Defaults to this page's account
+   * @param {string} [source] - Audit log source (key of AUDIT_SOURCES, defaults to this page's)
+   * @returns {Promise<Object>} The settings that were written
+   */
+  async function persistSettings(next, account, source = auditSource) {
+    account = resolveAccount(account);
+    const before = deepMerge(defaultSettings, await readStoredSettings(account));
+    await writeAccountSettings(next, account);
+
+    const entries = diffSettings(before, next).map((change) =>
+      buildAuditEntry({ source, account, kind: 'setting', ...change }),
+    );
+    if (entries.length > 0) {
+      recordAuditEntries(entries).catch((error) => console.warn('[Storage] Failed to record audit log:', error));
+    }
+    return next;
+  }
+
+  async function writeAccountSettings(next, account) {
+    const scopedPaths = account ? await getScopedSettingsPaths() : [];
+    if (scopedPaths.length === 0) return writeSettings(next);
+
+    // Start from the account's stored copy so sections currently shared keep their own values
+    const [base, own] = await Promise.all([readNamespaceSettings(null), readNamespaceSettings(account)]);
+    const baseNext = { ...next };
+    scopedPaths.forEach((path) => {
+      if (next[path] !== undefined) own[path] = next[path];
+      // Leave the base copy as it was - other accounts may still be reading it
+      if (path in base) baseNext[path] = base[path];
+      else delete baseNext[path];
+    });
+
+    await writeSettings(baseNext);
+    await writeSettings(own, account);
+    return next;
+  }
+
+  /**
+   * Persist a full settings object, writing only the shards that changed.
+   * Shards too large for a sync item (or rejected by sync) fall back to local storage.
+   * @param {Object} next - Full settings object
+   * @param {string|null} account - Account namespace to write (null = base keys)
+   * @returns {Promise<Object>} The settings that were written
+   */
+  async function writeSettings(next, account = null) {
+    const { shards: stored, fallbackKeys } = await readSettingsShards(account);
+    const shards = splitSettings(next, account);
+    const namespaceKeys = namespaceSettingsKeys(account);
+
+    const syncWrites = {};
+    const localWrites = {};
+    const nextFallback = new Set(fallbackKeys);
+
+    for (const [key, value] of Object.entries(shards)) {
+      const fitsSync = itemBytes(key, value) <= SYNC_QUOTA_BYTES_PER_ITEM;
+      const unchanged = JSON.stringify(stored[key]) === JSON.stringify(value);
+      if (unchanged && fitsSync !== nextFallback.has(key)) continue;
+
+      if (fitsSync) {
+        syncWrites[key] = value;
+        nextFallback.delete(key);
+      } else {
+        console.warn(`[Storage] ${key} exceeds the sync item quota - keeping it in local storage on this device`);
+        localWrites[key] = value;
+        nextFallback.add(key);
+      }
+    }
+
+    // Shards that no longer exist in the settings object
+    const staleKeys = namespaceKeys.filter((key) => !(key in shards) && key in stored);
+
+    if (Object.keys(syncWrites).length > 0) {
+      try {
+        await storageSet('sync', syncWrites);
+      } catch (error) {
+        console.warn('[Storage] Sync write failed, falling back to local storage:', error.message);
+        Object.assign(localWrites, syncWrites);
+        Object.keys(syncWrites).forEach((key) => nextFallback.add(key));
+      }
+    }
+
+    if (staleKeys.length > 0) {
+      await storageRemove('sync', staleKeys).catch((error) => console.warn('[Storage] Failed to remove stale shards:', error));
+    }
+
+    // Entries for other namespaces are left alone
+    const fallbackList = [...nextFallback].filter((key) => key in shards || !namespaceKeys.includes(key));
+    const fallbackChanged = JSON.stringify(fallbackList.sort()) !== JSON.stringify([...fallbackKeys].sort());
+    if (Object.keys(localWrites).length > 0 || fallbackChanged) {
+      await storageSet('local', { ...localWrites, [SETTINGS_FALLBACK_KEY]: fallbackList });
+      const movedBack = fallbackKeys.filter((key) => !fallbackList.includes(key));
+      if (movedBack.length > 0) await storageRemove('local', movedBack);
+    }
+
+    return next;
+  }
+
+  async function getSettings(account) {
+    return deepMerge(defaultSettings, await readStoredSettings(account));
+  }
+
+  /**
+   * Merge a partial update into the stored settings
+   * @param {Object} partial - Partial settings
+   * @param {Object} options - { recordHistory: boolean } (default true) - add day color / time block changes to undo history
+   *                           { historyLabel: string } - label for that history entry instead of the per-path default
+   *                           { account: string|null } - account to write (defaults to this page's account)
+   *                           { source: string } - audit log source (defaults to this page's)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setSettings(partial, options = {}) {
+    const account = resolveAccount(options.account);
+    const current = await getSettings(account);
+    const next = deepMerge(current, partial);
+    await persistSettings(next, account, options.source);
+
+    if (options.recordHistory !== false) {
+      const entry = buildSettingsHistoryEntry(current, next);
+      if (entry && options.historyLabel) entry.label = options.historyLabel;
+      if (entry) entry.account = account;
+      // Awaited so undo and getHistoryState see this entry as soon as the save resolves
+      if (entry) await recordHistoryEntry(entry).catch((error) => console.warn('[Storage] Failed to record history:', error));
+    }
+    return next;
+  }
+
+  /**
+   * Whether a chrome.storage.onChanged payload touches any settings shard
+   * @param {Object} changes - onChanged changes object
+   * @returns {boolean}
+   */
+  function isSettingsChange(changes) {
+    const keys = [...SETTINGS_KEYS, ACCOUNT_SHARING_KEY, ...(activeAccount ? namespaceSettingsKeys(activeAccount) : [])];
+    return keys.some((key) => key in changes);
+  }
+
+  /**
+   * Structured diff of two settings objects. Plain objects are walked key by key;
+   * arrays and primitives (e.g. one day's time blocks) are compared as whole values.
+   * @param {Object} before - Previous settings
+   * @param {Object} after - New settings
+   * @returns {Array<{path: string, segments: string[], oldValue: *, newValue: *}>}
+   */
+  function diffSettings(before, after, segments = []) {
+    const b = isPlainObject(before) ? before : {};
+    const a = isPlainObject(after) ? after : {};
+    const changes = [];
+    for (const key of new Set([...Object.keys(b), ...Object.keys(a)])) {
+      const path = [...segments, key];
+      if (isPlainObject(b[key]) && isPlainObject(a[key])) {
+        changes.push(...diffSettings(b[key], a[key], path));
+      } else if (JSON.stringify(b[key]) !== JSON.stringify(a[key])) {
+        changes.push({ path: path.join('.'), segments: path, oldValue: b[key], newValue: a[key] });
       }
+    }
+    return changes;
+  }
+
+  /**
+   * The part of a change that concerns a subscribed path ('*' matches any one key)
+   * @returns {Object|null} The change itself when it is at or inside the path; when it replaced
+   *   something above the path, the change narrowed down to the path (null if that part is unchanged)
+   */
+  function changeForPath(change, path) {
+    const pattern = Array.isArray(path) ? path : String(path).split('.');
+    const length = Math.min(pattern.length, change.segments.length);
+    for (let i = 0; i < length; i++) {
+      if (pattern[i] !== '*' && pattern[i] !== change.segments[i]) return null;
+    }
+    if (pattern.length <= change.segments.length || pattern.includes('*')) return change;
+
+    const rest = pattern.slice(change.segments.length);
+    const dig = (value) => rest.reduce((acc, key) => (isPlainObject(acc) ? acc[key] : undefined), value);
+    const oldValue = dig(change.oldValue);
+    const newValue = dig(change.newValue);
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return null;
+    return { path: pattern.join('.'), segments: pattern, oldValue, newValue };
+  }
+
+  /**
+   * Subscribe to settings changes of this page's account
+   * @param {Function} callback - Called with (settings, diff): the stored settings (without defaults) and
+   *                              { changes: [{ path, segments, oldValue, newValue }] } since the previous call
+   * @param {Object} options - { paths: Array<string|string[]> } - only call back when something at, inside or above
+   *                           one of these paths changed, and limit diff.changes to them. '*' matches any one key;
+   *                           keys containing dots (calendar IDs) need the array form:
+   *                           ['eventColoring', 'calendarColors', 'me@example.com']
+   * @returns {Function} Unsubscribe
+   */
+  function onSettingsChanged(callback, options = {}) {
+    const paths = options.paths || null;
+    // Baseline for the first diff
+    let previous = null;
+    const baseline = readStoredSettings()
+      .then((settings) => {
+        previous = previous || settings;
+      })
+      .catch(() => {});
+
+    // A single save can touch several shards across sync and local, so coalesce
+    // the resulting events and hand callers the reassembled settings once
+    let pending = null;
+    const listener = (changes, area) => {
+      if ((area !== 'sync' && area !== 'local') || !isSettingsChange(changes)) return;
+      clearTimeout(pending);
+      pending = setTimeout(async () => {
+        // Read stored values rather than defaults so a missing shard never
+        // overrides user choices with default enabled: true
+        const settings = await readStoredSettings();
+        await baseline;
+        let diff = diffSettings(previous, settings);
+        previous = settings;
+
+        if (paths) {
+          diff = diff.flatMap((change) => {
+            const matches = paths.map((path) => changeForPath(change, path)).filter(Boolean);
+            // The whole change once if any path covers it, otherwise each narrowed part
+            return matches.includes(change) ? [change] : matches;
+          });
+          if (diff.length === 0) return;
+        }
+        if (Object.keys(settings).length > 0) {
+          callback(settings, { changes: diff });
+        }
+      }, 50);
     };
-    chrome.storage.onChanged.addListener(listener);
+    const unsubscribe = subscribeStorage(listener);
 
     // Return unsubscribe function for cleanup
-    return () => chrome.storage.onChanged.removeListener(listener);
+    return () => {
+      clearTimeout(pending);
+      unsubscribe();
+    };
+  }
+
+  /**
+   * Report chrome.storage.sync usage so the UI can warn before writes start failing
+   * @returns {Promise<{bytesInUse: number, quotaBytes: number, ratio: number, items: Array, fallbackKeys: string[], nearLimit: boolean}>}
+   */
+  async function getQuotaUsage() {
+    const bytesInUse = await adapter.getBytesInUse('sync', null);
+    const { shards: baseShards, fallbackKeys } = await readSettingsShards();
+    const accountShards = activeAccount ? (await readSettingsShards(activeAccount)).shards : {};
+    const shards = { ...baseShards, ...accountShards };
+
+    const items = Object.entries(shards)
+      .map(([key, value]) => {
+        const bytes = itemBytes(key, value);
+        return { key, bytes, ratio: bytes / SYNC_QUOTA_BYTES_PER_ITEM, inLocal: fallbackKeys.includes(key) };
+      })
+      .sort((a, b) => b.ratio - a.ratio);
+
+    const ratio = bytesInUse / SYNC_QUOTA_BYTES;
+    return {
+      bytesInUse,
+      quotaBytes: SYNC_QUOTA_BYTES,
+      perItemQuotaBytes: SYNC_QUOTA_BYTES_PER_ITEM,
+      ratio,
+      items,
+      fallbackKeys,
+      nearLimit:
+        ratio >= QUOTA_WARNING_RATIO ||
+        fallbackKeys.length > 0 ||
+        items.some((item) => !item.inLocal && item.ratio >= QUOTA_WARNING_RATIO),
+    };
   }
 
   function ymdFromDate(date) {
@@ -170,6 +833,24 @@
     const key = String(weekdayIndex);
     return setSettings({ weekdayOpacity: { [key]: opacity } });
   }
+  async function setWeekdayFill(weekdayIndex, fill) {
+    const key = String(weekdayIndex);
+    return setSettings({ weekdayFills: { [key]: fill || 'solid' } });
+  }
+  async function setDateFill(dateKey, fill) {
+    if (!dateKey) return;
+    // Always get current dateFills and merge, since dateFills is in REPLACE_KEYS
+    const current = await getSettings();
+    const next = { ...(current.dateFills || {}) };
+
+    if (fill && fill !== 'solid') {
+      next[dateKey] = fill;
+    } else {
+      delete next[dateKey];
+    }
+
+    return setSettings({ dateFills: next });
+  }
   async function setDateColor(dateKey, color) {
     if (!dateKey) return;
     // Always get current dateColors and merge, since dateColors is in REPLACE_KEYS
@@ -182,7 +863,13 @@
       delete next[dateKey];
     }
 
-    return setSettings({ dateColors: next });
+    const patch = { dateColors: next };
+    // Coloring a date by hand takes it over from the milestone or import that added it
+    if (current.dateColorOwners?.[dateKey]) {
+      patch.dateColorOwners = { ...current.dateColorOwners };
+      delete patch.dateColorOwners[dateKey];
+    }
+    return setSettings(patch);
   }
   async function clearDateColor(dateKey) {
     return setDateColor(dateKey, null);
@@ -215,6 +902,213 @@
 
     return setSettings({ dateColorLabels: next });
   }
+  /**
+   * Add a date range, or replace the one with the same id
+   * @param {Object} range - { startDate, endDate, color, opacity, label, weekdaysOnly } (see lib/dayColors.js)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setDateRange(range) {
+    if (!range) return;
+    const current = await getSettings();
+    const ranges = [...(current.dateRanges || [])];
+    const saved = { ...range, id: range.id || `range_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` };
+    const index = ranges.findIndex((r) => r.id === saved.id);
+    if (index >= 0) ranges[index] = saved;
+    else ranges.push(saved);
+    return setSettings({ dateRanges: ranges });
+  }
+  async function deleteDateRange(rangeId) {
+    if (!rangeId) return;
+    const current = await getSettings();
+    return setSettings({ dateRanges: (current.dateRanges || []).filter((r) => r.id !== rangeId) });
+  }
+  // Milestone deadlines and calendar imports record the dates they color in dateColorOwners, and
+  // only remove a date they own that still has their color - never a date the user colored
+  const milestoneOwner = (milestoneId) => `milestone:${milestoneId}`;
+  const importOwner = (importId) => `import:${importId}`;
+
+  function ownsDateColor({ dateColors, dateColorOwners }, date, owner, color) {
+    return dateColorOwners?.[date] === owner && dateColors?.[date] === color;
+  }
+
+  // Copies of the per-date maps an owner writes, ready to edit
+  function copyDateColors(settings) {
+    return {
+      dateColors: { ...(settings.dateColors || {}) },
+      dateOpacity: { ...(settings.dateOpacity || {}) },
+      dateColorLabels: { ...(settings.dateColorLabels || {}) },
+      dateColorOwners: { ...(settings.dateColorOwners || {}) },
+    };
+  }
+
+  function releaseDateColor({ dateColors, dateOpacity, dateColorLabels, dateColorOwners }, date) {
+    delete dateColors[date];
+    delete dateOpacity[date];
+    delete dateColorLabels[date];
+    delete dateColorOwners[date];
+  }
+
+  /**
+   * Add a milestone, or replace the one with the same id. Its deadline day becomes a date color
+   * with the milestone's label; a date the user had already colored is left alone.
+   * @param {Object} milestone - { date, leadDays, color, opacity, label } (see lib/dayColors.js)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setMilestone(milestone) {
+    if (!milestone?.date) return;
+    const current = await getSettings();
+    const milestones = [...(current.milestones || [])];
+    const saved = { ...milestone, id: milestone.id || `milestone_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` };
+    const index = milestones.findIndex((m) => m.id === saved.id);
+    const previous = index >= 0 ? milestones[index] : null;
+    if (index >= 0) milestones[index] = saved;
+    else milestones.push(saved);
+
+    const owner = milestoneOwner(saved.id);
+    const colors = copyDateColors(current);
+    if (previous && ownsDateColor(colors, previous.date, owner, previous.color)) {
+      releaseDateColor(colors, previous.date);
+    }
+    if (!colors.dateColors[saved.date]) {
+      colors.dateColors[saved.date] = saved.color;
+      colors.dateOpacity[saved.date] = saved.opacity ?? 60;
+      if (saved.label) colors.dateColorLabels[saved.date] = saved.label;
+      else delete colors.dateColorLabels[saved.date];
+      colors.dateColorOwners[saved.date] = owner;
+    }
+
+    return setSettings({ milestones, ...colors });
+  }
+  async function deleteMilestone(milestoneId) {
+    if (!milestoneId) return;
+    const current = await getSettings();
+    const milestone = (current.milestones || []).find((m) => m.id === milestoneId);
+    if (!milestone) return current;
+
+    const patch = { milestones: current.milestones.filter((m) => m.id !== milestoneId) };
+    if (ownsDateColor(current, milestone.date, milestoneOwner(milestoneId), milestone.color)) {
+      const colors = copyDateColors(current);
+      releaseDateColor(colors, milestone.date);
+      Object.assign(patch, colors);
+    }
+    return setSettings(patch);
+  }
+  /**
+   * Apply a calendar (.ics) import. Single days become date colors with labels, longer events
+   * become date ranges. Importing the same calendar again replaces what its last import added;
+   * dates the user has recolored since, or that had a color before, are left alone.
+   * @param {Object} entries - { days: [{ date, label }], ranges: [{ startDate, endDate, label }] }
+   * @param {Object} options - { importId, name, color, opacity }
+   * @returns {Promise<{settings: Object, added: number, updated: number, removed: number, skipped: number, ranges: number}>}
+   */
+  async function importDateColors({ days = [], ranges = [] }, { importId, name, color, opacity = 100 }) {
+    if (!importId) throw new Error('Import id is required');
+    if (!color) throw new Error('Import color is required');
+
+    const current = await getSettings();
+    const previous = current.icsImports?.[importId];
+    const owner = importOwner(importId);
+    const colors = copyDateColors(current);
+    const { dateColors, dateOpacity, dateColorLabels, dateColorOwners } = colors;
+    const owned = new Set((previous?.dates || []).filter((date) => ownsDateColor(colors, date, owner, previous.color)));
+    const incoming = new Set(days.map((d) => d.date));
+    const counts = { added: 0, updated: 0, removed: 0, skipped: 0, ranges: ranges.length };
+
+    for (const date of owned) {
+      if (incoming.has(date)) continue;
+      releaseDateColor(colors, date);
+      counts.removed++;
+    }
+
+    const dates = [];
+    for (const { date, label } of days) {
+      if (dateColors[date] && !owned.has(date)) {
+        counts.skipped++;
+        continue;
+      }
+      counts[owned.has(date) ? 'updated' : 'added']++;
+      dateColors[date] = color;
+      dateOpacity[date] = opacity;
+      if (label) dateColorLabels[date] = label;
+      else delete dateColorLabels[date];
+      dateColorOwners[date] = owner;
+      dates.push(date);
+    }
+
+    const dateRanges = [
+      ...(current.dateRanges || []).filter((r) => r.importId !== importId),
+      ...ranges.map((range, i) => ({
+        id: `range_${Date.now()}_${i}_${Math.random().toString(36).slice(2, 6)}`,
+        ...range,
+        color,
+        opacity,
+        weekdaysOnly: false,
+        importId,
+      })),
+    ];
+
+    const icsImports = {
+      ...(current.icsImports || {}),
+      [importId]: { name, color, opacity, dates, rangeCount: ranges.length, importedAt: Date.now() },
+    };
+
+    const settings = await setSettings(
+      { ...colors, dateRanges, icsImports },
+      { historyLabel: `Import "${name}"` },
+    );
+    return { settings, ...counts };
+  }
+
+  /**
+   * Remove everything a calendar import added (dates the user recolored since are kept)
+   * @param {string} importId - Import to remove
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function removeDateColorImport(importId) {
+    const current = await getSettings();
+    const previous = current.icsImports?.[importId];
+    if (!previous) return current;
+
+    const owner = importOwner(importId);
+    const colors = copyDateColors(current);
+    for (const date of previous.dates || []) {
+      if (ownsDateColor(colors, date, owner, previous.color)) {
+        releaseDateColor(colors, date);
+      }
+    }
+    const icsImports = { ...current.icsImports };
+    delete icsImports[importId];
+
+    return setSettings(
+      {
+        ...colors,
+        dateRanges: (current.dateRanges || []).filter((r) => r.importId !== importId),
+        icsImports,
+      },
+      { historyLabel: `Remove "${previous.name}"` },
+    );
+  }
+
+  /**
+   * Add a recurring day color rule, or replace the one with the same id
+   * @param {Object} rule - Day color rule (see lib/dayColors.js)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setDayColorRule(rule) {
+    if (!rule) return;
+    const current = await getSettings();
+    const rules = [...(current.dayColorRules || [])];
+    const saved = { ...rule, id: rule.id || `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` };
+    const index = rules.findIndex((r) => r.id === saved.id);
+    if (index >= 0) rules[index] = saved;
+    else rules.push(saved);
+    return setSettings({ dayColorRules: rules });
+  }
+  async function deleteDayColorRule(ruleId) {
+    if (!ruleId) return;
+    const current = await getSettings();
+    return setSettings({ dayColorRules: (current.dayColorRules || []).filter((r) => r.id !== ruleId) });
+  }
   async function addPresetColor(color) {
     const current = await getSettings();
     const set = new Set([...(current.presetColors || []), color]);
@@ -223,6 +1117,31 @@
   async function setWeekStart(weekStart) {
     return setSettings({ weekStart });
   }
+  async function setShowDateLabels(showDateLabels) {
+    return setSettings({ showDateLabels });
+  }
+  async function setDateLabelFontSize(dateLabelFontSize) {
+    return setSettings({ dateLabelFontSize });
+  }
+  async function setMiniCalendar(miniCalendar) {
+    return setSettings({ miniCalendar });
+  }
+  // Partial update of the past-day dimming / today emphasis options
+  async function setDayEmphasis(dayEmphasis) {
+    return setSettings({ dayEmphasis });
+  }
+  // Partial update of the week cycle; `weeks` replaces the whole list
+  async function setWeekCycle(weekCycle) {
+    return setSettings({ weekCycle });
+  }
+  // Partial update of the week number overlay (fiscal options merge too)
+  async function setWeekNumbers(weekNumbers) {
+    return setSettings({ weekNumbers });
+  }
+  // Partial update of the workload heatmap; `steps` replaces the whole ramp
+  async function setWorkloadHeatmap(workloadHeatmap) {
+    return setSettings({ workloadHeatmap });
+  }
   async function setWeekStartConfigured(configured) {
     return setSettings({ weekStartConfigured: configured });
   }
@@ -473,6 +1392,554 @@
     return settings.eventColoring?.googleColorScheme || 'modern';
   }
 
+  // ========================================
+  // EVENT COLOR WRITE QUEUE
+  // ========================================
+  // Every change to cf.eventColors is expressed as a list of ops and committed through one
+  // serialized queue in the background service worker, so two quick color picks or two open
+  // Calendar tabs can't overwrite each other's read-modify-write of the whole map.
+
+  const EVENT_COLORS_KEY = 'cf.eventColors';
+  const EVENT_COLOR_INDEX_KEY = 'cf.eventColorIndex';
+  const IS_SERVICE_WORKER = typeof window === 'undefined';
+  let writeQueue = Promise.resolve();
+
+  // Run a task after every previously queued write (event colors and undo history share the queue)
+  function enqueueWrite(task) {
+    const run = writeQueue.then(task);
+    // A failed task must not stall everything queued behind it
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // ========================================
+  // EVENT COLOR INDEX
+  // ========================================
+  // Secondary index over cf.eventColors so recurring-series and per-calendar lookups don't
+  // have to decode every stored ID. Kept in cf.eventColorIndex, updated op by op and written
+  // in the same storage call as the colors themselves:
+  //   { version, size, signature, byBaseId: { decodedId: [storageId] }, byCalendar: { email: [storageId] } }
+  // signature fingerprints the exact set of stored IDs, so an import, restore, reset or a write
+  // that bypassed the queue is caught even when it kept the number of entries the same.
+
+  const EVENT_COLOR_INDEX_VERSION = 2;
+
+  /**
+   * Order-independent fingerprint of a set of event color IDs (count plus the sum of each
+   * ID's FNV-1a hash). Linear in the total ID length, far cheaper than re-decoding every ID.
+   * @param {Object} eventColors - Event color map
+   * @returns {string}
+   */
+  function eventColorKeySignature(eventColors) {
+    let sum = 0;
+    let count = 0;
+    for (const key in eventColors) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      sum = (sum + (hash >>> 0)) >>> 0;
+      count++;
+    }
+    return `${count}:${sum.toString(36)}`;
+  }
+
+  function addIdToBucket(buckets, key, storageId) {
+    if (!key) return;
+    const bucket = buckets[key] || (buckets[key] = []);
+    if (!bucket.includes(storageId)) bucket.push(storageId);
+  }
+
+  function removeIdFromBucket(buckets, key, storageId) {
+    const bucket = key && buckets[key];
+    if (!bucket) return;
+    const pos = bucket.indexOf(storageId);
+    if (pos !== -1) bucket.splice(pos, 1);
+    if (bucket.length === 0) delete buckets[key];
+  }
+
+  /**
+   * Add a stored event ID to the index (mutates index)
+   * @param {Object} index - Event color index
+   * @param {string} storageId - Key in cf.eventColors
+   */
+  function indexEventColorId(index, storageId) {
+    const parsed = parseEventId(storageId);
+    if (parsed.type !== 'calendar') return;
+    addIdToBucket(index.byBaseId, parsed.decodedId, storageId);
+    addIdToBucket(index.byCalendar, parsed.emailSuffix, storageId);
+  }
+
+  /**
+   * Drop a stored event ID from the index (mutates index)
+   * @param {Object} index - Event color index
+   * @param {string} storageId - Key in cf.eventColors
+   */
+  function unindexEventColorId(index, storageId) {
+    const parsed = parseEventId(storageId);
+    if (parsed.type !== 'calendar') return;
+    removeIdFromBucket(index.byBaseId, parsed.decodedId, storageId);
+    removeIdFromBucket(index.byCalendar, parsed.emailSuffix, storageId);
+  }
+
+  /**
+   * Build the index from scratch
+   * @param {Object} eventColors - Full event color map
+   * @returns {Object} Event color index
+   */
+  function buildEventColorIndex(eventColors = {}) {
+    const index = { version: EVENT_COLOR_INDEX_VERSION, size: 0, signature: '', byBaseId: {}, byCalendar: {} };
+    Object.keys(eventColors).forEach((storageId) => indexEventColorId(index, storageId));
+    index.size = Object.keys(eventColors).length;
+    index.signature = eventColorKeySignature(eventColors);
+    return index;
+  }
+
+  /**
+   * A stored index is trusted only while it was built for exactly these IDs; otherwise rebuilt
+   * @param {Object|null} index - Stored index
+   * @param {Object} eventColors - Current event color map
+   * @returns {Object} Index matching eventColors
+   */
+  function ensureEventColorIndex(index, eventColors) {
+    if (
+      index?.version === EVENT_COLOR_INDEX_VERSION &&
+      index.byBaseId &&
+      index.byCalendar &&
+      index.signature === eventColorKeySignature(eventColors)
+    ) {
+      return index;
+    }
+    return buildEventColorIndex(eventColors);
+  }
+
+  /**
+   * Find the stored record that colors an event: an exact match, else the series' recurring record
+   * @param {Object} eventColors - Full event color map
+   * @param {Object} index - Event color index for that map
+   * @param {string} eventId - Encoded event ID from the page
+   * @returns {string|null} Key in eventColors, or null when nothing applies
+   */
+  function resolveEventColorId(eventColors, index, eventId) {
+    if (!eventId) return null;
+    if (eventColors[eventId]) return eventId;
+
+    const parsed = parseEventId(eventId);
+    if (parsed.type !== 'calendar') return null;
+
+    const seriesIds = index?.byBaseId[parsed.decodedId];
+    if (!seriesIds) return null;
+    return seriesIds.find((storageId) => eventColors[storageId]?.isRecurring) || null;
+  }
+
+  // Storage keys holding an account's event colors (the base keys when shared or no account)
+  async function resolveEventColorKeys(account) {
+    account = resolveAccount(account);
+    const { sections } = account ? await getAccountSharing() : { sections: [] };
+    const scoped = account && !sections.includes('eventColors');
+    return {
+      colorsKey: scoped ? namespacedKey(EVENT_COLORS_KEY, account) : EVENT_COLORS_KEY,
+      indexKey: scoped ? namespacedKey(EVENT_COLOR_INDEX_KEY, account) : EVENT_COLOR_INDEX_KEY,
+    };
+  }
+
+  /**
+   * Get stored event colors together with an up-to-date index
+   * @param {string|null} [account] - Defaults to this page's account
+   * @returns {Promise<{eventColors: Object, index: Object, keys: Object}>}
+   */
+  async function getIndexedEventColors(account) {
+    const keys = await resolveEventColorKeys(account);
+    const result = await storageGet('local', [keys.colorsKey, keys.indexKey, EVENT_COLORS_KEY, EVENT_COLOR_INDEX_KEY]);
+    // An account that hasn't saved a color yet starts from the base colors
+    const own = result[keys.colorsKey] !== undefined;
+    const eventColors = (own ? result[keys.colorsKey] : result[EVENT_COLORS_KEY]) || {};
+    const storedIndex = own ? result[keys.indexKey] : result[EVENT_COLOR_INDEX_KEY];
+    return { eventColors, index: ensureEventColorIndex(storedIndex, eventColors), keys };
+  }
+
+  /**
+   * Accounts whose event colors are stored separately (null = the base colors, always first)
+   * @returns {Promise<Array<string|null>>}
+   */
+  async function listEventColorAccounts() {
+    const accounts = (await listAccounts()).map((account) => account.namespace).filter(Boolean);
+    const keys = await Promise.all(accounts.map((account) => resolveEventColorKeys(account)));
+    const stored = await storageGet('local', keys.map((k) => k.colorsKey));
+    return [
+      null,
+      ...accounts.filter((account, i) => keys[i].colorsKey !== EVENT_COLORS_KEY && stored[keys[i].colorsKey] !== undefined),
+    ];
+  }
+
+  /**
+   * Get stored event IDs for one calendar
+   * @param {string} calendarEmail - Calendar email as it appears in event IDs
+   * @returns {Promise<string[]>}
+   */
+  async function getEventColorIdsForCalendar(calendarEmail) {
+    const { index } = await getIndexedEventColors();
+    return [...(index.byCalendar[calendarEmail] || [])];
+  }
+
+  /**
+   * Apply a single op to an event color map (mutates eventColors)
+   * Ops:
+   *   { type: 'set', eventId, record }           - store a record
+   *   { type: 'patch', eventId, patch }          - merge fields into an existing record
+   *   { type: 'remove', eventId, ifAppliedAt }   - delete one record (only if unchanged since ifAppliedAt, when given)
+   *   { type: 'removeSeries', eventId, keepId }  - delete every record of a recurring series (except keepId)
+   *   { type: 'replaceAll', eventColors }        - swap in a whole map (import)
+   * @param {Object} eventColors - Map being modified
+   * @param {Object} op - Operation
+   * @param {Object} [index] - Event color index kept in step with eventColors (mutated)
+   * @returns {*} Op result (removeSeries returns the number of records removed)
+   */
+  function applyEventColorOp(eventColors, op, index = buildEventColorIndex(eventColors)) {
+    switch (op.type) {
+      case 'set':
+        if (!(op.eventId in eventColors)) indexEventColorId(index, op.eventId);
+        eventColors[op.eventId] = op.record;
+        return true;
+
+      case 'patch':
+        if (!(op.eventId in eventColors)) indexEventColorId(index, op.eventId);
+        eventColors[op.eventId] = { ...eventColors[op.eventId], ...op.patch };
+        return true;
+
+      case 'remove': {
+        if (op.ifAppliedAt !== undefined && eventColors[op.eventId]?.appliedAt !== op.ifAppliedAt) return false;
+        const existed = op.eventId in eventColors;
+        delete eventColors[op.eventId];
+        if (existed) unindexEventColorId(index, op.eventId);
+        return existed;
+      }
+
+      case 'removeSeries': {
+        const parsed = parseEventId(op.eventId);
+        if (parsed.type !== 'calendar') return 0;
+
+        let removedCount = 0;
+        [...(index.byBaseId[parsed.decodedId] || [])].forEach((storedId) => {
+          if (storedId === op.keepId) return;
+          delete eventColors[storedId];
+          unindexEventColorId(index, storedId);
+          removedCount++;
+        });
+        return removedCount;
+      }
+
+      case 'replaceAll':
+        Object.keys(eventColors).forEach((storedId) => delete eventColors[storedId]);
+        Object.assign(eventColors, op.eventColors || {});
+        Object.assign(index, buildEventColorIndex(eventColors));
+        return true;
+
+      default:
+        throw new Error(`Unknown event color op: ${op.type}`);
+    }
+  }
+
+  // Apply ops to stored event colors right away - callers must already hold the write queue
+  async function applyEventColorOpsNow(ops, account, source = auditSource) {
+    const { eventColors, index, keys } = await getIndexedEventColors(account);
+    const before = JSON.parse(JSON.stringify(eventColors));
+    const results = ops.map((op) => applyEventColorOp(eventColors, op, index));
+    index.size = Object.keys(eventColors).length;
+    index.signature = eventColorKeySignature(eventColors);
+    await storageSet('local', { [keys.colorsKey]: eventColors, [keys.indexKey]: index });
+
+    const entries = [...new Set([...Object.keys(before), ...Object.keys(eventColors)])]
+      .filter((eventId) => JSON.stringify(before[eventId]) !== JSON.stringify(eventColors[eventId]))
+      .map((eventId) =>
+        buildAuditEntry({
+          source,
+          account,
+          kind: 'eventColor',
+          path: eventId,
+          oldValue: before[eventId],
+          newValue: eventColors[eventId],
+        }),
+      );
+    await appendAuditEntriesNow(entries).catch((error) => console.warn('[Storage] Failed to record audit log:', error));
+    return { results, before, after: eventColors };
+  }
+
+  /**
+   * Apply ops against storage in this context's queue - one read and one write per batch.
+   * Only the background service worker should call this directly; pages use commitEventColorOps.
+   * @param {Object[]} ops - Operations, applied in order
+   * @param {Object} options - { recordHistory: boolean } (default true), { account } (default this page's account),
+   *                           { source } audit log source (default this context's)
+   * @returns {Promise<Array>} Per-op results
+   */
+  function runEventColorOps(ops, options = {}) {
+    const account = resolveAccount(options.account);
+    return enqueueWrite(async () => {
+      const { results, before, after } = await applyEventColorOpsNow(ops, account, options.source);
+      if (options.recordHistory !== false) {
+        const entry = buildEventColorHistoryEntry(before, after);
+        if (entry) await appendHistoryEntry({ ...entry, account });
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Commit a batch of event color ops as a single write.
+   * Routed through the background service worker so writes from every tab are serialized;
+   * falls back to this context's queue only if the worker can't be reached. When the worker
+   * answers with a failure it may have applied part of the batch, so nothing is retried here.
+   * @param {Object[]} ops - Operations (see applyEventColorOp)
+   * @param {Object} options - { recordHistory: boolean } (default true), { account } (default this page's account),
+   *                           { source } audit log source (default this page's)
+   * @returns {Promise<Array>} Per-op results
+   * @throws {Error} When the background rejects the commit
+   */
+  async function commitEventColorOps(ops, options = {}) {
+    if (!ops || ops.length === 0) return [];
+    options = { ...options, account: resolveAccount(options.account), source: options.source || auditSource };
+
+    if (!IS_SERVICE_WORKER) {
+      let response;
+      try {
+        response = await chrome.runtime.sendMessage({ type: 'EVENT_COLORS_COMMIT', ops, options });
+      } catch (error) {
+        console.warn('[Storage] Background unavailable, committing event colors locally:', error.message);
+      }
+      if (response?.success) return response.results;
+      if (response) throw new Error(`Background rejected event color commit: ${response.error || 'unknown error'}`);
+    }
+
+    return runEventColorOps(ops, options);
+  }
+
+  // ========================================
+  // UNDO / REDO HISTORY
+  // ========================================
+  // Each entry stores the before/after state of what a mutation touched: individual
+  // cf.eventColors records (including per-instance entries removed by a recurring-series
+  // save) and the day color / time block settings paths listed below.
+
+  const HISTORY_KEY = 'cf.history';
+  const HISTORY_LIMIT = 50;
+  // Rapid edits to the same settings (e.g. dragging an opacity slider) collapse into one entry
+  const HISTORY_COALESCE_MS = 1500;
+  const HISTORY_SETTINGS_PATHS = {
+    weekdayColors: 'Weekday color change',
+    weekdayOpacity: 'Weekday color change',
+    dateColors: 'Date color change',
+    dateOpacity: 'Date color change',
+    dateColorLabels: 'Date color change',
+    weekdayFills: 'Weekday color change',
+    dateFills: 'Date color change',
+    dateRanges: 'Date range change',
+    dayColorRules: 'Day color rule change',
+    milestones: 'Milestone change',
+    icsImports: 'Holiday import',
+    dateColorOwners: 'Date color change',
+    weekCycle: 'Week cycle change',
+    workloadHeatmap: 'Heatmap change',
+    'timeBlocking.weeklySchedule': 'Time block change',
+    'timeBlocking.dateSpecificSchedule': 'Time block change',
+  };
+
+  function setPath(obj, path, value) {
+    const segments = path.split('.');
+    let target = obj;
+    for (const segment of segments.slice(0, -1)) {
+      if (!isPlainObject(target[segment])) target[segment] = {};
+      target = target[segment];
+    }
+    const leaf = segments[segments.length - 1];
+    if (value === null || value === undefined) delete target[leaf];
+    else target[leaf] = value;
+  }
+
+  function buildEventColorHistoryEntry(before, after) {
+    const changed = new Set(
+      [...Object.keys(before), ...Object.keys(after)].filter(
+        (eventId) => JSON.stringify(before[eventId]) !== JSON.stringify(after[eventId]),
+      ),
+    );
+    if (changed.size === 0) return null;
+
+    const entry = { label: 'Event color change', eventColors: { before: {}, after: {} } };
+    changed.forEach((eventId) => {
+      entry.eventColors.before[eventId] = before[eventId] ?? null;
+      entry.eventColors.after[eventId] = after[eventId] ?? null;
+    });
+    return entry;
+  }
+
+  function buildSettingsHistoryEntry(current, next) {
+    const paths = Object.keys(HISTORY_SETTINGS_PATHS).filter(
+      (path) => JSON.stringify(getPath(current, path)) !== JSON.stringify(getPath(next, path)),
+    );
+    if (paths.length === 0) return null;
+
+    const entry = { label: HISTORY_SETTINGS_PATHS[paths[0]], settings: { before: {}, after: {} } };
+    paths.forEach((path) => {
+      entry.settings.before[path] = getPath(current, path) ?? null;
+      entry.settings.after[path] = getPath(next, path) ?? null;
+    });
+    return entry;
+  }
+
+  // Each account keeps its own undo history
+  function historyStorageKey(account) {
+    return namespacedKey(HISTORY_KEY, resolveAccount(account));
+  }
+
+  async function readHistory(account) {
+    const key = historyStorageKey(account);
+    const result = await storageGet('local', key);
+    const history = result[key] || {};
+    return { undo: history.undo || [], redo: history.redo || [] };
+  }
+
+  // Push a new entry onto the undo stack of entry.account (callers must hold the write queue)
+  async function appendHistoryEntry(entry) {
+    const history = await readHistory(entry.account);
+    const now = Date.now();
+    const last = history.undo[history.undo.length - 1];
+
+    const samePaths = (a, b) => JSON.stringify(Object.keys(a).sort()) === JSON.stringify(Object.keys(b).sort());
+    if (
+      last &&
+      entry.settings &&
+      last.settings &&
+      !last.eventColors &&
+      last.label === entry.label &&
+      now - last.at < HISTORY_COALESCE_MS &&
+      samePaths(last.settings.after, entry.settings.after)
+    ) {
+      last.settings.after = entry.settings.after;
+      last.at = now;
+    } else {
+      history.undo.push({ id: `${now}-${Math.random().toString(36).slice(2, 8)}`, at: now, ...entry });
+      history.undo = history.undo.slice(-HISTORY_LIMIT);
+    }
+    history.redo = [];
+
+    await storageSet('local', { [historyStorageKey(entry.account)]: history });
+  }
+
+  function queueHistoryEntry(entry) {
+    return enqueueWrite(() => appendHistoryEntry(entry));
+  }
+
+  /**
+   * Record a history entry through the background queue (local queue as fallback)
+   * @param {Object} entry - { label, account?, eventColors?: {before, after}, settings?: {before, after} }
+   * @returns {Promise<void>}
+   */
+  async function recordHistoryEntry(entry) {
+    entry = { ...entry, account: resolveAccount(entry.account) };
+    if (!IS_SERVICE_WORKER) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'HISTORY_RECORD', entry });
+        if (response?.success) return;
+      } catch (error) {
+        // Background unavailable - fall through to the local queue
+      }
+    }
+    await queueHistoryEntry(entry);
+  }
+
+  // Restore one side ('before' for undo, 'after' for redo) of a history entry
+  async function applyHistoryState(entry, side) {
+    if (entry.eventColors) {
+      const ops = Object.entries(entry.eventColors[side]).map(([eventId, record]) =>
+        record ? { type: 'set', eventId, record } : { type: 'remove', eventId },
+      );
+      await applyEventColorOpsNow(ops, entry.account, side === 'before' ? 'undo' : 'redo');
+    }
+
+    if (entry.settings) {
+      const next = await getSettings(entry.account);
+      Object.entries(entry.settings[side]).forEach(([path, value]) => setPath(next, path, value));
+      await persistSettings(next, entry.account, side === 'before' ? 'undo' : 'redo');
+    }
+  }
+
+  /**
+   * Undo or redo the most recent history entry (runs in the write queue)
+   * @param {'undo'|'redo'} direction
+   * @param {string|null} [account] - Whose history to step (defaults to this page's account)
+   * @returns {Promise<{success: boolean, label?: string, touches?: Object}>}
+   */
+  function stepHistoryNow(direction, account) {
+    account = resolveAccount(account);
+    return enqueueWrite(async () => {
+      const history = await readHistory(account);
+      const from = direction === 'undo' ? history.undo : history.redo;
+      const to = direction === 'undo' ? history.redo : history.undo;
+      const entry = from.pop();
+      if (!entry) return { success: false, error: `Nothing to ${direction}` };
+
+      // Entries recorded before accounts were tracked belong to the base
+      await applyHistoryState({ ...entry, account: entry.account ?? null }, direction === 'undo' ? 'before' : 'after');
+      to.push(entry);
+      await storageSet('local', { [historyStorageKey(account)]: history });
+
+      return {
+        success: true,
+        label: entry.label,
+        touches: { eventColors: !!entry.eventColors, settings: !!entry.settings },
+      };
+    });
+  }
+
+  async function stepHistory(direction) {
+    if (!IS_SERVICE_WORKER) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'HISTORY_STEP', direction, account: activeAccount });
+        if (response) return response;
+      } catch (error) {
+        console.warn('[Storage] Background unavailable, applying history locally:', error.message);
+      }
+    }
+    return stepHistoryNow(direction);
+  }
+
+  /**
+   * Undo the most recent coloring change
+   * @returns {Promise<{success: boolean, label?: string, error?: string}>}
+   */
+  async function undo() {
+    return stepHistory('undo');
+  }
+
+  /**
+   * Redo the most recently undone coloring change
+   * @returns {Promise<{success: boolean, label?: string, error?: string}>}
+   */
+  async function redo() {
+    return stepHistory('redo');
+  }
+
+  /**
+   * Get undo/redo availability and the labels of the next steps
+   * @returns {Promise<{canUndo: boolean, canRedo: boolean, undoLabel: string|null, undoId: string|null, redoLabel: string|null}>}
+   */
+  async function getHistoryState() {
+    return describeHistory(await readHistory());
+  }
+
+  function describeHistory(history) {
+    const undoEntry = history?.undo?.[history.undo.length - 1];
+    const redoEntry = history?.redo?.[history.redo.length - 1];
+    return {
+      canUndo: !!undoEntry,
+      canRedo: !!redoEntry,
+      undoLabel: undoEntry?.label || null,
+      undoId: undoEntry?.id || null,
+      redoLabel: redoEntry?.label || null,
+    };
+  }
+
   /**
    * Save event color
    * @param {string} eventId - Calendar event ID
@@ -483,21 +1950,7 @@
   async function saveEventColor(eventId, colorHex, isRecurring = false) {
     if (!eventId) return;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-
-        eventColors[eventId] = {
-          hex: colorHex,
-          isRecurring,
-          appliedAt: Date.now(),
-        };
-
-        chrome.storage.local.set({ 'cf.eventColors': eventColors }, () => {
-          resolve();
-        });
-      });
-    });
+    await commitEventColorOps([{ type: 'set', eventId, record: createHexColorRecord(colorHex, isRecurring) }]);
   }
 
   /**
@@ -508,24 +1961,17 @@
   async function getEventColor(eventId) {
     if (!eventId) return null;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-        resolve(eventColors[eventId] || null);
-      });
-    });
+    const { eventColors } = await getIndexedEventColors();
+    return eventColors[eventId] || null;
   }
 
   /**
    * Get all event colors
    * @returns {Promise<Object>} All event colors
    */
-  async function getAllEventColors() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        resolve(result['cf.eventColors'] || {});
-      });
-    });
+  async function getAllEventColors(account) {
+    const { eventColors } = await getIndexedEventColors(account);
+    return eventColors;
   }
 
   /**
@@ -536,16 +1982,7 @@
   async function removeEventColor(eventId) {
     if (!eventId) return;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-        delete eventColors[eventId];
-
-        chrome.storage.local.set({ 'cf.eventColors': eventColors }, () => {
-          resolve();
-        });
-      });
-    });
+    await commitEventColorOps([{ type: 'remove', eventId }]);
   }
 
   /**
@@ -557,38 +1994,9 @@
   async function removeRecurringEventColors(eventId) {
     if (!eventId) return 0;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-        const parsed = parseEventId(eventId);
-
-        if (parsed.type !== 'calendar') {
-          resolve(0);
-          return;
-        }
-
-        let removedCount = 0;
-        const baseId = parsed.decodedId;
-
-        // Find and remove all entries with matching base ID (base + all instances)
-        Object.keys(eventColors).forEach((storedId) => {
-          try {
-            const storedParsed = parseEventId(storedId);
-            if (storedParsed.decodedId === baseId) {
-              delete eventColors[storedId];
-              removedCount++;
-            }
-          } catch (e) {
-            // Skip invalid IDs
-          }
-        });
-
-        chrome.storage.local.set({ 'cf.eventColors': eventColors }, () => {
-          console.log('[Storage] Removed', removedCount, 'color entries for recurring event');
-          resolve(removedCount);
-        });
-      });
-    });
+    const [removedCount] = await commitEventColorOps([{ type: 'removeSeries', eventId }]);
+    console.log('[Storage] Removed', removedCount, 'color entries for recurring event');
+    return removedCount;
   }
 
   /**
@@ -600,21 +2008,10 @@
   async function markEventForGoogleColors(eventId) {
     if (!eventId) return;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-
-        eventColors[eventId] = {
-          useGoogleColors: true,
-          appliedAt: Date.now(),
-        };
-
-        chrome.storage.local.set({ 'cf.eventColors': eventColors }, () => {
-          console.log('[Storage] Marked event for Google colors:', eventId);
-          resolve();
-        });
-      });
-    });
+    await commitEventColorOps([
+      { type: 'set', eventId, record: { useGoogleColors: true, appliedAt: Date.now() } },
+    ]);
+    console.log('[Storage] Marked event for Google colors:', eventId);
   }
 
   /**
@@ -625,45 +2022,41 @@
    */
   async function markRecurringEventForGoogleColors(eventId) {
     if (!eventId) return;
+    if (parseEventId(eventId).type !== 'calendar') return;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-        const parsed = parseEventId(eventId);
-
-        if (parsed.type !== 'calendar') {
-          resolve();
-          return;
-        }
+    // Remove all existing entries for this recurring series, then store the flag under the
+    // original eventId (not decoded) so it matches when looking up the event later
+    await commitEventColorOps([
+      { type: 'removeSeries', eventId },
+      { type: 'set', eventId, record: { useGoogleColors: true, isRecurring: true, appliedAt: Date.now() } },
+    ]);
+    console.log('[Storage] Marked recurring event for Google colors:', eventId);
+  }
 
-        const baseId = parsed.decodedId;
-
-        // Remove all existing entries for this recurring series
-        Object.keys(eventColors).forEach((storedId) => {
-          try {
-            const storedParsed = parseEventId(storedId);
-            if (storedParsed.decodedId === baseId) {
-              delete eventColors[storedId];
-            }
-          } catch (e) {
-            // Skip invalid IDs
-          }
-        });
+  /**
+   * Build the ops that store a record for an event, or for its whole series when applyToAll is set
+   * on a recurring event (stored under the base event ID, replacing individual instance colors)
+   */
+  function buildSaveOps(eventId, buildRecord, applyToAll) {
+    const parsed = parseEventId(eventId);
 
-        // Store the useGoogleColors flag under the original eventId (not decoded)
-        // This ensures it matches when looking up the event later
-        eventColors[eventId] = {
-          useGoogleColors: true,
-          isRecurring: true,
-          appliedAt: Date.now(),
-        };
+    if (applyToAll && parsed.isRecurring) {
+      const baseStorageId = encodeEventId(parsed.decodedId, parsed.emailSuffix);
 
-        chrome.storage.local.set({ 'cf.eventColors': eventColors }, () => {
-          console.log('[Storage] Marked recurring event for Google colors:', eventId);
-          resolve();
-        });
+      console.log('[Storage] Storing recurring event:', {
+        baseId: parsed.decodedId,
+        emailSuffix: parsed.emailSuffix,
+        storageId: baseStorageId,
       });
-    });
+
+      return [
+        { type: 'set', eventId: baseStorageId, record: buildRecord(true) },
+        { type: 'removeSeries', eventId, keepId: baseStorageId },
+      ];
+    }
+
+    // Single event or single instance
+    return [{ type: 'set', eventId, record: buildRecord(false) }];
   }
 
   /**
@@ -679,57 +2072,9 @@
     if (!eventId || !colorHex) return;
 
     const { applyToAll = false } = options;
-
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-
-        // Parse the event ID to check if recurring
-        const parsed = parseEventId(eventId);
-
-        if (applyToAll && parsed.isRecurring) {
-          // Store under base ID for recurring events
-          const baseStorageId = encodeEventId(parsed.decodedId, parsed.emailSuffix);
-
-          console.log('[Storage] Storing recurring event:', {
-            baseId: parsed.decodedId,
-            emailSuffix: parsed.emailSuffix,
-            storageId: baseStorageId,
-            color: colorHex,
-          });
-
-          // Save with recurring flag
-          eventColors[baseStorageId] = {
-            hex: colorHex,
-            isRecurring: true,
-            appliedAt: Date.now(),
-          };
-
-          // Clean up any individual instance colors for this recurring event
-          Object.keys(eventColors).forEach((storedId) => {
-            try {
-              const storedParsed = parseEventId(storedId);
-              if (storedParsed.decodedId === parsed.decodedId && storedId !== baseStorageId) {
-                delete eventColors[storedId];
-              }
-            } catch (e) {
-              // Skip invalid IDs
-            }
-          });
-        } else {
-          // Single event or single instance
-          eventColors[eventId] = {
-            hex: colorHex,
-            isRecurring: false,
-            appliedAt: Date.now(),
-          };
-        }
-
-        chrome.storage.local.set({ 'cf.eventColors': eventColors }, () => {
-          resolve();
-        });
-      });
-    });
+    await commitEventColorOps(
+      buildSaveOps(eventId, (isRecurring) => createHexColorRecord(colorHex, isRecurring), applyToAll),
+    );
   }
 
   /**
@@ -747,102 +2092,53 @@
 
     const { applyToAll = false } = options;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-
-        // Parse the event ID to check if recurring
-        const parsed = parseEventId(eventId);
-
-        // Use null-coalescing (??) for borderWidth to preserve explicit 0 values
-        // but fall back to 2 if undefined/null
-        const colorData = {
-          background: colors.background || null,
-          text: colors.text || null,
-          border: colors.border || null,
-          borderWidth: colors.borderWidth ?? 2, // Changed from || to ?? to properly handle numeric values
-          // Keep hex for backward compatibility (use background as primary)
-          hex: colors.background || null,
-          isRecurring: false,
-          appliedAt: Date.now(),
-          // Preserve overrideDefaults flag - used by "Replace all styling" to prevent calendar defaults from merging
-          overrideDefaults: colors.overrideDefaults || false,
-          // Preserve useGoogleColors flag - used by "Remove all coloring" to bypass list defaults
-          useGoogleColors: colors.useGoogleColors || false,
-        };
-
-        console.log('[Storage] colorData to store:', colorData);
-
-        if (applyToAll && parsed.isRecurring) {
-          // Store under base ID for recurring events
-          const baseStorageId = encodeEventId(parsed.decodedId, parsed.emailSuffix);
-
-          console.log('[Storage] Storing recurring event colors:', {
-            baseId: parsed.decodedId,
-            emailSuffix: parsed.emailSuffix,
-            storageId: baseStorageId,
-            colors,
-          });
+    // Use null-coalescing (??) for borderWidth to preserve explicit 0 values
+    // but fall back to 2 if undefined/null
+    const buildRecord = (isRecurring) => ({
+      background: colors.background || null,
+      text: colors.text || null,
+      border: colors.border || null,
+      borderWidth: colors.borderWidth ?? 2, // Changed from || to ?? to properly handle numeric values
+      // Keep hex for backward compatibility (use background as primary)
+      hex: colors.background || null,
+      isRecurring,
+      appliedAt: Date.now(),
+      // Preserve overrideDefaults flag - used by "Replace all styling" to prevent calendar defaults from merging
+      overrideDefaults: colors.overrideDefaults || false,
+      // Preserve useGoogleColors flag - used by "Remove all coloring" to bypass list defaults
+      useGoogleColors: colors.useGoogleColors || false,
+    });
 
-          colorData.isRecurring = true;
-          eventColors[baseStorageId] = colorData;
-
-          // Clean up any individual instance colors for this recurring event
-          Object.keys(eventColors).forEach((storedId) => {
-            try {
-              const storedParsed = parseEventId(storedId);
-              if (storedParsed.decodedId === parsed.decodedId && storedId !== baseStorageId) {
-                delete eventColors[storedId];
-              }
-            } catch (e) {
-              // Skip invalid IDs
-            }
-          });
-        } else {
-          // Single event or single instance
-          eventColors[eventId] = colorData;
-        }
+    await commitEventColorOps(buildSaveOps(eventId, buildRecord, applyToAll));
+  }
 
-        chrome.storage.local.set({ 'cf.eventColors': eventColors }, () => {
-          resolve();
-        });
-      });
-    });
+  /**
+   * Build a current-format event color record from a single background color
+   * @param {string} colorHex - Background color
+   * @param {boolean} isRecurring - Whether the record applies to a whole series
+   * @returns {Object} { background, text, border, borderWidth, hex, isRecurring, appliedAt }
+   */
+  function createHexColorRecord(colorHex, isRecurring = false) {
+    return {
+      background: colorHex,
+      text: null,
+      border: null,
+      borderWidth: null,
+      hex: colorHex,
+      isRecurring,
+      appliedAt: Date.now(),
+    };
   }
 
   /**
-   * Get normalized event color data (handles both old and new formats)
+   * Get normalized event color data with defaults applied.
+   * Older stored formats are upgraded once by lib/migrations.js, so only the current shape is handled here.
    * @param {Object} colorData - Raw color data from storage
    * @returns {Object} Normalized { background, text, border, borderWidth, hex, isRecurring }
    */
   function normalizeEventColorData(colorData) {
     if (!colorData) return null;
 
-    // Handle string format (very old)
-    if (typeof colorData === 'string') {
-      return {
-        background: colorData,
-        text: null,
-        border: null,
-        borderWidth: 2, // Default border width
-        hex: colorData,
-        isRecurring: false,
-      };
-    }
-
-    // Handle old format with only hex
-    if (colorData.hex && !colorData.background && colorData.background !== null) {
-      return {
-        background: colorData.hex,
-        text: null,
-        border: null,
-        borderWidth: colorData.borderWidth || 2, // Default if not set
-        hex: colorData.hex,
-        isRecurring: colorData.isRecurring || false,
-      };
-    }
-
-    // New format - return as-is with defaults
     return {
       background: colorData.background || null,
       text: colorData.text || null,
@@ -863,38 +2159,9 @@
   async function findEventColorFull(eventId) {
     if (!eventId) return null;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-
-        // Direct match first
-        if (eventColors[eventId]) {
-          resolve(normalizeEventColorData(eventColors[eventId]));
-          return;
-        }
-
-        // Check for recurring event match
-        const parsed = parseEventId(eventId);
-        if (parsed.type !== 'calendar') {
-          resolve(null);
-          return;
-        }
-
-        // Look for matching recurring event by base ID
-        for (const [storedId, colorData] of Object.entries(eventColors)) {
-          const normalized = normalizeEventColorData(colorData);
-          if (normalized && normalized.isRecurring) {
-            const storedParsed = parseEventId(storedId);
-            if (storedParsed.decodedId === parsed.decodedId) {
-              resolve(normalized);
-              return;
-            }
-          }
-        }
-
-        resolve(null);
-      });
-    });
+    const { eventColors, index } = await getIndexedEventColors();
+    const storageId = resolveEventColorId(eventColors, index, eventId);
+    return storageId ? normalizeEventColorData(eventColors[storageId]) : null;
   }
 
   /**
@@ -905,37 +2172,9 @@
   async function findEventColor(eventId) {
     if (!eventId) return null;
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get('cf.eventColors', (result) => {
-        const eventColors = result['cf.eventColors'] || {};
-
-        // Direct match first
-        if (eventColors[eventId]) {
-          resolve(eventColors[eventId]);
-          return;
-        }
-
-        // Check for recurring event match
-        const parsed = parseEventId(eventId);
-        if (parsed.type !== 'calendar') {
-          resolve(null);
-          return;
-        }
-
-        // Look for matching recurring event by base ID
-        for (const [storedId, colorData] of Object.entries(eventColors)) {
-          if (typeof colorData === 'object' && colorData.isRecurring) {
-            const storedParsed = parseEventId(storedId);
-            if (storedParsed.decodedId === parsed.decodedId) {
-              resolve(colorData);
-              return;
-            }
-          }
-        }
-
-        resolve(null);
-      });
-    });
+    const { eventColors, index } = await getIndexedEventColors();
+    const storageId = resolveEventColorId(eventColors, index, eventId);
+    return storageId ? eventColors[storageId] : null;
   }
 
   /**
@@ -1042,7 +2281,242 @@
   }
 
   // ========================================
-  // EVENT CALENDAR COLORS (per-calendar default colors)
+  // STALE EVENT COLOR CLEANUP
+  // ========================================
+
+  const CLEANUP_REPORT_KEY = 'cf.cleanupReport';
+
+  /**
+   * Update stale event color cleanup options
+   * @param {Object} partial - { enabled?, retentionDays?, verifyWithCalendarApi? }
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setEventColorCleanupSettings(partial) {
+    return setSettings({
+      eventColoring: { cleanup: partial },
+    });
+  }
+
+  /**
+   * Decode the start of a recurring instance from its event ID (e.g. _20240131T090000Z)
+   * @param {string} eventId - Encoded event ID
+   * @returns {Date|null} Instance start, or null for single events / series base IDs
+   */
+  function getEventInstanceDate(eventId) {
+    const { instanceDate } = parseEventId(eventId);
+    const match = instanceDate && instanceDate.match(/^_(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    if (!match) return null;
+    const [, y, mo, d, h, mi, sec] = match.map(Number);
+    return new Date(Date.UTC(y, mo - 1, d, h, mi, sec));
+  }
+
+  /**
+   * Get the report of the most recent cleanup run
+   * @returns {Promise<Object|null>} { ranAt, scanned, verified, removedCount, removed: [{eventId, reason, instanceDate}] }
+   */
+  async function getEventColorCleanupReport() {
+    const result = await storageGet('local', CLEANUP_REPORT_KEY);
+    return result[CLEANUP_REPORT_KEY] || null;
+  }
+
+  async function saveEventColorCleanupReport(report) {
+    await storageSet('local', { [CLEANUP_REPORT_KEY]: report });
+  }
+
+  // ========================================
+  // SETTINGS PROFILES
+  // ========================================
+  // Named snapshots of the "look" settings (day coloring, time blocking and per-calendar event
+  // color defaults) that can be swapped in one click. Stored locally in cf.profiles:
+  //   { active: { [accountId or '']: profileId }, profiles: { id: { id, name, createdAt, updatedAt, snapshot } } }
+  // The profile library is shared by all Google accounts; each account has its own active profile.
+  // Switching goes through the background worker, which tells every calendar tab to re-render.
+
+  const PROFILES_KEY = 'cf.profiles';
+  const PROFILE_SETTINGS_PATHS = [
+    'enabled',
+    'weekdayColors',
+    'weekdayOpacity',
+    'dateColors',
+    'dateOpacity',
+    'dateColorLabels',
+    'weekdayFills',
+    'dateFills',
+    'dateRanges',
+    'dayColorRules',
+    'milestones',
+    'icsImports',
+    'dateColorOwners',
+    'showDateLabels',
+    'dateLabelFontSize',
+    'miniCalendar',
+    'dayEmphasis',
+    'weekCycle',
+    'weekNumbers',
+    'workloadHeatmap',
+    'timeBlocking',
+    'eventColoring.calendarColors',
+    'eventColoring.googleColorScheme',
+  ];
+
+  /**
+   * Pick the profile-controlled parts out of a settings object
+   * @param {Object} settings - Full settings
+   * @returns {Object} Settings partial suitable for setSettings
+   */
+  function captureProfileSnapshot(settings) {
+    const snapshot = {};
+    PROFILE_SETTINGS_PATHS.forEach((path) => {
+      const value = getPath(settings, path);
+      if (value !== undefined) setPath(snapshot, path, JSON.parse(JSON.stringify(value)));
+    });
+    return snapshot;
+  }
+
+  async function readProfiles() {
+    const result = await storageGet('local', PROFILES_KEY);
+    const stored = result[PROFILES_KEY] || {};
+    return { active: stored.active || {}, profiles: stored.profiles || {} };
+  }
+
+  function writeProfiles(state) {
+    return storageSet('local', { [PROFILES_KEY]: state });
+  }
+
+  /**
+   * List saved profiles
+   * @returns {Promise<{activeId: string|null, profiles: Object[]}>} Profiles sorted by name
+   */
+  async function listProfiles() {
+    const { active, profiles } = await readProfiles();
+    const activeId = active[activeAccount || ''];
+    const list = Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name));
+    return { activeId: profiles[activeId] ? activeId : null, profiles: list };
+  }
+
+  /**
+   * Save the current settings as a profile (new, or overwriting an existing one)
+   * @param {string} name - Profile name
+   * @param {Object} options - { id } to overwrite an existing profile
+   * @returns {Promise<Object>} Saved profile
+   */
+  async function saveProfile(name, options = {}) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+
+    const state = await readProfiles();
+    const existing = options.id ? state.profiles[options.id] : null;
+    if (options.id && !existing) throw new Error('Profile not found');
+
+    const duplicate = Object.values(state.profiles).find(
+      (p) => p.id !== options.id && p.name.toLowerCase() === trimmed.toLowerCase(),
+    );
+    if (duplicate) throw new Error(`A profile named "${duplicate.name}" already exists`);
+
+    const now = Date.now();
+    const profile = {
+      id: existing?.id || `profile_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmed,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      snapshot: captureProfileSnapshot(await getSettings()),
+    };
+
+    state.profiles[profile.id] = profile;
+    // The settings on screen now match this profile
+    state.active[activeAccount || ''] = profile.id;
+    await writeProfiles(state);
+    return profile;
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} id - Profile ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Updated profile
+   */
+  async function renameProfile(id, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+
+    const state = await readProfiles();
+    const profile = state.profiles[id];
+    if (!profile) throw new Error('Profile not found');
+
+    profile.name = trimmed;
+    profile.updatedAt = Date.now();
+    await writeProfiles(state);
+    return profile;
+  }
+
+  /**
+   * Delete a profile (current settings are left as they are)
+   * @param {string} id - Profile ID
+   * @returns {Promise<void>}
+   */
+  async function deleteProfile(id) {
+    const state = await readProfiles();
+    delete state.profiles[id];
+    Object.keys(state.active).forEach((account) => {
+      if (state.active[account] === id) delete state.active[account];
+    });
+    await writeProfiles(state);
+  }
+
+  /**
+   * Apply a profile to settings in this context. Pages should use switchProfile instead.
+   * The switch is recorded as one undoable history entry.
+   * @param {string} id - Profile ID
+   * @param {string|null} [account] - Account to apply it to (defaults to this page's account)
+   * @returns {Promise<{success: boolean, profile?: Object, error?: string}>}
+   */
+  async function applyProfileNow(id, account) {
+    account = resolveAccount(account);
+    const state = await readProfiles();
+    const profile = state.profiles[id];
+    if (!profile) return { success: false, error: 'Profile not found' };
+
+    await setSettings(profile.snapshot, {
+      historyLabel: `Switch to profile "${profile.name}"`,
+      account,
+      source: 'profile',
+    });
+    state.active[account || ''] = id;
+    await writeProfiles(state);
+    return { success: true, profile };
+  }
+
+  /**
+   * Switch to a profile and live-update every open calendar tab
+   * @param {string} id - Profile ID
+   * @returns {Promise<{success: boolean, profile?: Object, broadcast?: boolean, error?: string}>}
+   */
+  async function switchProfile(id) {
+    if (!IS_SERVICE_WORKER) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'PROFILE_SWITCH', profileId: id, account: activeAccount });
+        if (response) return response;
+      } catch (error) {
+        // Background unavailable - apply here; open tabs still see the storage change
+      }
+    }
+    return applyProfileNow(id);
+  }
+
+  /**
+   * Listen for profile list / active profile changes
+   * @param {Function} callback - Called with listProfiles() output
+   * @returns {Function} Unsubscribe
+   */
+  function onProfilesChanged(callback) {
+    const listener = (changes, area) => {
+      if (area === 'local' && changes[PROFILES_KEY]) listProfiles().then(callback);
+    };
+    return subscribeStorage(listener);
+  }
+
+  // ========================================
+  // EVENT CALENDAR COLORS (per-calendar default colors)
   // Completely separate from task list coloring
   // ========================================
 
@@ -1403,27 +2877,21 @@
 
   // Additional methods for feature registry compatibility
   async function get(key, defaultValue = null) {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get([key], (result) => {
-        resolve(result[key] || defaultValue);
-      });
-    });
+    const result = await storageGet('sync', [key]);
+    return result[key] || defaultValue;
   }
 
   async function set(key, value) {
-    return new Promise((resolve) => {
-      chrome.storage.sync.set({ [key]: value }, () => {
-        resolve();
-      });
-    });
+    await storageSet('sync', { [key]: value });
   }
 
   async function getAll() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(null, (result) => {
-        resolve(result);
-      });
-    });
+    const [all, settings] = await Promise.all([storageGet('sync', null), readStoredSettings()]);
+    SETTINGS_SHARDS.forEach(({ key }) => delete all[key]);
+    Object.keys(all)
+      .filter((key) => key.startsWith(ACCOUNT_KEY_PREFIX) || key === ACCOUNT_SHARING_KEY)
+      .forEach((key) => delete all[key]);
+    return { ...all, settings };
   }
 
   /**
@@ -1439,21 +2907,18 @@
     };
 
     try {
+      // Step 0: Restore point so the reset can be undone from the options page
+      await createBackup('reset').catch((error) => console.warn('[Storage] Pre-reset backup failed:', error));
+
       // Step 1: Clear Chrome Storage Sync (CRITICAL)
       const syncKeysToRemove = [
         'customDayColors',
+        ACCOUNT_SHARING_KEY,
+        ...(await listNamespacedKeys('sync')),
       ];
 
       try {
-        await new Promise((resolve, reject) => {
-          chrome.storage.sync.remove(syncKeysToRemove, () => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        });
+        await storageRemove('sync', syncKeysToRemove);
         results.syncStorage = 'success';
       } catch (error) {
         results.syncStorage = 'failed';
@@ -1462,7 +2927,7 @@
 
       // Step 2: Reset Settings to Defaults (CRITICAL)
       try {
-        await setSettings(defaultSettings);
+        await setSettings(defaultSettings, { recordHistory: false, account: null, source: 'reset' });
         results.settings = 'success';
       } catch (error) {
         results.settings = 'failed';
@@ -1470,26 +2935,29 @@
       }
 
       // Step 3: Clear Chrome Storage Local caches (non-critical)
+      // (cf.backups and cf.auditLog are kept on purpose - the way back from, and record of, this reset)
       const localKeysToRemove = [
         'cf.eventColors',
+        'cf.eventColorIndex',
+        'cf.history',
+        'cf.cleanupReport',
+        'cf.profiles',
+        'cf.accounts',
+        ...(await listNamespacedKeys('local')),
       ];
 
       try {
-        await new Promise((resolve, reject) => {
-          chrome.storage.local.remove(localKeysToRemove, () => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        });
+        await storageRemove('local', localKeysToRemove);
         results.localStorage = 'success';
       } catch (error) {
         results.localStorage = 'failed';
         console.warn('Local storage clear failed (non-critical):', error);
       }
 
+      await recordAuditEntries([
+        buildAuditEntry({ source: 'reset', kind: 'note', path: 'reset', newValue: 'All settings and event colors were reset' }),
+      ]).catch((error) => console.warn('[Storage] Failed to record audit log:', error));
+
       return { success: true, results };
     } catch (error) {
       console.error('CRITICAL RESET FAILURE:', error);
@@ -1497,11 +2965,842 @@
     }
   }
 
-  // Expose globally under cc3Storage
-  window.cc3Storage = {
+  // ========================================
+  // SETTINGS EXPORT / IMPORT
+  // Versioned bundle covering chrome.storage.sync (settings, customDayColors)
+  // and chrome.storage.local (cf.eventColors)
+  // ========================================
+
+  const EXPORT_FORMAT = 'colorkit-settings';
+  const EXPORT_VERSION = 1;
+
+  // Map-like settings sections summarized in import previews: path -> label
+  const IMPORT_PREVIEW_SECTIONS = [
+    ['weekdayColors', 'Weekday colors'],
+    ['weekdayOpacity', 'Weekday opacity'],
+    ['dateColors', 'Date colors'],
+    ['dateOpacity', 'Date opacity'],
+    ['dateColorLabels', 'Date labels'],
+    ['weekdayFills', 'Weekday fills'],
+    ['dateFills', 'Date fills'],
+    ['dateRanges', 'Date ranges'],
+    ['dayColorRules', 'Day color rules'],
+    ['milestones', 'Milestones'],
+    ['weekCycle', 'Week cycle'],
+    ['weekNumbers', 'Week numbers'],
+    ['dayEmphasis', 'Past days and today'],
+    ['timeBlocking.weeklySchedule', 'Weekly time blocks'],
+    ['timeBlocking.dateSpecificSchedule', 'Date-specific time blocks'],
+    ['eventColoring.templates', 'Color templates'],
+    ['eventColoring.categories', 'Color categories'],
+    ['eventColoring.calendarColors', 'Calendar default colors'],
+    ['eventColoring.googleColorLabels', 'Google color labels'],
+  ];
+
+  const HEX_COLOR_RE = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+  async function getLocalEventColors() {
+    const { eventColors } = await getIndexedEventColors();
+    return eventColors;
+  }
+
+  /**
+   * Bring bundle data written by an older schema up to date (needs lib/migrations.js on the page)
+   * @param {Object} bundle - Validated import bundle
+   * @returns {Object} { settings, customDayColors, eventColors }
+   */
+  function migrateBundleData(bundle) {
+    const migrations = typeof self !== 'undefined' ? self.cc3Migrations : null;
+    if (!migrations) return bundle.data;
+
+    const { settings, customDayColors, eventColors } = bundle.data;
+    const { snapshot } = migrations.migrateSnapshot(
+      { sync: { settings, customDayColors }, local: { 'cf.eventColors': eventColors } },
+      bundle.schemaVersion || 0,
+    );
+    return {
+      settings: joinSettings(snapshot.sync),
+      customDayColors: snapshot.sync.customDayColors,
+      eventColors: snapshot.local['cf.eventColors'],
+    };
+  }
+
+  async function getCustomDayColors() {
+    const result = await storageGet('sync', 'customDayColors');
+    return Array.isArray(result.customDayColors) ? result.customDayColors : [];
+  }
+
+  /**
+   * Build an export bundle of all user data
+   * @returns {Promise<Object>} { format, version, exportedAt, data: { settings, customDayColors, eventColors } }
+   */
+  async function exportAllData() {
+    const [settings, customDayColors, eventColors, schemaVersion] = await Promise.all([
+      getSettings(),
+      getCustomDayColors(),
+      getLocalEventColors(),
+      storageGet('local', 'cf.schemaVersion').then((r) => r['cf.schemaVersion'] || 0),
+    ]);
+
+    let extensionVersion = null;
+    try {
+      extensionVersion = chrome.runtime.getManifest().version;
+    } catch (e) {
+      // Manifest not available in this context
+    }
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion,
+      schemaVersion,
+      data: { settings, customDayColors, eventColors },
+    };
+  }
+
+  /**
+   * Validate an import bundle before previewing or applying it
+   * @param {Object} bundle - Parsed JSON bundle
+   * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+   */
+  function validateImportBundle(bundle) {
+    const errors = [];
+    const warnings = [];
+
+    if (!isPlainObject(bundle)) {
+      return { valid: false, errors: ['File is not a ColorKit settings export'], warnings };
+    }
+    if (bundle.format !== EXPORT_FORMAT) {
+      errors.push('File is not a ColorKit settings export');
+    }
+    if (typeof bundle.version !== 'number' || bundle.version < 1) {
+      errors.push('Export version is missing or invalid');
+    } else if (bundle.version > EXPORT_VERSION) {
+      errors.push(`Export version ${bundle.version} is newer than this extension supports (${EXPORT_VERSION})`);
+    }
+    if (!isPlainObject(bundle.data)) {
+      errors.push('Export is missing its data section');
+      return { valid: false, errors, warnings };
+    }
+
+    const { settings, customDayColors, eventColors } = bundle.data;
+
+    if (settings !== undefined) {
+      if (!isPlainObject(settings)) {
+        errors.push('settings must be an object');
+      } else {
+        for (const [day, color] of Object.entries(settings.weekdayColors || {})) {
+          if (color && !HEX_COLOR_RE.test(color)) warnings.push(`Weekday ${day} has an invalid color "${color}"`);
+        }
+        for (const [dateKey, color] of Object.entries(settings.dateColors || {})) {
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) warnings.push(`Date color key "${dateKey}" is not YYYY-MM-DD`);
+          if (color && !HEX_COLOR_RE.test(color)) warnings.push(`Date ${dateKey} has an invalid color "${color}"`);
+        }
+        const weekly = getPath(settings, 'timeBlocking.weeklySchedule');
+        if (weekly !== undefined && !isPlainObject(weekly)) {
+          errors.push('timeBlocking.weeklySchedule must be an object');
+        }
+      }
+    }
+
+    if (customDayColors !== undefined && !Array.isArray(customDayColors)) {
+      errors.push('customDayColors must be an array');
+    }
+
+    if (eventColors !== undefined) {
+      if (!isPlainObject(eventColors)) {
+        errors.push('eventColors must be an object');
+      } else {
+        for (const [eventId, colorData] of Object.entries(eventColors)) {
+          if (typeof colorData !== 'string' && !isPlainObject(colorData)) {
+            errors.push(`Event color entry "${eventId.slice(0, 20)}" is malformed`);
+            break;
+          }
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // Union-merge used by "merge" imports: maps are combined key by key,
+  // arrays are concatenated without duplicates, primitives take the imported value
+  function mergeForImport(base, incoming) {
+    if (Array.isArray(base) && Array.isArray(incoming)) {
+      const seen = new Set(base.map((v) => JSON.stringify(v)));
+      return [...base, ...incoming.filter((v) => !seen.has(JSON.stringify(v)))];
+    }
+    if (!isPlainObject(base) || !isPlainObject(incoming)) {
+      return incoming;
+    }
+    const out = { ...base };
+    for (const k in incoming) {
+      out[k] = k in base ? mergeForImport(base[k], incoming[k]) : incoming[k];
+    }
+    return out;
+  }
+
+  // Lists (date ranges, rules, milestones) compare entry by entry, matched by id
+  function keyedEntries(value) {
+    if (Array.isArray(value)) return Object.fromEntries(value.map((entry, i) => [entry?.id ?? `#${i}`, entry]));
+    return isPlainObject(value) ? value : {};
+  }
+
+  function diffMap(before, after) {
+    const b = keyedEntries(before);
+    const a = keyedEntries(after);
+    const result = { added: 0, updated: 0, removed: 0 };
+    for (const k of Object.keys(a)) {
+      if (!(k in b)) result.added++;
+      else if (JSON.stringify(b[k]) !== JSON.stringify(a[k])) result.updated++;
+    }
+    for (const k of Object.keys(b)) {
+      if (!(k in a)) result.removed++;
+    }
+    return result;
+  }
+
+  // Compute the state an import would produce without writing anything
+  async function planImport(bundle, mode) {
+    const [currentSettings, currentCustomColors, currentEventColors] = await Promise.all([
+      getSettings(),
+      getCustomDayColors(),
+      getLocalEventColors(),
+    ]);
+    const incoming = migrateBundleData(bundle);
+
+    let nextSettings = currentSettings;
+    let nextCustomColors = currentCustomColors;
+    let nextEventColors = currentEventColors;
+
+    if (mode === 'replace') {
+      if (incoming.settings) nextSettings = deepMerge(defaultSettings, incoming.settings);
+      if (incoming.customDayColors) nextCustomColors = [...incoming.customDayColors];
+      if (incoming.eventColors) nextEventColors = { ...incoming.eventColors };
+    } else {
+      if (incoming.settings) nextSettings = mergeForImport(currentSettings, incoming.settings);
+      if (incoming.customDayColors) nextCustomColors = mergeForImport(currentCustomColors, incoming.customDayColors);
+      if (incoming.eventColors) nextEventColors = { ...currentEventColors, ...incoming.eventColors };
+    }
+
+    const next = { settings: nextSettings, customDayColors: nextCustomColors, eventColors: nextEventColors };
+    return {
+      next,
+      summary: {
+        mode,
+        ...summarizeDataChange(
+          { settings: currentSettings, customDayColors: currentCustomColors, eventColors: currentEventColors },
+          next,
+        ),
+      },
+    };
+  }
+
+  // Section-by-section change counts between two { settings, customDayColors, eventColors } states
+  function summarizeDataChange(current, next) {
+    const sections = IMPORT_PREVIEW_SECTIONS.map(([path, label]) => ({
+      path,
+      label,
+      ...diffMap(getPath(current.settings, path), getPath(next.settings, path)),
+    })).filter((s) => s.added || s.updated || s.removed);
+
+    return {
+      sections,
+      eventColors: diffMap(current.eventColors, next.eventColors),
+      customDayColors: {
+        added: next.customDayColors.filter((c) => !current.customDayColors.includes(c)).length,
+        removed: current.customDayColors.filter((c) => !next.customDayColors.includes(c)).length,
+      },
+      otherSettingsChanged: JSON.stringify(current.settings) !== JSON.stringify(next.settings) && sections.length === 0,
+    };
+  }
+
+  /**
+   * Preview what an import would change
+   * @param {Object} bundle - Parsed export bundle
+   * @param {Object} options - { mode: 'merge' | 'replace' }
+   * @returns {Promise<{valid: boolean, errors: string[], warnings: string[], summary?: Object}>}
+   */
+  async function previewImport(bundle, options = {}) {
+    const mode = options.mode === 'replace' ? 'replace' : 'merge';
+    const validation = validateImportBundle(bundle);
+    if (!validation.valid) return validation;
+
+    const { summary } = await planImport(bundle, mode);
+    return { ...validation, summary };
+  }
+
+  /**
+   * Turn an import summary into human-readable lines for preview UIs
+   * @param {Object} summary - Summary from previewImport/importAllData
+   * @returns {string[]}
+   */
+  function describeImportSummary(summary) {
+    if (!summary) return [];
+    const describe = ({ added = 0, updated = 0, removed = 0 }) =>
+      [added && `${added} added`, updated && `${updated} changed`, removed && `${removed} removed`]
+        .filter(Boolean)
+        .join(', ');
+
+    const lines = summary.sections.map((s) => `${s.label}: ${describe(s)}`);
+    const eventLine = describe(summary.eventColors);
+    if (eventLine) lines.push(`Event colors: ${eventLine}`);
+    const customLine = describe(summary.customDayColors);
+    if (customLine) lines.push(`Color collection: ${customLine}`);
+    const profileLine = summary.profiles && describe(summary.profiles);
+    if (profileLine) lines.push(`Settings profiles: ${profileLine}`);
+    if (summary.otherSettingsChanged) lines.push('Other preferences will be updated');
+    if (summary.otherAccountsChanged) lines.push('Settings of your other Google accounts will also be restored');
+    if (lines.length === 0) {
+      lines.push(
+        summary.mode === 'restore'
+          ? 'No changes - your current settings already match this restore point'
+          : 'No changes - your current settings already match this file',
+      );
+    }
+    return lines;
+  }
+
+  /**
+   * Apply an import bundle
+   * @param {Object} bundle - Parsed export bundle
+   * @param {Object} options - { mode: 'merge' | 'replace' }
+   * @returns {Promise<{success: boolean, summary?: Object, error?: string}>}
+   */
+  async function importAllData(bundle, options = {}) {
+    const mode = options.mode === 'replace' ? 'replace' : 'merge';
+    const validation = validateImportBundle(bundle);
+    if (!validation.valid) {
+      return { success: false, error: validation.errors.join('; ') };
+    }
+
+    try {
+      const { next, summary } = await planImport(bundle, mode);
+
+      await createBackup('import').catch((error) => console.warn('[Storage] Pre-import backup failed:', error));
+      await persistSettings(next.settings, undefined, 'import');
+      await storageSet('sync', { customDayColors: next.customDayColors });
+      await commitEventColorOps([{ type: 'replaceAll', eventColors: next.eventColors }], {
+        recordHistory: false,
+        source: 'import',
+      });
+
+      return { success: true, summary };
+    } catch (error) {
+      console.error('[Storage] Import failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ========================================
+  // BACKUPS / RESTORE POINTS
+  // ========================================
+  // Rolling snapshots of everything the user has configured: all of chrome.storage.sync plus the
+  // user data in chrome.storage.local (event colors, profiles, the account registry and settings
+  // shards that fell back to local). The background worker takes one a day when something changed,
+  // and destructive operations (reset, import, bulk clears, restores) take one first. Undo history,
+  // event color indexes, cleanup reports and the backups themselves are not part of a snapshot.
+  // Stored locally in cf.backups, newest first: [{ id, createdAt, reason, schemaVersion, snapshot: { sync, local } }]
+
+  const BACKUPS_KEY = 'cf.backups';
+  const BACKUP_LIMIT = 7;
+  const BACKUP_REASONS = {
+    scheduled: 'Daily backup',
+    manual: 'Manual backup',
+    reset: 'Before reset',
+    import: 'Before import',
+    restore: 'Before restore',
+    bulkDelete: 'Before bulk delete',
+  };
+  const BACKUP_LOCAL_KEYS = [EVENT_COLORS_KEY, PROFILES_KEY, ACCOUNTS_KEY, SETTINGS_FALLBACK_KEY, ...SETTINGS_KEYS];
+
+  // Local keys holding user data, including their acct.<accountId>.* copies
+  function isBackupLocalKey(key) {
+    if (BACKUP_LOCAL_KEYS.includes(key)) return true;
+    return key.startsWith(ACCOUNT_KEY_PREFIX) && BACKUP_LOCAL_KEYS.some((k) => key.endsWith(`.${k}`));
+  }
+
+  async function captureBackupSnapshot() {
+    const [sync, local] = await Promise.all([storageGet('sync', null), storageGet('local', null)]);
+    const userLocal = {};
+    Object.keys(local)
+      .filter(isBackupLocalKey)
+      .forEach((key) => {
+        userLocal[key] = local[key];
+      });
+    return { snapshot: { sync, local: userLocal }, schemaVersion: local['cf.schemaVersion'] || 0 };
+  }
+
+  async function readBackups() {
+    const result = await storageGet('local', BACKUPS_KEY);
+    return Array.isArray(result[BACKUPS_KEY]) ? result[BACKUPS_KEY] : [];
+  }
+
+  // Drop the oldest restore points until the list fits local storage
+  async function writeBackups(backups) {
+    let kept = backups.slice(0, BACKUP_LIMIT);
+    for (;;) {
+      try {
+        await storageSet('local', { [BACKUPS_KEY]: kept });
+        return kept;
+      } catch (error) {
+        if (kept.length <= 1) throw error;
+        console.warn('[Storage] Backups exceed local storage - dropping the oldest restore point:', error.message);
+        kept = kept.slice(0, -1);
+      }
+    }
+  }
+
+  function describeBackup(backup) {
+    return {
+      id: backup.id,
+      createdAt: backup.createdAt,
+      reason: backup.reason,
+      label: BACKUP_REASONS[backup.reason] || backup.reason,
+      bytes: itemBytes(backup.id, backup.snapshot),
+    };
+  }
+
+  async function createBackupNow(reason, options = {}) {
+    const { snapshot, schemaVersion } = await captureBackupSnapshot();
+    const backups = await readBackups();
+    if (options.skipIfUnchanged && backups[0] && JSON.stringify(backups[0].snapshot) === JSON.stringify(snapshot)) {
+      return null;
+    }
+
+    const now = Date.now();
+    const backup = {
+      id: `backup_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: now,
+      reason,
+      schemaVersion,
+      snapshot,
+    };
+    await writeBackups([backup, ...backups]);
+    return describeBackup(backup);
+  }
+
+  /**
+   * Take a restore point of all user data
+   * @param {string} reason - Key of BACKUP_REASONS
+   * @param {Object} options - { skipIfUnchanged: boolean } - skip when nothing changed since the newest restore point
+   * @returns {Promise<Object|null>} The new restore point ({ id, createdAt, reason, label, bytes }), or null if skipped
+   */
+  function createBackup(reason = 'manual', options = {}) {
+    return enqueueWrite(() => createBackupNow(reason, options));
+  }
+
+  /**
+   * List restore points, newest first
+   * @returns {Promise<Array<{id: string, createdAt: number, reason: string, label: string, bytes: number}>>}
+   */
+  async function listBackups() {
+    return (await readBackups()).map(describeBackup);
+  }
+
+  /**
+   * Delete a restore point
+   * @param {string} id - Backup ID
+   * @returns {Promise<void>}
+   */
+  function deleteBackup(id) {
+    return enqueueWrite(async () => {
+      await writeBackups((await readBackups()).filter((backup) => backup.id !== id));
+    });
+  }
+
+  async function findBackup(id) {
+    const backup = (await readBackups()).find((b) => b.id === id);
+    if (!backup) throw new Error('Restore point not found');
+    return backup;
+  }
+
+  // Snapshot data upgraded to the current schema (needs lib/migrations.js on the page)
+  function migrateBackupSnapshot(backup) {
+    const migrations = typeof self !== 'undefined' ? self.cc3Migrations : null;
+    if (!migrations || (backup.schemaVersion || 0) >= migrations.CURRENT_SCHEMA_VERSION) return backup.snapshot;
+    return migrations.migrateSnapshot(backup.snapshot, backup.schemaVersion || 0).snapshot;
+  }
+
+  // What readStoredSettings / getIndexedEventColors would return for an account if the snapshot were restored
+  function snapshotAccountData(snapshot, account) {
+    const sharedSections = snapshot.sync[ACCOUNT_SHARING_KEY]?.sections || [];
+    const readNamespace = (namespace) => {
+      const keys = namespaceSettingsKeys(namespace);
+      return joinSettings(withFallbackShards(snapshot.sync, snapshot.local, keys), namespace);
+    };
+
+    const base = readNamespace(null);
+    const settings = account ? composeAccountSettings(base, readNamespace(account), scopedPathsFor(sharedSections)) : base;
+
+    const colorsKey =
+      account && !sharedSections.includes('eventColors') ? namespacedKey(EVENT_COLORS_KEY, account) : EVENT_COLORS_KEY;
+    const eventColors = snapshot.local[colorsKey] ?? snapshot.local[EVENT_COLORS_KEY] ?? {};
+
+    return {
+      settings: deepMerge(defaultSettings, settings),
+      customDayColors: Array.isArray(snapshot.sync.customDayColors) ? snapshot.sync.customDayColors : [],
+      eventColors,
+    };
+  }
+
+  /**
+   * Preview what restoring a restore point would change for this page's account
+   * @param {string} id - Backup ID
+   * @returns {Promise<{success: boolean, backup?: Object, summary?: Object, error?: string}>}
+   *   summary has the previewImport shape (see describeImportSummary) plus { profiles, otherAccountsChanged }
+   */
+  async function previewRestore(id) {
+    try {
+      const backup = await findBackup(id);
+      const snapshot = migrateBackupSnapshot(backup);
+      const [{ snapshot: current }, currentSettings, customDayColors, eventColors] = await Promise.all([
+        captureBackupSnapshot(),
+        getSettings(),
+        getCustomDayColors(),
+        getLocalEventColors(),
+      ]);
+
+      // Namespaced keys of every account except this one
+      const ownPrefix = activeAccount ? namespacedKey('', activeAccount) : null;
+      const otherAccountKeys = (area) =>
+        [...new Set([...Object.keys(current[area]), ...Object.keys(snapshot[area])])].filter(
+          (key) => key.startsWith(ACCOUNT_KEY_PREFIX) && !(ownPrefix && key.startsWith(ownPrefix)),
+        );
+      const otherAccountsChanged = ['sync', 'local'].some((area) =>
+        otherAccountKeys(area).some((key) => JSON.stringify(current[area][key]) !== JSON.stringify(snapshot[area][key])),
+      );
+
+      const summary = {
+        mode: 'restore',
+        ...summarizeDataChange(
+          { settings: currentSettings, customDayColors, eventColors },
+          snapshotAccountData(snapshot, activeAccount),
+        ),
+        profiles: diffMap(current.local[PROFILES_KEY]?.profiles, snapshot.local[PROFILES_KEY]?.profiles),
+        otherAccountsChanged,
+      };
+      return { success: true, backup: describeBackup(backup), summary };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore a restore point in this context. Pages should use restoreBackup instead.
+   * A restore point of the current data is taken first, so a restore can itself be undone.
+   * @param {string} id - Backup ID
+   * @returns {Promise<{success: boolean, backup?: Object, error?: string}>}
+   */
+  function restoreBackupNow(id) {
+    return enqueueWrite(async () => {
+      try {
+        const backup = await findBackup(id);
+        const snapshot = migrateBackupSnapshot(backup);
+        await createBackupNow('restore');
+
+        const [{ snapshot: current }, local] = await Promise.all([captureBackupSnapshot(), storageGet('local', null)]);
+        for (const area of ['sync', 'local']) {
+          const changed = {};
+          Object.entries(snapshot[area]).forEach(([key, value]) => {
+            if (JSON.stringify(current[area][key]) !== JSON.stringify(value)) changed[key] = value;
+          });
+          const removed = Object.keys(current[area]).filter((key) => !(key in snapshot[area]));
+          if (Object.keys(changed).length > 0) await storageSet(area, changed);
+          if (removed.length > 0) await storageRemove(area, removed);
+        }
+
+        // Event color indexes no longer match the restored colors - they are rebuilt on next read
+        const staleIndexes = Object.keys(local).filter((key) => key.endsWith(EVENT_COLOR_INDEX_KEY));
+        if (staleIndexes.length > 0) await storageRemove('local', staleIndexes);
+
+        const restoredAt = new Date(backup.createdAt).toLocaleString();
+        await appendAuditEntriesNow([
+          buildAuditEntry({
+            source: 'restore',
+            kind: 'note',
+            path: backup.id,
+            newValue: `Restored the restore point from ${restoredAt} (${describeBackup(backup).label})`,
+          }),
+        ]);
+
+        return { success: true, backup: describeBackup(backup) };
+      } catch (error) {
+        console.error('[Storage] Restore failed:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Restore a restore point and reload every open calendar tab
+   * @param {string} id - Backup ID
+   * @returns {Promise<{success: boolean, backup?: Object, broadcast?: boolean, error?: string}>}
+   */
+  async function restoreBackup(id) {
+    if (!IS_SERVICE_WORKER) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'BACKUP_RESTORE', backupId: id });
+        if (response) return response;
+      } catch (error) {
+        // Background unavailable - restore here; open tabs still see the storage change
+      }
+    }
+    return restoreBackupNow(id);
+  }
+
+  /**
+   * Listen for restore point list changes
+   * @param {Function} callback - Called with listBackups() output
+   * @returns {Function} Unsubscribe
+   */
+  function onBackupsChanged(callback) {
+    const listener = (changes, area) => {
+      if (area === 'local' && changes[BACKUPS_KEY]) listBackups().then(callback);
+    };
+    return subscribeStorage(listener);
+  }
+
+  // ========================================
+  // AUDIT LOG
+  // ========================================
+  // Append-only record of every settings and event color change made through cc3Storage, for working
+  // out why a color changed. Unlike undo history it is shared by all accounts, covers every source
+  // (including the background worker) and is never rewritten - reverting an entry appends a new one.
+  // Stored locally in cf.auditLog, oldest first, capped by entry count and total size:
+  //   [{ id, at, source, account, kind: 'setting' | 'eventColor' | 'note', key, segments?, before, after, revertible }]
+  // Setting entries are keyed by settings path, event color entries by stored event ID.
+
+  const AUDIT_LOG_KEY = 'cf.auditLog';
+  const AUDIT_LOG_MAX_ENTRIES = 1000;
+  const AUDIT_LOG_MAX_BYTES = 512 * 1024;
+  // Bigger before/after values (e.g. a whole schedule written at once) are summarized and can't be reverted
+  const AUDIT_VALUE_MAX_BYTES = 4 * 1024;
+  const AUDIT_SOURCES = {
+    popup: 'Popup',
+    options: 'Options page',
+    calendarPanel: 'In-calendar panel',
+    toolbar: 'Calendar toolbar',
+    webApp: 'Web app',
+    migration: 'Migration',
+    cleanup: 'Stale color cleanup',
+    undo: 'Undo',
+    redo: 'Redo',
+    profile: 'Profile switch',
+    import: 'Import',
+    restore: 'Restore point',
+    reset: 'Reset',
+    revert: 'Audit log revert',
+    background: 'Background',
+  };
+
+  // Source recorded for changes made in this context unless a call names its own
+  let auditSource = IS_SERVICE_WORKER ? 'background' : 'calendarPanel';
+
+  /**
+   * Set the audit log source for changes made in this context (popup, options page, ...)
+   * @param {string} source - Key of AUDIT_SOURCES
+   */
+  function setAuditSource(source) {
+    auditSource = source;
+  }
+
+  function auditValue(value) {
+    if (value === undefined) return { value, fits: true };
+    const bytes = itemBytes('', value);
+    return bytes > AUDIT_VALUE_MAX_BYTES ? { value: { truncated: true, bytes }, fits: false } : { value, fits: true };
+  }
+
+  /**
+   * Build an audit log entry
+   * @param {Object} change - { source, account, kind, path, segments?, oldValue, newValue }
+   * @returns {Object}
+   */
+  function buildAuditEntry({ source, account, kind, path, segments, oldValue, newValue }) {
+    const before = auditValue(oldValue);
+    const after = auditValue(newValue);
+    const now = Date.now();
+    return {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      at: now,
+      source: source || auditSource,
+      account: account ?? null,
+      kind,
+      key: path,
+      ...(segments ? { segments } : {}),
+      before: before.value,
+      after: after.value,
+      revertible: kind !== 'note' && before.fits && after.fits,
+    };
+  }
+
+  async function readAuditLog() {
+    const result = await storageGet('local', AUDIT_LOG_KEY);
+    return Array.isArray(result[AUDIT_LOG_KEY]) ? result[AUDIT_LOG_KEY] : [];
+  }
+
+  // Append entries and drop the oldest ones over the caps (callers must hold the write queue)
+  async function appendAuditEntriesNow(entries) {
+    if (!entries || entries.length === 0) return;
+    const log = [...(await readAuditLog()), ...entries].slice(-AUDIT_LOG_MAX_ENTRIES);
+    while (log.length > 1 && itemBytes(AUDIT_LOG_KEY, log) > AUDIT_LOG_MAX_BYTES) {
+      log.splice(0, Math.ceil(log.length / 10));
+    }
+    await storageSet('local', { [AUDIT_LOG_KEY]: log });
+  }
+
+  /**
+   * Record audit entries through the background queue (local queue as fallback)
+   * @param {Object[]} entries - Entries from buildAuditEntry
+   * @returns {Promise<void>}
+   */
+  async function recordAuditEntries(entries) {
+    if (!entries || entries.length === 0) return;
+    if (!IS_SERVICE_WORKER) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'AUDIT_RECORD', entries });
+        if (response?.success) return;
+      } catch (error) {
+        // Background unavailable - fall through to the local queue
+      }
+    }
+    await enqueueWrite(() => appendAuditEntriesNow(entries));
+  }
+
+  function instanceDateKey(eventId) {
+    const date = getEventInstanceDate(eventId);
+    return date ? ymdFromDate(date) : null;
+  }
+
+  function auditEntryMatches(entry, filter) {
+    const includes = (value, query) => String(value ?? '').toLowerCase().includes(query.toLowerCase());
+
+    if (filter.source && entry.source !== filter.source) return false;
+    if (filter.eventId) {
+      if (entry.kind !== 'eventColor') return false;
+      if (!includes(entry.key, filter.eventId) && !includes(parseEventId(entry.key).decodedId, filter.eventId)) {
+        return false;
+      }
+    }
+    if (filter.dateKey) {
+      const dateKey = entry.kind === 'eventColor' ? instanceDateKey(entry.key) : null;
+      if (dateKey !== filter.dateKey && !(entry.segments || []).includes(filter.dateKey)) return false;
+    }
+    if (filter.template) {
+      const [section, group, templateId] = entry.segments || [];
+      if (section !== 'eventColoring' || group !== 'templates') return false;
+      const names = [templateId, entry.before?.name, entry.after?.name];
+      if (!names.some((name) => includes(name, filter.template))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Read the audit log, newest first
+   * @param {Object} filter - { eventId, dateKey: 'YYYY-MM-DD', template: ID or name, source, limit }
+   *                          eventId and template match partially and case-insensitively
+   * @returns {Promise<Object[]>}
+   */
+  async function getAuditLog(filter = {}) {
+    const matches = (await readAuditLog()).filter((entry) => auditEntryMatches(entry, filter)).reverse();
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+  }
+
+  function getSegments(obj, segments) {
+    return segments.reduce((acc, key) => (isPlainObject(acc) ? acc[key] : undefined), obj);
+  }
+
+  function setSegments(obj, segments, value) {
+    let target = obj;
+    for (const segment of segments.slice(0, -1)) {
+      if (!isPlainObject(target[segment])) target[segment] = {};
+      target = target[segment];
+    }
+    const leaf = segments[segments.length - 1];
+    if (value === undefined) delete target[leaf];
+    else target[leaf] = value;
+  }
+
+  /**
+   * Put back the value an audit entry replaced. The revert is itself logged.
+   * @param {string} id - Audit entry ID
+   * @param {Object} options - { force: boolean } - revert even if the value has changed again since
+   * @returns {Promise<{success: boolean, conflict?: boolean, error?: string}>}
+   */
+  async function revertAuditEntry(id, options = {}) {
+    const entry = (await readAuditLog()).find((e) => e.id === id);
+    if (!entry) return { success: false, error: 'Audit entry not found' };
+    if (!entry.revertible) return { success: false, error: "This change can't be reverted" };
+
+    const account = entry.account ?? null;
+    const conflict = {
+      success: false,
+      conflict: true,
+      error: 'This value has changed again since - reverting would undo the later change too',
+    };
+
+    try {
+      if (entry.kind === 'eventColor') {
+        const { eventColors } = await getIndexedEventColors(account);
+        if (!options.force && JSON.stringify(eventColors[entry.key]) !== JSON.stringify(entry.after)) return conflict;
+        const op =
+          entry.before === undefined
+            ? { type: 'remove', eventId: entry.key }
+            : { type: 'set', eventId: entry.key, record: entry.before };
+        await commitEventColorOps([op], { account, source: 'revert' });
+        return { success: true };
+      }
+
+      const next = await getSettings(account);
+      const segments = entry.segments || entry.key.split('.');
+      if (!options.force && JSON.stringify(getSegments(next, segments)) !== JSON.stringify(entry.after)) return conflict;
+      setSegments(next, segments, entry.before);
+      await persistSettings(next, account, 'revert');
+      return { success: true };
+    } catch (error) {
+      console.error('[Storage] Audit revert failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Listen for new audit log entries
+   * @param {Function} callback - Called with no arguments; re-query with getAuditLog
+   * @returns {Function} Unsubscribe
+   */
+  function onAuditLogChanged(callback) {
+    const listener = (changes, area) => {
+      if (area === 'local' && changes[AUDIT_LOG_KEY]) callback();
+    };
+    return subscribeStorage(listener);
+  }
+
+  // Expose globally under cc3Storage (self so the background service worker can import it too)
+  self.cc3Storage = {
     getSettings,
     setSettings,
     onSettingsChanged,
+    diffSettings,
+    // Storage backend
+    setStorageAdapter,
+    getStorageAdapter,
+    // Google account namespaces
+    ACCOUNT_SECTIONS,
+    setActiveAccount,
+    getActiveAccount,
+    registerAccount,
+    listAccounts,
+    accountIndexFromUrl,
+    resolveAccountForUrl,
+    useAccountOfActiveTab,
+    getAccountSharing,
+    setAccountSharing,
+    pickAccountSection,
+    isSettingsChange,
+    getQuotaUsage,
+    splitSettings,
+    joinSettings,
     setEnabled,
     setWeekdayColor,
     setWeekdayOpacity,
@@ -1509,8 +3808,25 @@
     clearDateColor,
     setDateOpacity,
     setDateColorLabel,
+    setWeekdayFill,
+    setDateFill,
+    setDateRange,
+    deleteDateRange,
+    setMilestone,
+    deleteMilestone,
+    importDateColors,
+    removeDateColorImport,
+    setDayColorRule,
+    deleteDayColorRule,
     addPresetColor,
     setWeekStart,
+    setShowDateLabels,
+    setDateLabelFontSize,
+    setDayEmphasis,
+    setWeekCycle,
+    setMiniCalendar,
+    setWeekNumbers,
+    setWorkloadHeatmap,
     setWeekStartConfigured,
     ymdFromDate,
     defaultSettings,
@@ -1542,11 +3858,44 @@
     markRecurringEventForGoogleColors,
     saveEventColorAdvanced,
     saveEventColorsFullAdvanced,
+    commitEventColorOps,
+    runEventColorOps,
+    applyEventColorOp,
+    buildEventColorIndex,
+    ensureEventColorIndex,
+    resolveEventColorId,
+    getIndexedEventColors,
+    listEventColorAccounts,
+    getEventColorIdsForCalendar,
+    // Undo/redo history
+    undo,
+    redo,
+    getHistoryState,
+    describeHistory,
+    recordHistoryEntry,
+    queueHistoryEntry,
+    stepHistoryNow,
+    historyStorageKey,
     findEventColor,
     findEventColorFull,
     normalizeEventColorData,
+    createHexColorRecord,
     parseEventId,
     encodeEventId,
+    // Stale event color cleanup
+    setEventColorCleanupSettings,
+    getEventInstanceDate,
+    getEventColorCleanupReport,
+    saveEventColorCleanupReport,
+    // Settings profiles
+    captureProfileSnapshot,
+    listProfiles,
+    saveProfile,
+    renameProfile,
+    deleteProfile,
+    applyProfileNow,
+    switchProfile,
+    onProfilesChanged,
     getIsCustomColorsDisabled,
     setDisableCustomColors,
     addQuickAccessColor,
@@ -1581,5 +3930,29 @@
     getAll,
     // Reset function
     performCompleteReset,
+    // Export/import functions
+    exportAllData,
+    validateImportBundle,
+    previewImport,
+    describeImportSummary,
+    importAllData,
+    // Backups / restore points
+    BACKUP_REASONS,
+    createBackup,
+    listBackups,
+    deleteBackup,
+    previewRestore,
+    restoreBackup,
+    restoreBackupNow,
+    onBackupsChanged,
+    // Audit log
+    AUDIT_SOURCES,
+    setAuditSource,
+    buildAuditEntry,
+    recordAuditEntries,
+    appendAuditEntriesNow,
+    getAuditLog,
+    revertAuditEntry,
+    onAuditLogChanged,
   };
 })();
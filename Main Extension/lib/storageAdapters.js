@@ -0,0 +1,124 @@
+// Storage backends for cc3Storage (no module syntax so it can load in pages and the service worker)
+//
+// An adapter is a promise-based view of two key-value areas, 'sync' and 'local':
+//   get(area, keys)            -> Promise<Object>   keys: null (everything), a key, or an array of keys
+//   set(area, items)           -> Promise<void>
+//   remove(area, keys)         -> Promise<void>
+//   getBytesInUse(area, keys)  -> Promise<number>
+//   onChanged(listener)        -> unsubscribe function; listener(changes, areaName) with
+//                                 changes shaped like chrome.storage.onChanged ({ key: { oldValue, newValue } })
+// The chrome adapter is the default; the memory adapter runs the same storage code outside a browser.
+(function () {
+  const AREAS = ['sync', 'local'];
+
+  function assertArea(area) {
+    if (!AREAS.includes(area)) throw new Error(`Unknown storage area "${area}"`);
+  }
+
+  /**
+   * Adapter backed by chrome.storage
+   * @returns {Object} Storage adapter
+   */
+  function createChromeAdapter() {
+    const call = (area, method, arg) =>
+      new Promise((resolve, reject) => {
+        assertArea(area);
+        chrome.storage[area][method](arg, (result) => {
+          if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+          else resolve(result);
+        });
+      });
+
+    return {
+      name: 'chrome',
+      get: async (area, keys) => (await call(area, 'get', keys)) || {},
+      set: async (area, items) => {
+        await call(area, 'set', items);
+      },
+      remove: async (area, keys) => {
+        await call(area, 'remove', keys);
+      },
+      getBytesInUse: (area, keys) => call(area, 'getBytesInUse', keys),
+      onChanged(listener) {
+        chrome.storage.onChanged.addListener(listener);
+        return () => chrome.storage.onChanged.removeListener(listener);
+      },
+    };
+  }
+
+  // Stored values are copies, like chrome.storage - callers can't mutate what is stored
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  /**
+   * Adapter that keeps everything in memory (tests, Node scripts)
+   * @param {Object} initial - Optional starting data: { sync: {...}, local: {...} }
+   * @returns {Object} Storage adapter, plus dump() returning a copy of both areas
+   */
+  function createMemoryAdapter(initial = {}) {
+    const data = { sync: clone(initial.sync) || {}, local: clone(initial.local) || {} };
+    const listeners = new Set();
+
+    // Like chrome, listeners run after the write has resolved
+    function notify(area, changes) {
+      if (Object.keys(changes).length === 0) return;
+      queueMicrotask(() => listeners.forEach((listener) => listener(clone(changes), area)));
+    }
+
+    function pick(area, keys) {
+      assertArea(area);
+      const store = data[area];
+      if (keys === null || keys === undefined) return clone(store);
+      if (typeof keys === 'string') keys = [keys];
+      // Object form: keys with default values
+      const defaults = Array.isArray(keys) ? {} : keys;
+      const result = {};
+      for (const key of Array.isArray(keys) ? keys : Object.keys(keys)) {
+        if (key in store) result[key] = clone(store[key]);
+        else if (key in defaults) result[key] = clone(defaults[key]);
+      }
+      return result;
+    }
+
+    return {
+      name: 'memory',
+      async get(area, keys) {
+        return pick(area, keys);
+      },
+      async set(area, items) {
+        assertArea(area);
+        const changes = {};
+        for (const [key, value] of Object.entries(items || {})) {
+          changes[key] = { oldValue: clone(data[area][key]), newValue: clone(value) };
+          data[area][key] = clone(value);
+        }
+        notify(area, changes);
+      },
+      async remove(area, keys) {
+        assertArea(area);
+        const changes = {};
+        for (const key of typeof keys === 'string' ? [keys] : keys || []) {
+          if (!(key in data[area])) continue;
+          changes[key] = { oldValue: data[area][key] };
+          delete data[area][key];
+        }
+        notify(area, changes);
+      },
+      async getBytesInUse(area, keys) {
+        const items = pick(area, keys);
+        return Object.entries(items).reduce(
+          (sum, [key, value]) => sum + new TextEncoder().encode(key + JSON.stringify(value)).length,
+          0,
+        );
+      },
+      onChanged(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      dump() {
+        return { sync: clone(data.sync), local: clone(data.local) };
+      },
+    };
+  }
+
+  self.cc3StorageAdapters = { createChromeAdapter, createMemoryAdapter };
+})();
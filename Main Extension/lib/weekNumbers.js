@@ -0,0 +1,192 @@
+// Week numbering for the week number overlay: ISO 8601, US and retail-style fiscal calendars
+// (no module syntax so it can load in content scripts and pages)
+//
+// Settings shape (settings.weekNumbers):
+//   { enabled, system: 'iso' | 'us' | 'fiscal', highlightPeriods, periodColor,
+//     fiscal: { startMonth: 1-12, alignment: 'nearest' | 'first', pattern: '445' | '454' | '544' } }
+//
+// Fiscal years are made of whole weeks that start on the calendar's week start day. A year begins
+// on the week start day nearest to the 1st of startMonth ('nearest', the usual 52/53-week rule),
+// or on the first one on or after it ('first'). Years are named after the calendar year they end
+// in, so with startMonth 10, FY2027 runs from about October 2026 to September 2027.
+// Each quarter has 13 weeks split into three periods by the pattern; a 53rd week joins period 12.
+(function () {
+  const SYSTEMS = {
+    iso: 'ISO 8601 (Monday start)',
+    us: 'US (Sunday start, week 1 has Jan 1)',
+    fiscal: 'Fiscal calendar',
+  };
+
+  const FISCAL_PATTERNS = {
+    445: [4, 4, 5],
+    454: [4, 5, 4],
+    544: [5, 4, 4],
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  // Day numbers count whole UTC days, so DST never shifts a week
+  function toDayNumber(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+  }
+
+  function parseYmd(ymd) {
+    if (!YMD_RE.test(ymd || '')) return null;
+    const [year, month, day] = ymd.split('-').map(Number);
+    const dayNumber = toDayNumber(year, month, day);
+    return { year, month, day, dayNumber, weekday: new Date(dayNumber * DAY_MS).getUTCDay() };
+  }
+
+  function weekdayOf(dayNumber) {
+    return new Date(dayNumber * DAY_MS).getUTCDay();
+  }
+
+  function yearOf(dayNumber) {
+    return new Date(dayNumber * DAY_MS).getUTCFullYear();
+  }
+
+  function weekStartOf(dayNumber, weekStart) {
+    return dayNumber - ((weekdayOf(dayNumber) - weekStart + 7) % 7);
+  }
+
+  /**
+   * ISO 8601 week: weeks start on Monday, week 1 holds the year's first Thursday
+   * @param {string} ymd
+   * @returns {{year: number, week: number}|null}
+   */
+  function isoWeek(ymd) {
+    const date = parseYmd(ymd);
+    if (!date) return null;
+    const thursday = weekStartOf(date.dayNumber, 1) + 3;
+    const year = yearOf(thursday);
+    return { year, week: Math.floor((thursday - toDayNumber(year, 1, 1)) / 7) + 1 };
+  }
+
+  /**
+   * US week: weeks start on Sunday, week 1 is the week holding January 1
+   * @param {string} ymd
+   * @returns {{year: number, week: number}|null}
+   */
+  function usWeek(ymd) {
+    const date = parseYmd(ymd);
+    if (!date) return null;
+    const sunday = weekStartOf(date.dayNumber, 0);
+    // The week belongs to the year its Saturday is in, so Dec 28-31 can be week 1
+    const year = yearOf(sunday + 6);
+    return { year, week: Math.floor((sunday - weekStartOf(toDayNumber(year, 1, 1), 0)) / 7) + 1 };
+  }
+
+  function fiscalYearStart(fiscalYear, fiscal, weekStart) {
+    const startMonth = Number(fiscal.startMonth) || 1;
+    const anchor = toDayNumber(startMonth === 1 ? fiscalYear : fiscalYear - 1, startMonth, 1);
+    const before = weekStartOf(anchor, weekStart);
+    if (before === anchor) return anchor;
+    if (fiscal.alignment === 'first') return before + 7;
+    return anchor - before <= 3 ? before : before + 7;
+  }
+
+  /**
+   * Fiscal week, period and quarter of a date
+   * @param {string} ymd
+   * @param {Object} fiscal - settings.weekNumbers.fiscal
+   * @param {number} [weekStart] - 0-6, first day of the week
+   * @returns {{fiscalYear: number, week: number, weeksInYear: number, period: number, quarter: number,
+   *   periodStart: boolean, yearStart: boolean}|null} periodStart/yearStart are true on the first day only
+   */
+  function fiscalWeek(ymd, fiscal = {}, weekStart = 0) {
+    const date = parseYmd(ymd);
+    if (!date) return null;
+
+    const startMonth = Number(fiscal.startMonth) || 1;
+    let fiscalYear = startMonth > 1 && date.month >= startMonth ? date.year + 1 : date.year;
+    let start = fiscalYearStart(fiscalYear, fiscal, weekStart);
+    if (date.dayNumber < start) {
+      fiscalYear -= 1;
+      start = fiscalYearStart(fiscalYear, fiscal, weekStart);
+    } else if (date.dayNumber >= fiscalYearStart(fiscalYear + 1, fiscal, weekStart)) {
+      fiscalYear += 1;
+      start = fiscalYearStart(fiscalYear, fiscal, weekStart);
+    }
+
+    const weeksInYear = (fiscalYearStart(fiscalYear + 1, fiscal, weekStart) - start) / 7;
+    const weekIndex = Math.floor((date.dayNumber - start) / 7);
+    const pattern = FISCAL_PATTERNS[fiscal.pattern] || FISCAL_PATTERNS[445];
+
+    let period = 12;
+    let periodStartWeek = null;
+    for (let p = 0, firstWeek = 0; p < 12; p++) {
+      const length = pattern[p % 3];
+      if (weekIndex < firstWeek + length) {
+        period = p + 1;
+        periodStartWeek = firstWeek;
+        break;
+      }
+      firstWeek += length;
+    }
+
+    const firstDayOfWeek = (date.dayNumber - start) % 7 === 0;
+    return {
+      fiscalYear,
+      week: weekIndex + 1,
+      weeksInYear,
+      period,
+      quarter: Math.ceil(period / 3),
+      periodStart: firstDayOfWeek && weekIndex === periodStartWeek,
+      yearStart: firstDayOfWeek && weekIndex === 0,
+    };
+  }
+
+  /**
+   * Week number text for the overlay
+   * @param {string} ymd - Any day of the week
+   * @param {Object} config - settings.weekNumbers
+   * @param {number} [weekStart] - 0-6, used by fiscal calendars
+   * @returns {{text: string, title: string}|null}
+   */
+  function weekLabel(ymd, config, weekStart = 0) {
+    switch (config?.system) {
+      case 'us': {
+        const info = usWeek(ymd);
+        return info && { text: `W${info.week}`, title: `Week ${info.week}, ${info.year}` };
+      }
+      case 'fiscal': {
+        const info = fiscalWeek(ymd, config.fiscal, weekStart);
+        return (
+          info && {
+            text: `FW${info.week}`,
+            title: `FY${info.fiscalYear} week ${info.week} of ${info.weeksInYear} · Period ${info.period} · Q${info.quarter}`,
+          }
+        );
+      }
+      default: {
+        const info = isoWeek(ymd);
+        return info && { text: `W${info.week}`, title: `ISO week ${info.week}, ${info.year}` };
+      }
+    }
+  }
+
+  /**
+   * Fiscal period boundary falling on a date, for highlighting
+   * @returns {{label: string, yearStart: boolean}|null}
+   */
+  function periodBoundary(ymd, config, weekStart = 0) {
+    if (config?.system !== 'fiscal' || !config.highlightPeriods) return null;
+    const info = fiscalWeek(ymd, config.fiscal, weekStart);
+    if (!info?.periodStart) return null;
+    return {
+      label: info.yearStart ? `FY${info.fiscalYear} begins` : `Period ${info.period} begins`,
+      yearStart: info.yearStart,
+    };
+  }
+
+  self.cc3WeekNumbers = {
+    SYSTEMS,
+    FISCAL_PATTERNS,
+    isoWeek,
+    usWeek,
+    fiscalWeek,
+    weekLabel,
+    periodBoundary,
+  };
+})();
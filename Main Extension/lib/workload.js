@@ -0,0 +1,167 @@
+// Workload heatmap: busy hours per day and the color ramp they map onto
+// (no module syntax so it can load in content scripts, pages and the background worker)
+//
+// Settings shape (settings.workloadHeatmap):
+//   { enabled, source: 'dom' | 'api', opacity, steps: [{ minHours, color }] }
+// A day takes the color of the highest step whose minHours it reaches; a step without a color
+// leaves the day untinted. Days with no known hours keep their normal weekday color.
+// The heatmap replaces the weekday color only: date colors, ranges and rules still win.
+//
+// Overlapping events are merged first, so double-booked time counts once. All-day events,
+// events marked "free" and invitations that were declined are not busy time.
+(function () {
+  const SOURCES = {
+    dom: 'Events shown on the calendar',
+    api: 'Google Calendar API',
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function sortedSteps(config) {
+    return [...(config?.steps || [])]
+      .filter((step) => Number.isFinite(Number(step?.minHours)))
+      .sort((a, b) => Number(a.minHours) - Number(b.minHours));
+  }
+
+  /**
+   * Ramp color for a day's busy hours
+   * @param {Object} config - settings.workloadHeatmap
+   * @param {number|undefined} hours - Busy hours, undefined when unknown
+   * @returns {{color: string, opacity: number, step: Object}|null}
+   */
+  function heatColor(config, hours) {
+    if (!config?.enabled || hours === undefined || hours === null) return null;
+    let match = null;
+    for (const step of sortedSteps(config)) {
+      if (hours >= Number(step.minHours)) match = step;
+    }
+    if (!match?.color) return null;
+    return { color: match.color, opacity: config.opacity ?? 35, step: match };
+  }
+
+  /**
+   * Total length of a set of intervals, counting overlaps once
+   * @param {Array<[number, number]>} intervals - [start, end] pairs in any unit
+   * @returns {number}
+   */
+  function mergedLength(intervals) {
+    const sorted = intervals.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let current = null;
+    for (const [start, end] of sorted) {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end);
+      } else {
+        if (current) total += current[1] - current[0];
+        current = [start, end];
+      }
+    }
+    if (current) total += current[1] - current[0];
+    return total;
+  }
+
+  function toHour(hour, minute, meridiem) {
+    let h = Number(hour);
+    const m = Number(minute || 0);
+    if (h > 24 || m > 59) return null;
+    if (meridiem) {
+      const pm = /^p/i.test(meridiem);
+      if (h === 12) h = pm ? 12 : 0;
+      else if (pm) h += 12;
+    }
+    return h + m / 60;
+  }
+
+  /**
+   * Read the time span out of an event chip's text, e.g. "10am to 11:30am, Standup, ..."
+   * or "14:00 – 15:30". Handles 12 and 24 hour clocks; a meridiem given only on the end time
+   * ("10 – 11am") applies to both.
+   * @param {string} text
+   * @returns {{start: number, end: number}|null} Hours from midnight; spans past midnight end at 24
+   */
+  function parseEventTimeRange(text) {
+    const match =
+      /(\d{1,2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?\s*(?:to|–|—|-|until)\s*(\d{1,2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?/i.exec(
+        text || '',
+      );
+    if (!match) return null;
+    const [, h1, m1, ap1, h2, m2, ap2] = match;
+    let start = toHour(h1, m1, ap1 || ap2);
+    let end = toHour(h2, m2, ap2);
+    if (start === null || end === null) return null;
+    // "11 – 1pm" means 11am
+    if (!ap1 && ap2 && start > end) start = toHour(h1, m1, /^p/i.test(ap2) ? 'am' : 'pm');
+    if (end <= start) end = 24; // Runs past midnight; only today's part counts
+    return { start, end };
+  }
+
+  function localYmd(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Busy hours per day from Calendar API events (singleEvents expanded)
+   * @param {Array} events - Calendar API event resources
+   * @param {{from: string, to: string}} [bounds] - YYYY-MM-DD span that was fetched; its days
+   *   without events get 0 hours instead of staying unknown
+   * @returns {Object} 'YYYY-MM-DD' -> hours
+   */
+  function busyHoursFromApiEvents(events, bounds = null) {
+    const intervals = {}; // ymd -> [[startMs, endMs]]
+    const hours = {};
+    if (bounds?.from && bounds?.to) {
+      const [y, m, d] = bounds.from.split('-').map(Number);
+      for (let day = new Date(y, m - 1, d); localYmd(day) <= bounds.to; day.setDate(day.getDate() + 1)) {
+        hours[localYmd(day)] = 0;
+      }
+    }
+    for (const event of events || []) {
+      if (event.status === 'cancelled' || event.transparency === 'transparent') continue;
+      if (!event.start?.dateTime || !event.end?.dateTime) continue; // All-day
+      if ((event.attendees || []).some((a) => a.self && a.responseStatus === 'declined')) continue;
+
+      // Split at local midnights so a late meeting counts towards both days
+      let start = new Date(event.start.dateTime).getTime();
+      const end = new Date(event.end.dateTime).getTime();
+      while (start < end) {
+        const day = new Date(start);
+        const nextMidnight = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+        const ymd = localYmd(day);
+        (intervals[ymd] = intervals[ymd] || []).push([start, Math.min(end, nextMidnight)]);
+        start = nextMidnight;
+      }
+    }
+
+    for (const [ymd, list] of Object.entries(intervals)) {
+      hours[ymd] = Math.round((mergedLength(list) / (DAY_MS / 24)) * 100) / 100;
+    }
+    return hours;
+  }
+
+  /**
+   * Busy hours of one day from the event chips shown for it
+   * @param {Array<{id: string, text: string}>} chips - Event id and text of each chip
+   * @returns {number} Chips without a readable time (all-day events) add nothing
+   */
+  function busyHoursFromChips(chips) {
+    const seen = new Set();
+    const intervals = [];
+    for (const { id, text } of chips) {
+      // Long events can be drawn as several chips
+      if (id && seen.has(id)) continue;
+      if (id) seen.add(id);
+      const range = parseEventTimeRange(text);
+      if (range) intervals.push([range.start, range.end]);
+    }
+    return Math.round(mergedLength(intervals) * 100) / 100;
+  }
+
+  self.cc3Workload = {
+    SOURCES,
+    heatColor,
+    mergedLength,
+    parseEventTimeRange,
+    busyHoursFromApiEvents,
+    busyHoursFromChips,
+  };
+})();
@@ -10,6 +10,24 @@
   }
   const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   let settings = null;
+  let pendingImport = null; // { bundle, fileName, mode, preview } – survives re-renders
+  let backups = [];
+  let pendingRestore = null; // { backup, preview } – survives re-renders
+  let auditFilter = { eventId: '', dateKey: '', template: '' };
+  let auditEntries = [];
+  const AUDIT_LIMIT = 100;
+
+  // Open calendar tabs reload their settings on this, like after a restore or profile switch
+  async function notifyCalendarTabs(message) {
+    try {
+      const tabs = await chrome.tabs.query({ url: 'https://calendar.google.com/*' });
+      for (const tab of tabs) {
+        if (tab.id) chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+      }
+    } catch (error) {
+      console.warn('Failed to notify calendar tabs:', error);
+    }
+  }
 
   function WeekdayPanel() {
     const wrap = el('div', { className: 'panel' });
@@ -108,6 +126,237 @@
     return wrap;
   }
 
+  function TransferPanel() {
+    const wrap = el('div', { className: 'panel' });
+    wrap.appendChild(el('h3', {}, ['Backup & transfer']));
+    const row = el('div', { className: 'row' });
+    const exportBtn = el('button', {}, ['Export settings']);
+    const importBtn = el('button', {}, ['Import settings…']);
+    const file = el('input', { type: 'file', accept: '.json,application/json', style: 'display:none' });
+    exportBtn.onclick = async () => {
+      const bundle = await window.cc3Storage.exportAllData();
+      const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+      const a = el('a', { href: url, download: `colorkit-settings-${window.cc3Storage.ymdFromDate(new Date())}.json` });
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+    importBtn.onclick = () => file.click();
+    file.onchange = async (e) => {
+      const f = e.target.files[0];
+      // Clear it so choosing the same file again still fires onchange
+      e.target.value = '';
+      if (!f) return;
+      let bundle;
+      try {
+        bundle = JSON.parse(await f.text());
+      } catch (err) {
+        alert("Couldn't read this file. Please choose a ColorKit settings export (.json).");
+        return;
+      }
+      pendingImport = { bundle, fileName: f.name, mode: 'merge' };
+      await refreshImportPreview();
+    };
+    row.appendChild(exportBtn);
+    row.appendChild(importBtn);
+    row.appendChild(file);
+    wrap.appendChild(row);
+
+    if (pendingImport?.preview) {
+      const { preview } = pendingImport;
+      wrap.appendChild(el('div', {}, [`Changes from ${pendingImport.fileName}:`]));
+      const modeRow = el('div', { className: 'row' });
+      ['merge', 'replace'].forEach((mode) => {
+        const radio = el('input', { type: 'radio', name: 'importMode', value: mode, checked: pendingImport.mode === mode });
+        radio.onchange = async () => {
+          pendingImport.mode = mode;
+          await refreshImportPreview();
+        };
+        modeRow.appendChild(el('label', {}, [radio, mode === 'merge' ? 'Merge' : 'Replace']));
+      });
+      wrap.appendChild(modeRow);
+      const lines = preview.valid ? window.cc3Storage.describeImportSummary(preview.summary) : preview.errors;
+      wrap.appendChild(el('ul', {}, lines.map((line) => el('li', {}, [line]))));
+      (preview.warnings || []).forEach((w) => wrap.appendChild(el('div', { style: 'color:#b45309' }, [w])));
+
+      const actions = el('div', { className: 'row' });
+      const apply = el('button', { disabled: !preview.valid }, ['Apply import']);
+      const cancel = el('button', {}, ['Cancel']);
+      apply.onclick = async () => {
+        const { mode } = pendingImport;
+        if (mode === 'replace' && !confirm('Replace ALL current settings and event colors with this file?')) return;
+        const result = await window.cc3Storage.importAllData(pendingImport.bundle, { mode });
+        if (!result.success) {
+          alert(`Import failed: ${result.error}`);
+          return;
+        }
+        pendingImport = null;
+        await notifyCalendarTabs({ type: 'SETTINGS_IMPORTED' });
+        settings = await window.cc3Storage.getSettings();
+        render();
+      };
+      cancel.onclick = () => {
+        pendingImport = null;
+        render();
+      };
+      actions.appendChild(apply);
+      actions.appendChild(cancel);
+      wrap.appendChild(actions);
+    }
+    return wrap;
+  }
+
+  async function refreshImportPreview() {
+    if (!pendingImport) return;
+    pendingImport.preview = await window.cc3Storage.previewImport(pendingImport.bundle, { mode: pendingImport.mode });
+    render();
+  }
+
+  function RestorePanel() {
+    const wrap = el('div', { className: 'panel' });
+    wrap.appendChild(el('h3', {}, ['Restore points']));
+    const row = el('div', { className: 'row' });
+    const backupBtn = el('button', {}, ['Create restore point']);
+    backupBtn.onclick = async () => {
+      await window.cc3Storage.createBackup('manual');
+    };
+    row.appendChild(backupBtn);
+    wrap.appendChild(row);
+
+    if (backups.length === 0) {
+      wrap.appendChild(el('div', {}, ['No restore points yet. One is saved daily and before every reset or import.']));
+    }
+    backups.forEach((backup) => {
+      const item = el('div', { className: 'row' });
+      const when = new Date(backup.createdAt).toLocaleString();
+      const selected = pendingRestore?.backup.id === backup.id;
+      const review = el('button', { disabled: selected }, ['Review…']);
+      const del = el('button', {}, ['Delete']);
+      review.onclick = async () => {
+        pendingRestore = { backup, preview: await window.cc3Storage.previewRestore(backup.id) };
+        render();
+      };
+      del.onclick = async () => {
+        if (!confirm(`Delete the restore point from ${when}?`)) return;
+        if (selected) pendingRestore = null;
+        await window.cc3Storage.deleteBackup(backup.id);
+      };
+      item.appendChild(el('div', {}, [`${when} – ${backup.label}`]));
+      item.appendChild(review);
+      item.appendChild(del);
+      wrap.appendChild(item);
+    });
+
+    if (pendingRestore?.preview) {
+      const { backup, preview } = pendingRestore;
+      wrap.appendChild(el('div', {}, [`Restoring ${new Date(backup.createdAt).toLocaleString()} will change:`]));
+      const lines = preview.success ? window.cc3Storage.describeImportSummary(preview.summary) : [preview.error];
+      wrap.appendChild(el('ul', {}, lines.map((line) => el('li', {}, [line]))));
+
+      const actions = el('div', { className: 'row' });
+      const restore = el('button', { disabled: !preview.success }, ['Restore']);
+      const cancel = el('button', {}, ['Cancel']);
+      restore.onclick = async () => {
+        const message =
+          'Replace your current settings with this restore point?\n\nYour current settings are saved as a new restore point first.';
+        if (!confirm(message)) return;
+        const result = await window.cc3Storage.restoreBackup(backup.id);
+        if (!result.success) {
+          alert(`Restore failed: ${result.error}`);
+          return;
+        }
+        pendingRestore = null;
+        settings = await window.cc3Storage.getSettings();
+        render();
+      };
+      cancel.onclick = () => {
+        pendingRestore = null;
+        render();
+      };
+      actions.appendChild(restore);
+      actions.appendChild(cancel);
+      wrap.appendChild(actions);
+    }
+    return wrap;
+  }
+
+  function formatAuditValue(value) {
+    if (value === undefined || value === null) return '(none)';
+    if (value.truncated) return `(${value.bytes} bytes)`;
+    if (typeof value !== 'object') return String(value);
+    if (value.background || value.hex) return value.background || value.hex;
+    const json = JSON.stringify(value);
+    return json.length > 60 ? `${json.slice(0, 57)}…` : json;
+  }
+
+  function describeAuditKey(entry) {
+    if (entry.kind === 'eventColor') {
+      const { decodedId } = window.cc3Storage.parseEventId(entry.key);
+      return `Event ${decodedId || entry.key}`;
+    }
+    const [section, group, id] = entry.segments || [];
+    if (section === 'eventColoring' && group === 'templates' && id) {
+      return `Template "${entry.after?.name || entry.before?.name || id}"`;
+    }
+    return entry.key;
+  }
+
+  async function revertAudit(entry) {
+    let result = await window.cc3Storage.revertAuditEntry(entry.id);
+    if (result.conflict && confirm(`${result.error}.\n\nRevert anyway?`)) {
+      result = await window.cc3Storage.revertAuditEntry(entry.id, { force: true });
+    }
+    if (!result.success && !result.conflict) alert(`Revert failed: ${result.error}`);
+  }
+
+  function AuditPanel() {
+    const wrap = el('div', { className: 'panel wide' });
+    wrap.appendChild(el('h3', {}, ['Change log']));
+
+    const filters = el('div', { className: 'row' });
+    [
+      ['eventId', 'text', 'Event ID'],
+      ['dateKey', 'date', 'Date'],
+      ['template', 'text', 'Template'],
+    ].forEach(([field, type, placeholder]) => {
+      const input = el('input', { type, placeholder, value: auditFilter[field] });
+      // On change (not every keystroke) so re-rendering doesn't steal focus while typing
+      input.onchange = async () => {
+        auditFilter = { ...auditFilter, [field]: input.value.trim() };
+        await refreshAuditLog();
+      };
+      filters.appendChild(input);
+    });
+    wrap.appendChild(filters);
+
+    if (auditEntries.length === 0) {
+      wrap.appendChild(el('div', {}, ['No recorded changes match.']));
+    }
+    const sources = window.cc3Storage.AUDIT_SOURCES;
+    auditEntries.forEach((entry) => {
+      const item = el('div', { className: 'row audit-entry' });
+      const who = sources[entry.source] || entry.source;
+      item.appendChild(el('div', { className: 'audit-when' }, [new Date(entry.at).toLocaleString()]));
+      item.appendChild(el('div', { className: 'audit-source' }, [entry.account ? `${who} (${entry.account})` : who]));
+      const what =
+        entry.kind === 'note'
+          ? formatAuditValue(entry.after)
+          : `${describeAuditKey(entry)}: ${formatAuditValue(entry.before)} → ${formatAuditValue(entry.after)}`;
+      item.appendChild(el('div', { className: 'audit-change', title: entry.key }, [what]));
+      if (entry.revertible) {
+        const revert = el('button', {}, ['Revert']);
+        revert.onclick = () => revertAudit(entry);
+        item.appendChild(revert);
+      }
+      wrap.appendChild(item);
+    });
+    return wrap;
+  }
+
+  async function refreshAuditLog() {
+    auditEntries = await window.cc3Storage.getAuditLog({ ...auditFilter, limit: AUDIT_LIMIT });
+    render();
+  }
+
   function render() {
     const root = document.getElementById('mount');
     root.innerHTML = '';
@@ -115,18 +364,31 @@
     grid.appendChild(WeekdayPanel());
     grid.appendChild(PresetPanel());
     grid.appendChild(DatePanel());
+    grid.appendChild(TransferPanel());
+    grid.appendChild(RestorePanel());
+    grid.appendChild(AuditPanel());
     root.appendChild(grid);
   }
 
   async function init() {
+    window.cc3Storage.setAuditSource('options');
+    await window.cc3Storage.useAccountOfActiveTab();
     settings = await window.cc3Storage.getSettings();
+    backups = await window.cc3Storage.listBackups();
+    auditEntries = await window.cc3Storage.getAuditLog({ limit: AUDIT_LIMIT });
     render();
-    chrome.storage.onChanged.addListener((changes, area) => {
-      if (area === 'sync' && changes.settings) {
-        settings = changes.settings.newValue;
-        render();
-      }
+    window.cc3Storage.onSettingsChanged(async (next) => {
+      settings = next;
+      // Keep the restore diff in line with what is stored now
+      if (pendingRestore) pendingRestore.preview = await window.cc3Storage.previewRestore(pendingRestore.backup.id);
+      render();
+    });
+    window.cc3Storage.onBackupsChanged((next) => {
+      backups = next;
+      if (pendingRestore && !next.some((backup) => backup.id === pendingRestore.backup.id)) pendingRestore = null;
+      render();
     });
+    window.cc3Storage.onAuditLogChanged(refreshAuditLog);
   }
 
   if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
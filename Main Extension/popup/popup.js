@@ -12,6 +12,7 @@ let hasActiveSubscription = false;
 
 // Storage listener reference for cleanup
 let storageChangeListener = null;
+let profilesUnsubscribe = null;
 
 // Check auth and subscription on popup open
 async function checkAuthAndSubscription() {
@@ -333,6 +334,201 @@ checkAuthAndSubscription();
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
 
+  function updateDayEmphasisControls() {
+    const emphasis = { ...(window.cc3Storage?.defaultSettings?.dayEmphasis || {}), ...(settings.dayEmphasis || {}) };
+    if (!qs('dimPastDays')) return;
+
+    qs('dimPastDays').checked = !!emphasis.dimPastDays;
+    qs('dimStyle').value = emphasis.dimStyle || 'fade';
+    qs('dimAmount').value = String(emphasis.dimAmount ?? 50);
+    qs('dimAmountValue').textContent = `${emphasis.dimAmount ?? 50}%`;
+    qs('highlightToday').checked = !!emphasis.highlightToday;
+    qs('todayStyle').value = emphasis.todayStyle || 'outline';
+    qs('todayColor').value = emphasis.todayColor || '#1a73e8';
+
+    // Sub-options only matter while their toggle is on
+    qs('dimStyle').disabled = qs('dimAmount').disabled = !emphasis.dimPastDays;
+    qs('todayStyle').disabled = qs('todayColor').disabled = !emphasis.highlightToday;
+  }
+
+  function updateWeekNumberControls() {
+    if (!qs('weekNumbersEnabled')) return;
+    const config = settings.weekNumbers || {};
+    const fiscal = config.fiscal || {};
+
+    qs('weekNumbersEnabled').checked = !!config.enabled;
+    qs('weekNumberSystem').value = config.system || 'iso';
+    qs('fiscalOptions').style.display = config.system === 'fiscal' ? '' : 'none';
+    qs('fiscalStartMonth').value = String(fiscal.startMonth || 1);
+    qs('fiscalAlignment').value = fiscal.alignment || 'nearest';
+    qs('fiscalPattern').value = fiscal.pattern || '445';
+    qs('highlightFiscalPeriods').checked = !!config.highlightPeriods;
+    qs('fiscalPeriodColor').value = config.periodColor || '#7c3aed';
+
+    // Show what this week is called, so the fiscal setup can be checked against the finance calendar
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const label = window.cc3WeekNumbers?.weekLabel(today, config, settings.weekStart || 0);
+    qs('weekNumberPreview').textContent = label ? `This week: ${label.text} (${label.title})` : '';
+  }
+
+  const MAX_CYCLE_WEEKS = 8;
+
+  // Save a week cycle change and repaint the calendar
+  async function updateWeekCycle(patch) {
+    settings = await window.cc3Storage.setWeekCycle(patch);
+    renderWeekCycle();
+    await saveSettings();
+  }
+
+  function renderWeekCycle() {
+    const container = qs('weekCycleWeeks');
+    if (!container) return;
+    const cycle = settings.weekCycle || {};
+    const weeks = cycle.weeks || [];
+
+    qs('weekCycleEnabled').checked = !!cycle.enabled;
+    qs('weekCycleOptions').style.display = cycle.enabled ? '' : 'none';
+    qs('weekCycleAnchor').value = cycle.anchorDate || '';
+    qs('weekCycleShowLegend').checked = cycle.showLegend !== false;
+    qs('addCycleWeekBtn').disabled = weeks.length >= MAX_CYCLE_WEEKS;
+
+    container.innerHTML = '';
+    weeks.forEach((week, index) => {
+      const row = document.createElement('div');
+      row.className = 'week-cycle-week';
+      row.innerHTML = `
+        <input type="checkbox" class="cycle-week-tinted" ${week.color ? 'checked' : ''} title="Tint this week" />
+        <input type="color" class="cycle-week-color" value="${week.color || '#dbeafe'}" ${week.color ? '' : 'disabled'} />
+        <input type="text" class="cycle-week-label" placeholder="Week ${index + 1}" maxlength="30" />
+        <input type="number" class="cycle-week-opacity" min="5" max="100" step="5" value="${week.opacity ?? 40}" title="Opacity (%)" />
+        <button class="day-rule-action remove" title="Remove week" ${weeks.length <= 2 ? 'disabled' : ''}>×</button>
+      `;
+      row.querySelector('.cycle-week-label').value = week.label || '';
+
+      const saveWeek = (changes) => {
+        const next = weeks.map((w, i) => (i === index ? { ...w, ...changes } : w));
+        return updateWeekCycle({ weeks: next });
+      };
+      row.querySelector('.cycle-week-tinted').addEventListener('change', (e) =>
+        saveWeek({ color: e.target.checked ? row.querySelector('.cycle-week-color').value : '' }),
+      );
+      row.querySelector('.cycle-week-color').addEventListener('change', (e) => saveWeek({ color: e.target.value }));
+      row.querySelector('.cycle-week-label').addEventListener('change', (e) => saveWeek({ label: e.target.value.trim() }));
+      row.querySelector('.cycle-week-opacity').addEventListener('change', (e) => {
+        const opacity = Math.min(100, Math.max(5, parseInt(e.target.value, 10) || 40));
+        saveWeek({ opacity });
+      });
+      row.querySelector('.remove').addEventListener('click', () => {
+        if (weeks.length <= 2) return;
+        updateWeekCycle({ weeks: weeks.filter((_, i) => i !== index) });
+      });
+
+      container.appendChild(row);
+    });
+  }
+
+  const MAX_WORKLOAD_STEPS = 8;
+
+  // Save a workload heatmap change and repaint the calendar
+  async function updateWorkloadHeatmap(patch) {
+    settings = await window.cc3Storage.setWorkloadHeatmap(patch);
+    renderWorkloadHeatmap();
+    await saveSettings();
+  }
+
+  function renderWorkloadHeatmap() {
+    const container = qs('workloadSteps');
+    if (!container) return;
+    const config = settings.workloadHeatmap || {};
+    const steps = config.steps || [];
+    const opacity = config.opacity ?? 35;
+
+    qs('workloadHeatmapEnabled').checked = !!config.enabled;
+    qs('workloadHeatmapOptions').style.display = config.enabled ? '' : 'none';
+    qs('workloadSource').value = config.source || 'dom';
+    qs('workloadOpacity').value = String(opacity);
+    qs('workloadOpacityValue').textContent = `${opacity}%`;
+    qs('addWorkloadStepBtn').disabled = steps.length >= MAX_WORKLOAD_STEPS;
+
+    container.innerHTML = '';
+    steps.forEach((step, index) => {
+      const row = document.createElement('div');
+      row.className = 'week-cycle-week';
+      row.innerHTML = `
+        <span style="font-size: 11px; color: #5f6368">From</span>
+        <input type="number" class="workload-step-hours" min="0" max="24" step="0.5" value="${step.minHours ?? 0}" title="Busy hours" />
+        <span style="font-size: 11px; color: #5f6368; flex: 1">h</span>
+        <input type="checkbox" class="workload-step-tinted" ${step.color ? 'checked' : ''} title="Tint these days" />
+        <input type="color" class="workload-step-color" value="${step.color || '#fef08a'}" ${step.color ? '' : 'disabled'} />
+        <button class="day-rule-action remove" title="Remove step" ${steps.length <= 1 ? 'disabled' : ''}>×</button>
+      `;
+
+      const saveStep = (changes) => {
+        const next = steps.map((s, i) => (i === index ? { ...s, ...changes } : s));
+        return updateWorkloadHeatmap({ steps: next.sort((a, b) => a.minHours - b.minHours) });
+      };
+      row.querySelector('.workload-step-hours').addEventListener('change', (e) => {
+        const minHours = Math.min(24, Math.max(0, parseFloat(e.target.value) || 0));
+        saveStep({ minHours });
+      });
+      row.querySelector('.workload-step-tinted').addEventListener('change', (e) =>
+        saveStep({ color: e.target.checked ? row.querySelector('.workload-step-color').value : '' }),
+      );
+      row.querySelector('.workload-step-color').addEventListener('change', (e) => saveStep({ color: e.target.value }));
+      row.querySelector('.remove').addEventListener('click', () => {
+        if (steps.length <= 1) return;
+        updateWorkloadHeatmap({ steps: steps.filter((_, i) => i !== index) });
+      });
+
+      container.appendChild(row);
+    });
+  }
+
+  // Save or remove a milestone; its deadline also shows up among the specific dates
+  async function updateMilestones(save) {
+    settings = await save();
+    renderMilestones();
+    renderDateColors();
+    await saveSettings();
+  }
+
+  function renderMilestones() {
+    const container = qs('milestoneList');
+    if (!container) return;
+    const milestones = [...(settings.milestones || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+    container.innerHTML = '';
+    for (const milestone of milestones) {
+      const row = document.createElement('div');
+      row.className = 'week-cycle-week';
+      const when = new Date(milestone.date + 'T12:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+      row.innerHTML = `
+        <span style="width: 12px; height: 12px; border-radius: 3px; flex-shrink: 0; background: ${escapeHtml(milestone.color)}"></span>
+        <span style="flex: 1; min-width: 0; font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap">
+          ${escapeHtml(milestone.label || 'Deadline')} · ${escapeHtml(when)}
+        </span>
+        <input type="number" class="milestone-lead-days" min="1" max="60" value="${Number(milestone.leadDays) || 7}" title="Countdown days" />
+        <button class="day-rule-action remove" title="Remove milestone">×</button>
+      `;
+      row.querySelector('.milestone-lead-days').addEventListener('change', (e) => {
+        const leadDays = Math.min(60, Math.max(1, parseInt(e.target.value, 10) || 7));
+        updateMilestones(() => window.cc3Storage.setMilestone({ ...milestone, leadDays }));
+      });
+      row.querySelector('.remove').addEventListener('click', () =>
+        updateMilestones(() => window.cc3Storage.deleteMilestone(milestone.id)),
+      );
+      container.appendChild(row);
+    }
+  }
+
+  // Options for the fill pickers (solid, stripes, dots, ...)
+  function fillOptionsHtml(selected = 'solid') {
+    return Object.entries(window.cc3DayColors?.FILL_STYLES || { solid: 'Solid' })
+      .map(([fill, label]) => `<option value="${fill}" ${fill === selected ? 'selected' : ''}>${label}</option>`)
+      .join('');
+  }
+
   // Helper function to update preview with color and opacity
   function updatePreview(dayIndex, color, opacity) {
     const alpha = opacity / 100; // Convert percentage to decimal
@@ -341,7 +537,13 @@ checkAuthAndSubscription();
     // Update the day grid preview
     const preview = qs(`preview${dayIndex}`);
     if (preview && color) {
-      preview.style.backgroundColor = rgba;
+      const fill = settings.weekdayFills?.[String(dayIndex)] || 'solid';
+      if (window.cc3DayColors && fill !== 'solid') {
+        Object.assign(preview.style, window.cc3DayColors.getFillStyle(color, opacity, fill));
+      } else {
+        preview.style.backgroundImage = '';
+        preview.style.backgroundColor = rgba;
+      }
     }
 
     // Update the color input preview wrapper in the modal
@@ -1005,6 +1207,7 @@ checkAuthAndSubscription();
         if (customColors.length === 0) return;
 
         if (confirm(`Remove all ${customColors.length} custom colors?`)) {
+          await window.cc3Storage.createBackup('bulkDelete');
           customColors = [];
           selectedColors.clear();
           await saveCustomColors();
@@ -1065,11 +1268,22 @@ checkAuthAndSubscription();
     }
   }
 
+  // Calendar tabs signed in to the account this popup is editing - other accounts' tabs
+  // keep their own settings (and pick up shared sections from storage changes)
+  async function queryAccountCalendarTabs() {
+    const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
+    const account = window.cc3Storage.getActiveAccount();
+    const matches = await Promise.all(
+      tabs.map(async (tab) => (await window.cc3Storage.resolveAccountForUrl(tab.url)) === account),
+    );
+    return tabs.filter((tab, i) => matches[i]);
+  }
+
   async function saveSettings() {
     try {
       // Settings are already saved by the storage methods we used
       // Just need to notify content script of changes
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
+      const tabs = await queryAccountCalendarTabs();
 
       for (const tab of tabs) {
         try {
@@ -2783,9 +2997,11 @@ checkAuthAndSubscription();
 
     // Show confirmation with count of blocks
     const totalBlocks = dateKeys.reduce((sum, dateKey) => sum + (dateSpecificSchedule[dateKey]?.length || 0), 0);
-    const confirmMessage = `⚠️ This will remove ALL date-specific blocks from ALL dates.\n\nThis includes:\n• ${totalBlocks} time blocks across ${dateKeys.length} dates\n\nThis action cannot be undone. Are you sure you want to continue?`;
+    const confirmMessage = `⚠️ This will remove ALL date-specific blocks from ALL dates.\n\nThis includes:\n• ${totalBlocks} time blocks across ${dateKeys.length} dates\n\nA restore point is saved first, so you can bring them back from the options page. Continue?`;
 
     if (confirm(confirmMessage)) {
+      await window.cc3Storage.createBackup('bulkDelete');
+
       // Clear all date-specific blocks by setting an empty schedule
       await window.cc3Storage.setSettings({
         timeBlocking: {
@@ -3730,7 +3946,7 @@ checkAuthAndSubscription();
   // Function to notify content script of time blocking changes
   async function notifyTimeBlockingChange() {
     try {
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
+      const tabs = await queryAccountCalendarTabs();
       for (const tab of tabs) {
         try {
           await chrome.tabs.sendMessage(tab.id, {
@@ -3749,7 +3965,7 @@ checkAuthAndSubscription();
   // Function to notify content script of time blocking color changes (real-time)
   async function notifyTimeBlockingColorChange() {
     try {
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
+      const tabs = await queryAccountCalendarTabs();
       for (const tab of tabs) {
         try {
           await chrome.tabs.sendMessage(tab.id, {
@@ -3768,7 +3984,7 @@ checkAuthAndSubscription();
   // Function to notify calendar tabs when a feature is toggled on/off
   async function notifyFeatureToggle(featureName, featureSettings) {
     try {
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
+      const tabs = await queryAccountCalendarTabs();
       for (const tab of tabs) {
         try {
           await chrome.tabs.sendMessage(tab.id, {
@@ -4316,6 +4532,31 @@ checkAuthAndSubscription();
     }
   }
 
+  // Fill picker under each weekday's opacity control
+  function ensureDayFillSelect(dayIndex) {
+    const existing = qs(`fill${dayIndex}`);
+    if (existing) return existing;
+
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-top: 8px; font-size: 11px; color: #5f6368;';
+    row.innerHTML = `
+      <label for="fill${dayIndex}">Fill:</label>
+      <select id="fill${dayIndex}" style="flex: 1; padding: 4px 6px; border: 1px solid #dadce0; border-radius: 4px; font-size: 11px; background: white;">
+        ${fillOptionsHtml()}
+      </select>
+    `;
+    qs(`details${dayIndex}`)?.querySelector('.color-tab-content')?.appendChild(row);
+
+    const select = row.querySelector('select');
+    select.addEventListener('change', async () => {
+      settings = await window.cc3Storage.setWeekdayFill(dayIndex, select.value);
+      const color = settings.weekdayColors?.[String(dayIndex)];
+      updatePreview(dayIndex, color, settings.weekdayOpacity?.[String(dayIndex)] || 30);
+      saveSettings();
+    });
+    return select;
+  }
+
   function updateColors() {
     for (let i = 0; i < 7; i++) {
       const colorInput = qs(`color${i}`);
@@ -4347,6 +4588,8 @@ checkAuthAndSubscription();
         }
       }
 
+      ensureDayFillSelect(i).value = settings.weekdayFills?.[String(i)] || 'solid';
+
       // Create all color palettes for each day
       createColorPalette(i);
       createPastelColorPalette(i);
@@ -4360,11 +4603,29 @@ checkAuthAndSubscription();
       weekStartSelect.value = String(settings.weekStart);
     }
 
+    const showDateLabels = qs('showDateLabels');
+    if (showDateLabels) showDateLabels.checked = settings.showDateLabels !== false;
+    const dateLabelFontSize = qs('dateLabelFontSize');
+    if (dateLabelFontSize) dateLabelFontSize.value = String(settings.dateLabelFontSize || 11);
+    const miniCalendar = settings.miniCalendar || {};
+    if (qs('miniCalendarEnabled')) {
+      qs('miniCalendarEnabled').checked = miniCalendar.enabled !== false;
+      qs('miniCalendarStyle').value = miniCalendar.style || 'tint';
+      qs('miniCalendarStyle').disabled = miniCalendar.enabled === false;
+    }
+    updateDayEmphasisControls();
+    renderWeekCycle();
+    updateWeekNumberControls();
+    renderWorkloadHeatmap();
+    renderMilestones();
+
     // Reorganize day color row based on week start
     reorganizeWeekdaysDisplay();
 
     // Render date-specific colors
     renderDateColors();
+    renderIcsImports();
+    renderDayColorRules();
   }
 
   // Render the date-specific colors list
@@ -4377,19 +4638,20 @@ checkAuthAndSubscription();
     const dateColorLabels = settings.dateColorLabels || {};
     const dateOpacity = settings.dateOpacity || {};
     const entries = Object.entries(dateColors).sort(([a], [b]) => a.localeCompare(b));
+    const ranges = [...(settings.dateRanges || [])].sort((a, b) => a.startDate.localeCompare(b.startDate));
 
     // Update count badge
     if (countBadge) {
-      countBadge.textContent = entries.length;
+      countBadge.textContent = entries.length + ranges.length;
     }
 
     // Clear existing list
     listContainer.innerHTML = '';
 
-    if (entries.length === 0) {
+    if (entries.length === 0 && ranges.length === 0) {
       listContainer.innerHTML = `
         <div style="text-align: center; padding: 12px; color: #80868b; font-size: 11px;">
-          No specific dates set. Click "Add Date Color" to add date overrides.
+          No specific dates or ranges set. Click "Add Date Color" to add date overrides.
         </div>
       `;
       return;
@@ -4405,6 +4667,34 @@ checkAuthAndSubscription();
       return `rgba(${r}, ${g}, ${b}, ${alpha})`;
     };
 
+    // Ranges first - they span many days, single dates inside them still win
+    ranges.forEach((range) => {
+      const opacity = range.opacity ?? 30;
+      const format = (ymd) =>
+        new Date(ymd + 'T12:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+      const item = document.createElement('div');
+      item.className = 'day-rule-item';
+      item.innerHTML = `
+        <div class="day-rule-swatch" style="background: ${hexToRgba(range.color, opacity / 100)}; border: 2px solid ${range.color};" title="${range.color} at ${opacity}% opacity"></div>
+        <div class="day-rule-text">
+          <div class="day-rule-summary">${format(range.startDate)} – ${format(range.endDate)}</div>
+          <div class="day-rule-meta">${[
+            range.label ? `<span class="day-rule-label">${escapeHtml(range.label)}</span>` : '',
+            range.weekdaysOnly ? 'Weekdays only' : '',
+          ]
+            .filter(Boolean)
+            .join(' · ')}</div>
+        </div>
+        <button class="day-rule-action remove" title="Remove this date range">×</button>
+      `;
+      item.querySelector('.remove').addEventListener('click', async () => {
+        settings = await window.cc3Storage.deleteDateRange(range.id);
+        renderDateColors();
+        saveSettings();
+      });
+      listContainer.appendChild(item);
+    });
+
     // Render each date color
     entries.forEach(([dateKey, color]) => {
       const label = dateColorLabels[dateKey] || '';
@@ -4503,6 +4793,7 @@ checkAuthAndSubscription();
           // Also clear the opacity and label for this date
           settings = await window.cc3Storage.setDateOpacity(dateKey, null);
           settings = await window.cc3Storage.setDateColorLabel(dateKey, null);
+          settings = await window.cc3Storage.setDateFill(dateKey, null);
           renderDateColors();
           saveSettings(); // Notify content script to update colors immediately
         }
@@ -4518,6 +4809,394 @@ checkAuthAndSubscription();
     });
   }
 
+  // Calendars imported from .ics files, with a way to take them out again
+  function renderIcsImports() {
+    const listContainer = qs('icsImportsList');
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+    Object.entries(settings.icsImports || {}).forEach(([importId, entry]) => {
+      const item = document.createElement('div');
+      item.className = 'ics-import-item';
+      const parts = [`${entry.dates.length} day${entry.dates.length === 1 ? '' : 's'}`];
+      if (entry.rangeCount) parts.push(`${entry.rangeCount} range${entry.rangeCount === 1 ? '' : 's'}`);
+      item.innerHTML = `
+        <div class="day-rule-swatch" style="width: 12px; height: 12px; border-radius: 3px; background: ${entry.color};"></div>
+        <span class="ics-import-name" title="Imported ${new Date(entry.importedAt).toLocaleString()}">
+          ${escapeHtml(entry.name)} · ${parts.join(', ')}
+        </span>
+        <button class="day-rule-action remove" title="Remove everything this calendar added">×</button>
+      `;
+      item.querySelector('.remove').addEventListener('click', async () => {
+        settings = await window.cc3Storage.removeDateColorImport(importId);
+        renderDateColors();
+        renderIcsImports();
+        saveSettings();
+        showToast(`Removed "${entry.name}"`);
+      });
+      listContainer.appendChild(item);
+    });
+  }
+
+  // Read a chosen .ics file and ask which color its dates should get
+  async function handleIcsFile(file) {
+    if (!file || !window.cc3Ics) return;
+
+    // FREEMIUM: imported holidays are date-specific colors
+    if (window.cc3FeatureAccess && !hasActiveSubscription) {
+      const access = await window.cc3FeatureAccess.canAccess('dayColoring.specificDates');
+      if (!access.allowed) {
+        await window.cc3FeatureAccess.trackPremiumAttempt('dayColoring.specificDates', 'icsImport');
+        window.cc3PremiumComponents?.showUpgradeModal({
+          feature: 'Date-Specific Colors',
+          description: 'Import holiday calendars as date colors. Upgrade to Pro to unlock this feature.',
+        });
+        return;
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = window.cc3Ics.parseIcs(await file.text());
+    } catch (error) {
+      console.error('Failed to read calendar file:', error);
+      showToast('Could not read that calendar file');
+      return;
+    }
+
+    // Recurring events are expanded from last year through next year
+    const year = new Date().getFullYear();
+    const entries = window.cc3Ics.toDayColorEntries(parsed.events, { from: `${year - 1}-01-01`, to: `${year + 1}-12-31` });
+    if (entries.days.length === 0 && entries.ranges.length === 0) {
+      showToast('No events found in that file');
+      return;
+    }
+
+    const name = parsed.calendarName || file.name.replace(/\.ics$/i, '');
+    const importId = `ics:${name.toLowerCase()}`;
+    const previous = settings.icsImports?.[importId];
+    openIcsImportModal({ name, importId, entries, previous });
+  }
+
+  function openIcsImportModal({ name, importId, entries, previous }) {
+    const modal = document.createElement('div');
+    modal.className = 'day-rule-modal';
+    modal.innerHTML = `
+      <form class="day-rule-form">
+        <h3>${previous ? 'Update' : 'Import'} "${escapeHtml(name)}"</h3>
+        <p class="day-rule-hint" style="margin: 0 0 12px 0; font-size: 11px;">
+          Found ${entries.days.length} single day${entries.days.length === 1 ? '' : 's'}
+          ${entries.ranges.length ? ` and ${entries.ranges.length} multi-day event${entries.ranges.length === 1 ? '' : 's'}` : ''}
+          between ${new Date().getFullYear() - 1} and ${new Date().getFullYear() + 1}.
+          ${previous ? 'Dates from the previous import of this calendar will be replaced.' : ''}
+          Dates that already have their own color are kept.
+        </p>
+        <div class="day-rule-row">
+          <div class="day-rule-field">
+            <label>Color</label>
+            <input type="color" name="color" value="${previous?.color || '#FCA5A5'}" />
+          </div>
+          <div class="day-rule-field">
+            <label>Opacity <span class="day-rule-opacity-value">${previous?.opacity ?? 60}%</span></label>
+            <input type="range" name="opacity" min="5" max="100" step="5" value="${previous?.opacity ?? 60}" />
+          </div>
+        </div>
+        <div class="day-rule-buttons">
+          <button type="button" class="day-rule-cancel">Cancel</button>
+          <button type="submit" class="day-rule-save">${previous ? 'Update' : 'Import'}</button>
+        </div>
+      </form>
+    `;
+
+    const form = modal.querySelector('form');
+    const close = () => modal.remove();
+    form.elements.opacity.addEventListener('input', () => {
+      modal.querySelector('.day-rule-opacity-value').textContent = `${form.elements.opacity.value}%`;
+    });
+    modal.querySelector('.day-rule-cancel').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const result = await window.cc3Storage.importDateColors(entries, {
+        importId,
+        name,
+        color: form.elements.color.value,
+        opacity: Number(form.elements.opacity.value),
+      });
+      settings = result.settings;
+      close();
+      renderDateColors();
+      renderIcsImports();
+      saveSettings();
+
+      const summary = [`${result.added} added`];
+      if (result.updated) summary.push(`${result.updated} updated`);
+      if (result.removed) summary.push(`${result.removed} removed`);
+      if (result.skipped) summary.push(`${result.skipped} kept`);
+      if (result.ranges) summary.push(`${result.ranges} ranges`);
+      showToast(`Imported "${name}": ${summary.join(', ')}`);
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  const RULE_WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  // Next few dates a rule will color, for the list and the editor preview
+  function upcomingRuleDates(rule, count = 3) {
+    const dates = [];
+    const day = new Date();
+    for (let i = 0; i < 400 && dates.length < count; i++) {
+      const ymd = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+      if (window.cc3DayColors.ruleMatchesDate(rule, ymd)) dates.push(ymd);
+      day.setDate(day.getDate() + 1);
+    }
+    return dates;
+  }
+
+  function formatRuleDate(ymd) {
+    return new Date(ymd + 'T12:00:00').toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  // Render the recurring day color rules list
+  function renderDayColorRules() {
+    const listContainer = qs('dayColorRulesList');
+    const countBadge = qs('dayColorRulesCount');
+    if (!listContainer || !window.cc3DayColors) return;
+
+    const rules = settings.dayColorRules || [];
+    if (countBadge) countBadge.textContent = rules.length;
+
+    listContainer.innerHTML = '';
+    if (rules.length === 0) {
+      listContainer.innerHTML = `
+        <div style="text-align: center; padding: 12px; color: #80868b; font-size: 11px;">
+          No rules yet. Click "Add Rule" to color recurring days.
+        </div>
+      `;
+      return;
+    }
+
+    rules.forEach((rule) => {
+      const opacity = rule.opacity ?? window.cc3DayColors.DEFAULT_RULE_OPACITY;
+      const next = rule.enabled === false ? [] : upcomingRuleDates(rule, 2);
+      const meta = [
+        rule.label ? `<span class="day-rule-label">${escapeHtml(rule.label)}</span>` : '',
+        `Priority ${Number(rule.priority) || 0}`,
+        rule.enabled === false ? 'Paused' : next.length ? `Next: ${next.map(formatRuleDate).join(', ')}` : 'No upcoming dates',
+      ].filter(Boolean);
+
+      const item = document.createElement('div');
+      item.className = `day-rule-item${rule.enabled === false ? ' disabled' : ''}`;
+      item.innerHTML = `
+        <div class="day-rule-swatch" style="background: ${hexToRgba(rule.color, opacity / 100)}; border: 2px solid ${rule.color};" title="${rule.color} at ${opacity}% opacity"></div>
+        <div class="day-rule-text">
+          <div class="day-rule-summary">${escapeHtml(window.cc3DayColors.describeRule(rule))}</div>
+          <div class="day-rule-meta">${meta.join(' · ')}</div>
+        </div>
+        <input type="checkbox" class="day-rule-toggle" ${rule.enabled === false ? '' : 'checked'} title="Turn this rule on or off" />
+        <button class="day-rule-action edit" title="Edit rule">✎</button>
+        <button class="day-rule-action remove" title="Remove rule">×</button>
+      `;
+
+      item.querySelector('.day-rule-toggle').addEventListener('change', async (e) => {
+        settings = await window.cc3Storage.setDayColorRule({ ...rule, enabled: e.target.checked });
+        renderDayColorRules();
+        saveSettings();
+      });
+      item.querySelector('.edit').addEventListener('click', () => openDayColorRuleModal(rule));
+      item.querySelector('.remove').addEventListener('click', async () => {
+        settings = await window.cc3Storage.deleteDayColorRule(rule.id);
+        renderDayColorRules();
+        saveSettings();
+      });
+
+      listContainer.appendChild(item);
+    });
+  }
+
+  // Add/edit dialog for a recurring day color rule
+  function openDayColorRuleModal(existing = null) {
+    const { RULE_TYPES, createRule, validateRule, describeRule } = window.cc3DayColors;
+    const rule = existing ? { ...existing } : createRule({ type: 'nthWeekday', weekday: 1, nth: [1] });
+
+    const weekdayChoices = (name, selected) =>
+      RULE_WEEKDAY_SHORT.map(
+        (day, i) =>
+          `<label><input type="checkbox" name="${name}" value="${i}" ${selected.includes(i) ? 'checked' : ''} />${day}</label>`,
+      ).join('');
+    const nthChoices = [1, 2, 3, 4, 5, -1]
+      .map(
+        (n) =>
+          `<label><input type="checkbox" name="nth" value="${n}" ${(rule.nth || []).includes(n) ? 'checked' : ''} />${
+            n === -1 ? 'Last' : ['1st', '2nd', '3rd', '4th', '5th'][n - 1]
+          }</label>`,
+      )
+      .join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'day-rule-modal';
+    modal.innerHTML = `
+      <form class="day-rule-form">
+        <h3>${existing ? 'Edit Rule' : 'Add Rule'}</h3>
+        <div class="day-rule-field">
+          <label>Repeats</label>
+          <select name="type">
+            ${Object.entries(RULE_TYPES)
+              .map(([type, label]) => `<option value="${type}" ${rule.type === type ? 'selected' : ''}>${label}</option>`)
+              .join('')}
+          </select>
+        </div>
+        <div class="day-rule-panel" data-type="nthWeekday">
+          <div class="day-rule-field">
+            <label>Occurrence</label>
+            <div class="day-rule-choices">${nthChoices}</div>
+          </div>
+          <div class="day-rule-field">
+            <label>Weekday</label>
+            <select name="weekday">
+              ${RULE_WEEKDAY_SHORT.map((day, i) => `<option value="${i}" ${Number(rule.weekday) === i ? 'selected' : ''}>${day}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="day-rule-panel" data-type="everyNWeeks">
+          <div class="day-rule-field">
+            <label>Every how many weeks</label>
+            <input type="number" name="interval" min="1" max="52" value="${rule.interval || 2}" />
+            <p class="day-rule-hint">Weeks are counted from the start date, so pick a day in a week that should be colored.</p>
+          </div>
+          <div class="day-rule-field">
+            <label>On these days (none = the whole week)</label>
+            <div class="day-rule-choices">${weekdayChoices('weekdays', (rule.weekdays || []).map(Number))}</div>
+          </div>
+        </div>
+        <div class="day-rule-panel" data-type="dayOfMonth">
+          <div class="day-rule-field">
+            <label>Days of the month</label>
+            <input type="text" name="days" placeholder="15, -1" value="${(rule.days || []).join(', ')}" />
+            <p class="day-rule-hint">Separate days with commas. Use -1 for the last day of the month, -2 for the day before it.</p>
+          </div>
+        </div>
+        <div class="day-rule-row">
+          <div class="day-rule-field">
+            <label>Start date</label>
+            <input type="date" name="startDate" value="${rule.startDate || ''}" />
+          </div>
+          <div class="day-rule-field">
+            <label>End date</label>
+            <input type="date" name="endDate" value="${rule.endDate || ''}" />
+          </div>
+        </div>
+        <div class="day-rule-row">
+          <div class="day-rule-field">
+            <label>Color</label>
+            <input type="color" name="color" value="${rule.color}" />
+          </div>
+          <div class="day-rule-field">
+            <label>Opacity <span class="day-rule-opacity-value">${rule.opacity}%</span></label>
+            <input type="range" name="opacity" min="5" max="100" step="5" value="${rule.opacity}" />
+          </div>
+          <div class="day-rule-field">
+            <label>Priority</label>
+            <input type="number" name="priority" value="${Number(rule.priority) || 0}" />
+          </div>
+        </div>
+        <p class="day-rule-hint" style="margin-top: -6px; margin-bottom: 12px;">When rules overlap, the higher priority wins.</p>
+        <div class="day-rule-field">
+          <label>Fill</label>
+          <select name="fill">${fillOptionsHtml(rule.fill || 'solid')}</select>
+        </div>
+        <div class="day-rule-field">
+          <label>Label (optional)</label>
+          <input type="text" name="label" maxlength="40" placeholder="e.g. Payday" value="${escapeHtml(rule.label || '')}" />
+        </div>
+        <p class="day-rule-hint day-rule-preview"></p>
+        <div class="day-rule-errors"></div>
+        <div class="day-rule-buttons">
+          <button type="button" class="day-rule-cancel">Cancel</button>
+          <button type="submit" class="day-rule-save">Save Rule</button>
+        </div>
+      </form>
+    `;
+
+    const form = modal.querySelector('form');
+    const checkedValues = (name) => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map((el) => Number(el.value));
+
+    // Rule as currently described by the form
+    const readForm = () => {
+      const type = form.elements.type.value;
+      const next = {
+        ...rule,
+        type,
+        color: form.elements.color.value,
+        opacity: Number(form.elements.opacity.value),
+        priority: Number(form.elements.priority.value) || 0,
+        fill: form.elements.fill.value,
+        label: form.elements.label.value.trim(),
+        startDate: form.elements.startDate.value || null,
+        endDate: form.elements.endDate.value || null,
+      };
+      ['weekday', 'nth', 'interval', 'weekdays', 'days'].forEach((key) => delete next[key]);
+      if (type === 'nthWeekday') {
+        next.weekday = Number(form.elements.weekday.value);
+        next.nth = checkedValues('nth');
+      } else if (type === 'everyNWeeks') {
+        next.interval = Number(form.elements.interval.value);
+        next.weekdays = checkedValues('weekdays');
+      } else if (type === 'dayOfMonth') {
+        next.days = form.elements.days.value
+          .split(',')
+          .map((d) => d.trim())
+          .filter(Boolean)
+          .map(Number);
+      }
+      return next;
+    };
+
+    const refresh = () => {
+      modal.querySelectorAll('.day-rule-panel').forEach((panel) => {
+        panel.style.display = panel.dataset.type === form.elements.type.value ? '' : 'none';
+      });
+      modal.querySelector('.day-rule-opacity-value').textContent = `${form.elements.opacity.value}%`;
+      const draft = readForm();
+      const preview = modal.querySelector('.day-rule-preview');
+      if (validateRule(draft).valid) {
+        const next = upcomingRuleDates(draft, 3);
+        preview.textContent = `${describeRule(draft)}. ${next.length ? `Next: ${next.map(formatRuleDate).join(', ')}` : 'No upcoming dates'}`;
+      } else {
+        preview.textContent = '';
+      }
+    };
+
+    const close = () => modal.remove();
+
+    form.addEventListener('input', refresh);
+    form.addEventListener('change', refresh);
+    modal.querySelector('.day-rule-cancel').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const draft = readForm();
+      const { valid, errors } = validateRule(draft);
+      if (!valid) {
+        modal.querySelector('.day-rule-errors').textContent = errors.join('. ');
+        return;
+      }
+      settings = await window.cc3Storage.setDayColorRule(draft);
+      close();
+      renderDayColorRules();
+      saveSettings();
+      showToast(existing ? 'Rule updated' : 'Rule added');
+    });
+
+    document.body.appendChild(modal);
+    refresh();
+  }
+
   // Show a confirmation dialog for overriding existing date colors
   function showConfirmDialog(title, message, oldColor, newColor) {
     return new Promise((resolve) => {
@@ -4679,7 +5358,7 @@ checkAuthAndSubscription();
         resolve(null);
       };
 
-      const handleSave = async (dateKey, color, opacity, label) => {
+      const handleSave = async (dateKey, color, opacity, label, range = null, fill = 'solid') => {
         if (dateKey && color) {
           // FREEMIUM: Check premium access before saving date-specific colors
           if (window.cc3FeatureAccess && !hasActiveSubscription) {
@@ -4688,7 +5367,7 @@ checkAuthAndSubscription();
               // Store pending action for completion after upgrade
               await window.cc3FeatureAccess.storePendingAction({
                 type: 'dayColoring.specificDate',
-                data: { dateKey, color, opacity, label },
+                data: { dateKey, color, opacity, label, range, fill },
               });
               await window.cc3FeatureAccess.trackPremiumAttempt('dayColoring.specificDates', 'save');
               // Show upgrade modal
@@ -4704,8 +5383,26 @@ checkAuthAndSubscription();
             }
           }
 
+          if (range) {
+            settings = await window.cc3Storage.setDateRange({
+              startDate: dateKey,
+              endDate: range.endDate,
+              color,
+              opacity,
+              label,
+              weekdaysOnly: range.weekdaysOnly,
+              fill,
+            });
+            renderDateColors();
+            saveSettings();
+            cleanup();
+            resolve({ dateKey, color, opacity, label, range });
+            return;
+          }
+
           settings = await window.cc3Storage.setDateColor(dateKey, color);
           settings = await window.cc3Storage.setDateOpacity(dateKey, opacity);
+          settings = await window.cc3Storage.setDateFill(dateKey, fill);
           // Always clear old label first, then set new one if provided
           // This prevents old labels from persisting when overriding a date color
           await window.cc3Storage.setDateColorLabel(dateKey, null);
@@ -4891,8 +5588,46 @@ checkAuthAndSubscription();
     dateInput.onfocus = () => (dateInput.style.borderColor = '#8b5cf6');
     dateInput.onblur = () => (dateInput.style.borderColor = '#dadce0');
 
+    // Range picker: an end date turns the entry into a date range
+    const rangeToggle = document.createElement('label');
+    rangeToggle.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 10px;
+      font-size: 12px;
+      color: #5f6368;
+      cursor: pointer;
+    `;
+    rangeToggle.innerHTML = `<input type="checkbox" class="cc3-range-toggle" /> Color a date range (vacation, conference, sprint)`;
+
+    const rangeFields = document.createElement('div');
+    rangeFields.className = 'cc3-range-fields';
+    rangeFields.style.cssText = `display: none; margin-top: 10px;`;
+
+    const endDateInput = document.createElement('input');
+    endDateInput.type = 'date';
+    endDateInput.className = 'cc3-end-date-input';
+    endDateInput.style.cssText = dateInput.style.cssText;
+    endDateInput.onfocus = () => (endDateInput.style.borderColor = '#8b5cf6');
+    endDateInput.onblur = () => (endDateInput.style.borderColor = '#dadce0');
+
+    const endDateTitle = document.createElement('div');
+    endDateTitle.textContent = 'Until:';
+    endDateTitle.style.cssText = dateTitle.style.cssText;
+
+    const weekdaysOnlyToggle = document.createElement('label');
+    weekdaysOnlyToggle.style.cssText = rangeToggle.style.cssText;
+    weekdaysOnlyToggle.innerHTML = `<input type="checkbox" class="cc3-weekdays-only" /> Weekdays only (skip Saturdays and Sundays)`;
+
+    rangeFields.appendChild(endDateTitle);
+    rangeFields.appendChild(endDateInput);
+    rangeFields.appendChild(weekdaysOnlyToggle);
+
     dateSection.appendChild(dateTitle);
     dateSection.appendChild(dateInput);
+    dateSection.appendChild(rangeToggle);
+    dateSection.appendChild(rangeFields);
 
     // Label section
     const labelSection = document.createElement('div');
@@ -5226,6 +5961,17 @@ checkAuthAndSubscription();
     opacitySection.appendChild(opacityPresets);
     opacitySection.appendChild(opacitySliderContainer);
 
+    // Fill: solid, or a pattern to tell e.g. tentative days apart
+    const fillRow = document.createElement('div');
+    fillRow.style.cssText = `display: flex; align-items: center; gap: 8px; margin-top: 12px;`;
+    fillRow.innerHTML = `
+      <span style="font-size: 12px; font-weight: 600; color: #5f6368; text-transform: uppercase; letter-spacing: 0.5px;">Fill:</span>
+      <select class="cc3-fill-select" style="flex: 1; padding: 8px 10px; border: 2px solid #dadce0; border-radius: 8px; font-size: 13px; background: white;">
+        ${fillOptionsHtml()}
+      </select>
+    `;
+    opacitySection.appendChild(fillRow);
+
     colorSection.appendChild(colorTitle);
     colorSection.appendChild(colorTabs);
     colorSection.appendChild(colorInputRow);
@@ -5314,6 +6060,11 @@ checkAuthAndSubscription();
     const cancelBtn = modal.querySelector('.cc3-cancel-btn');
     const confirmBtn = modal.querySelector('.cc3-confirm-btn');
     const dateInput = modal.querySelector('.cc3-date-input');
+    const rangeToggle = modal.querySelector('.cc3-range-toggle');
+    const rangeFields = modal.querySelector('.cc3-range-fields');
+    const endDateInput = modal.querySelector('.cc3-end-date-input');
+    const weekdaysOnlyInput = modal.querySelector('.cc3-weekdays-only');
+    const fillSelect = modal.querySelector('.cc3-fill-select');
     const labelInput = modal.querySelector('.cc3-label-input');
     const presetBtns = modal.querySelectorAll('.cc3-preset-btn');
     const colorTabs = modal.querySelectorAll('.cc3-color-tab');
@@ -5536,6 +6287,11 @@ checkAuthAndSubscription();
       }
     };
 
+    rangeToggle.onchange = () => {
+      rangeFields.style.display = rangeToggle.checked ? 'block' : 'none';
+      if (rangeToggle.checked && !endDateInput.value) endDateInput.value = dateInput.value;
+    };
+
     // Confirm button
     confirmBtn.onclick = async () => {
       const dateKey = dateInput.value;
@@ -5547,6 +6303,24 @@ checkAuthAndSubscription();
       const color = colorValue.value;
       const label = labelInput.value.trim();
 
+      // Ranges are stored as one entry, so there's no single date to override
+      if (rangeToggle.checked) {
+        if (!window.cc3DayColors.validateRange({ startDate: dateKey, endDate: endDateInput.value, color }).valid) {
+          endDateInput.style.borderColor = '#dc2626';
+          endDateInput.focus();
+          return;
+        }
+        onSave(
+          dateKey,
+          color,
+          currentOpacity,
+          label,
+          { endDate: endDateInput.value, weekdaysOnly: weekdaysOnlyInput.checked },
+          fillSelect.value,
+        );
+        return;
+      }
+
       // Check if this date already has a color assigned
       if (settings.dateColors && settings.dateColors[dateKey]) {
         const existingLabel = settings.dateColorLabels?.[dateKey];
@@ -5581,7 +6355,7 @@ checkAuthAndSubscription();
         }
       }
 
-      onSave(dateKey, color, currentOpacity, label);
+      onSave(dateKey, color, currentOpacity, label, null, fillSelect.value);
     };
 
     // Initialize
@@ -5730,6 +6504,22 @@ checkAuthAndSubscription();
       });
     }
 
+    const importIcsBtn = qs('importIcsBtn');
+    const importIcsFile = qs('importIcsFile');
+    if (importIcsBtn && importIcsFile) {
+      importIcsBtn.onclick = () => importIcsFile.click();
+      importIcsFile.onchange = async () => {
+        const [file] = importIcsFile.files;
+        importIcsFile.value = ''; // Picking the same file again should still fire
+        await handleIcsFile(file);
+      };
+    }
+
+    const addDayColorRuleBtn = qs('addDayColorRuleBtn');
+    if (addDayColorRuleBtn) {
+      addDayColorRuleBtn.onclick = () => openDayColorRuleModal();
+    }
+
     // Time Blocking info card toggle
     const timeBlockingInfoToggle = qs('timeBlockingInfoToggle');
     const timeBlockingInfoExpanded = qs('timeBlockingInfoExpanded');
@@ -6072,9 +6862,152 @@ checkAuthAndSubscription();
         await saveSettings();
         // Reorganize day color row to match new week start
         reorganizeWeekdaysDisplay();
+        updateWeekNumberControls();
       };
     }
 
+    const showDateLabelsToggle = qs('showDateLabels');
+    if (showDateLabelsToggle) {
+      showDateLabelsToggle.onchange = async (e) => {
+        settings = await window.cc3Storage.setShowDateLabels(e.target.checked);
+        await saveSettings();
+      };
+    }
+    const dateLabelFontSizeSelect = qs('dateLabelFontSize');
+    if (dateLabelFontSizeSelect) {
+      dateLabelFontSizeSelect.onchange = async (e) => {
+        settings = await window.cc3Storage.setDateLabelFontSize(parseInt(e.target.value, 10));
+        await saveSettings();
+      };
+    }
+
+    const miniCalendarFields = [
+      ['miniCalendarEnabled', (el) => ({ enabled: el.checked })],
+      ['miniCalendarStyle', (el) => ({ style: el.value })],
+    ];
+    for (const [id, toPatch] of miniCalendarFields) {
+      qs(id)?.addEventListener('change', async (e) => {
+        settings = await window.cc3Storage.setMiniCalendar(toPatch(e.target));
+        qs('miniCalendarStyle').disabled = settings.miniCalendar?.enabled === false;
+        await saveSettings();
+      });
+    }
+
+    // Week numbers: top-level fields and fiscal options save separately
+    const weekNumberFields = [
+      ['weekNumbersEnabled', (el) => ({ enabled: el.checked })],
+      ['weekNumberSystem', (el) => ({ system: el.value })],
+      ['fiscalStartMonth', (el) => ({ fiscal: { startMonth: parseInt(el.value, 10) } })],
+      ['fiscalAlignment', (el) => ({ fiscal: { alignment: el.value } })],
+      ['fiscalPattern', (el) => ({ fiscal: { pattern: el.value } })],
+      ['highlightFiscalPeriods', (el) => ({ highlightPeriods: el.checked })],
+      ['fiscalPeriodColor', (el) => ({ periodColor: el.value })],
+    ];
+    for (const [id, toPatch] of weekNumberFields) {
+      const el = qs(id);
+      if (!el) continue;
+      el.addEventListener('change', async () => {
+        settings = await window.cc3Storage.setWeekNumbers(toPatch(el));
+        updateWeekNumberControls();
+        await saveSettings();
+      });
+    }
+
+    // Week cycle: turning it on for the first time anchors week 1 on the current week
+    qs('weekCycleEnabled')?.addEventListener('change', async (e) => {
+      const patch = { enabled: e.target.checked };
+      if (e.target.checked && !settings.weekCycle?.anchorDate) {
+        const now = new Date();
+        patch.anchorDate = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+      }
+      await updateWeekCycle(patch);
+    });
+    qs('weekCycleAnchor')?.addEventListener('change', async (e) => {
+      if (!e.target.value) return;
+      await updateWeekCycle({ anchorDate: e.target.value });
+    });
+    qs('weekCycleShowLegend')?.addEventListener('change', async (e) => {
+      await updateWeekCycle({ showLegend: e.target.checked });
+    });
+    qs('addCycleWeekBtn')?.addEventListener('click', async () => {
+      const weeks = settings.weekCycle?.weeks || [];
+      if (weeks.length >= MAX_CYCLE_WEEKS) return;
+      const label = `Week ${String.fromCharCode(65 + weeks.length)}`;
+      await updateWeekCycle({ weeks: [...weeks, { label, color: '#e0e7ff', opacity: 40 }] });
+    });
+
+    qs('addMilestoneBtn')?.addEventListener('click', async () => {
+      const date = qs('milestoneDate').value;
+      if (!date) {
+        showToast('Pick the deadline date first');
+        return;
+      }
+      if (settings.dateColors?.[date]) {
+        showToast('That date already has its own color, so it keeps it');
+      }
+      const milestone = {
+        date,
+        label: qs('milestoneLabel').value.trim(),
+        leadDays: Math.min(60, Math.max(1, parseInt(qs('milestoneLeadDays').value, 10) || 7)),
+        color: qs('milestoneColor').value,
+        opacity: Math.min(100, Math.max(10, parseInt(qs('milestoneOpacity').value, 10) || 60)),
+      };
+      await updateMilestones(() => window.cc3Storage.setMilestone(milestone));
+      qs('milestoneDate').value = '';
+      qs('milestoneLabel').value = '';
+    });
+
+    // Workload heatmap: counting from the API needs Calendar access first
+    qs('workloadHeatmapEnabled')?.addEventListener('change', async (e) => {
+      await updateWorkloadHeatmap({ enabled: e.target.checked });
+    });
+    qs('workloadSource')?.addEventListener('change', async (e) => {
+      if (e.target.value === 'api') {
+        const response = await chrome.runtime.sendMessage({ type: 'REQUEST_CALENDAR_OAUTH' });
+        if (!response?.success) {
+          e.target.value = settings.workloadHeatmap?.source || 'dom';
+          showToast('Google Calendar access is needed to count all events');
+          return;
+        }
+      }
+      await updateWorkloadHeatmap({ source: e.target.value });
+    });
+    qs('workloadOpacity')?.addEventListener('input', (e) => {
+      qs('workloadOpacityValue').textContent = `${e.target.value}%`;
+    });
+    qs('workloadOpacity')?.addEventListener('change', async (e) => {
+      await updateWorkloadHeatmap({ opacity: parseInt(e.target.value, 10) });
+    });
+    qs('addWorkloadStepBtn')?.addEventListener('click', async () => {
+      const steps = settings.workloadHeatmap?.steps || [];
+      if (steps.length >= MAX_WORKLOAD_STEPS) return;
+      const last = steps[steps.length - 1];
+      const minHours = Math.min(24, (last?.minHours ?? 0) + 1);
+      await updateWorkloadHeatmap({ steps: [...steps, { minHours, color: '#dc2626' }] });
+    });
+
+    // Past-day dimming / today emphasis: each control saves its own field
+    const dayEmphasisFields = [
+      ['dimPastDays', 'change', (el) => el.checked],
+      ['dimStyle', 'change', (el) => el.value],
+      ['dimAmount', 'change', (el) => parseInt(el.value, 10)],
+      ['highlightToday', 'change', (el) => el.checked],
+      ['todayStyle', 'change', (el) => el.value],
+      ['todayColor', 'change', (el) => el.value],
+    ];
+    for (const [field, eventName, read] of dayEmphasisFields) {
+      const el = qs(field);
+      if (!el) continue;
+      el.addEventListener(eventName, async () => {
+        settings = await window.cc3Storage.setDayEmphasis({ [field]: read(el) });
+        updateDayEmphasisControls();
+        await saveSettings();
+      });
+    }
+    qs('dimAmount')?.addEventListener('input', (e) => {
+      qs('dimAmountValue').textContent = `${e.target.value}%`;
+    });
+
     // Week start setup prompt handlers
     const weekStartSetupSelect = qs('weekStartSetup');
     const confirmWeekStartBtn = qs('confirmWeekStart');
@@ -6313,6 +7246,337 @@ Would you like to refresh all Google Calendar tabs?`;
     };
   }
 
+  // Warn when synced settings are close to chrome.storage.sync limits
+  async function updateStorageQuotaWarning() {
+    const banner = qs('storageQuotaWarning');
+    if (!banner) return;
+
+    try {
+      const usage = await window.cc3Storage.getQuotaUsage();
+      if (!usage.nearLimit) {
+        banner.classList.remove('visible');
+        return;
+      }
+
+      const percent = Math.round(Math.max(usage.ratio, usage.items[0]?.ratio || 0) * 100);
+      banner.textContent =
+        usage.fallbackKeys.length > 0
+          ? '⚠️ Some settings are too large to sync and are only saved on this device. Remove unused date colors, time blocks or templates to sync them again.'
+          : `⚠️ Synced settings storage is ${percent}% full. Remove unused date colors, time blocks or templates to avoid losing changes.`;
+      banner.classList.add('visible');
+    } catch (error) {
+      console.warn('Failed to check storage quota:', error);
+    }
+  }
+
+  // Google accounts (Preferences tab): which account the popup edits and what all accounts share
+  async function setupAccountSharing() {
+    const label = qs('accountCurrent');
+    const options = qs('accountSharingOptions');
+    if (!label || !options) return;
+
+    const accounts = await window.cc3Storage.listAccounts();
+    const active = window.cc3Storage.getActiveAccount();
+    const current = accounts.find((account) => account.namespace === active);
+    label.textContent =
+      accounts.length > 1 && current
+        ? `Editing settings for ${current.email || current.id}. Open the popup from another account's calendar tab to edit that account.`
+        : 'Only one Google account has been seen so far - open Google Calendar in another account to give it its own settings.';
+
+    const { sections } = await window.cc3Storage.getAccountSharing();
+    options.innerHTML = '';
+    Object.entries(window.cc3Storage.ACCOUNT_SECTIONS).forEach(([section, { label: sectionLabel }]) => {
+      const row = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = sections.includes(section);
+      checkbox.onchange = async () => {
+        const { sections: currentSections } = await window.cc3Storage.getAccountSharing();
+        const next = checkbox.checked
+          ? [...currentSections, section]
+          : currentSections.filter((s) => s !== section);
+        await window.cc3Storage.setAccountSharing(next);
+        showToast(checkbox.checked ? `${sectionLabel} shared by all accounts` : `${sectionLabel} kept per account`);
+      };
+      row.appendChild(checkbox);
+      row.appendChild(document.createTextNode(` ${sectionLabel}`));
+      options.appendChild(row);
+    });
+  }
+
+  // Settings profiles (switcher bar under the tabs + management in Preferences)
+  function renderProfiles({ activeId, profiles }) {
+    const bar = qs('profileBar');
+    const chips = qs('profileChips');
+    const list = qs('profileList');
+    if (!bar || !chips || !list) return;
+
+    chips.innerHTML = '';
+    profiles.forEach((profile) => {
+      const chip = document.createElement('button');
+      chip.className = profile.id === activeId ? 'profile-chip active' : 'profile-chip';
+      chip.textContent = profile.name;
+      chip.title = profile.id === activeId ? `${profile.name} (active)` : `Switch to ${profile.name}`;
+      chip.onclick = () => switchToProfile(profile);
+      chips.appendChild(chip);
+    });
+    bar.classList.toggle('visible', profiles.length > 0);
+
+    list.innerHTML = '';
+    if (profiles.length === 0) {
+      list.innerHTML = '<div style="font-size: 11px; color: #5f6368">No profiles saved yet.</div>';
+      return;
+    }
+
+    profiles.forEach((profile) => {
+      const row = document.createElement('div');
+      row.className = 'profile-list-item';
+
+      const name = document.createElement('span');
+      name.className = 'profile-name';
+      name.textContent = profile.id === activeId ? `${profile.name} (active)` : profile.name;
+      row.appendChild(name);
+
+      const actions = [
+        ['Update', 'Overwrite with current settings', () => updateProfile(profile)],
+        ['Rename', 'Rename profile', () => renameProfile(profile)],
+        ['Delete', 'Delete profile', () => deleteProfile(profile)],
+      ];
+      actions.forEach(([label, title, handler]) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary';
+        btn.style.cssText = 'padding: 2px 8px; font-size: 11px';
+        btn.textContent = label;
+        btn.title = title;
+        btn.onclick = handler;
+        row.appendChild(btn);
+      });
+
+      list.appendChild(row);
+    });
+  }
+
+  async function switchToProfile(profile) {
+    const result = await window.cc3Storage.switchProfile(profile.id);
+    if (!result?.success) {
+      showToast(result?.error || 'Could not switch profile');
+      return;
+    }
+    // storageChangeListener re-renders the popup from the new settings
+    showToast(`Switched to "${profile.name}"`);
+  }
+
+  async function updateProfile(profile) {
+    if (!confirm(`Overwrite "${profile.name}" with your current settings?`)) return;
+    try {
+      await window.cc3Storage.saveProfile(profile.name, { id: profile.id });
+      showToast(`Updated "${profile.name}"`);
+    } catch (error) {
+      showToast(error.message);
+    }
+  }
+
+  async function renameProfile(profile) {
+    const name = prompt('Profile name:', profile.name);
+    if (name === null) return;
+    try {
+      await window.cc3Storage.renameProfile(profile.id, name);
+    } catch (error) {
+      showToast(error.message);
+    }
+  }
+
+  async function deleteProfile(profile) {
+    if (!confirm(`Delete profile "${profile.name}"? Your current settings are not changed.`)) return;
+    await window.cc3Storage.deleteProfile(profile.id);
+  }
+
+  async function setupSettingsProfiles() {
+    const nameInput = qs('newProfileName');
+    const saveBtn = qs('saveProfileBtn');
+    if (!nameInput || !saveBtn) return;
+
+    const save = async () => {
+      try {
+        const profile = await window.cc3Storage.saveProfile(nameInput.value);
+        nameInput.value = '';
+        showToast(`Saved profile "${profile.name}"`);
+      } catch (error) {
+        showToast(error.message);
+      }
+    };
+    saveBtn.onclick = save;
+    nameInput.onkeydown = (e) => {
+      if (e.key === 'Enter') save();
+    };
+
+    renderProfiles(await window.cc3Storage.listProfiles());
+    profilesUnsubscribe = window.cc3Storage.onProfilesChanged(renderProfiles);
+  }
+
+  // Stale event color cleanup (Preferences tab)
+  function renderCleanupReport(report) {
+    const el = qs('cleanupReport');
+    if (!el) return;
+    if (!report) {
+      el.textContent = 'No cleanup has run yet.';
+      return;
+    }
+
+    const when = new Date(report.ranAt).toLocaleString();
+    const expired = report.removed.filter((r) => r.reason === 'expired').length;
+    const deleted = report.removed.filter((r) => r.reason === 'deleted').length;
+    el.textContent =
+      report.removedCount === 0
+        ? `Last run ${when}: nothing to remove (${report.scanned} colored events checked).`
+        : `Last run ${when}: removed ${report.removedCount} of ${report.scanned} entries` +
+          ` (${expired} past occurrences, ${deleted} deleted events).`;
+  }
+
+  async function setupEventColorCleanup() {
+    const enabled = qs('cleanupEnabled');
+    const retention = qs('cleanupRetentionDays');
+    const verify = qs('cleanupVerifyApi');
+    const runBtn = qs('runCleanupBtn');
+    if (!enabled || !retention || !verify || !runBtn) return;
+
+    const config = settings.eventColoring?.cleanup || {};
+    enabled.checked = config.enabled !== false;
+    retention.value = String(config.retentionDays || 180);
+    verify.checked = !!config.verifyWithCalendarApi;
+
+    enabled.onchange = () => window.cc3Storage.setEventColorCleanupSettings({ enabled: enabled.checked });
+    retention.onchange = () =>
+      window.cc3Storage.setEventColorCleanupSettings({ retentionDays: parseInt(retention.value, 10) });
+    verify.onchange = async () => {
+      if (verify.checked) {
+        // Verification needs read access to Google Calendar
+        const response = await chrome.runtime.sendMessage({ type: 'REQUEST_CALENDAR_OAUTH' });
+        if (!response?.success) {
+          verify.checked = false;
+          showToast('Google Calendar access is needed to check for deleted events');
+          return;
+        }
+      }
+      await window.cc3Storage.setEventColorCleanupSettings({ verifyWithCalendarApi: verify.checked });
+    };
+
+    runBtn.onclick = async () => {
+      runBtn.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'RUN_EVENT_COLORS_CLEANUP' });
+        if (!response?.success) throw new Error(response?.error || 'Cleanup failed');
+        renderCleanupReport(response.report);
+        showToast(response.report.removedCount ? `Removed ${response.report.removedCount} stale colors` : 'Nothing to clean up');
+      } catch (error) {
+        console.error('Event color cleanup failed:', error);
+        showToast('Cleanup failed - please try again');
+      } finally {
+        runBtn.disabled = false;
+      }
+    };
+
+    renderCleanupReport(await window.cc3Storage.getEventColorCleanupReport());
+  }
+
+  // Settings export/import (Preferences tab)
+  function setupSettingsTransfer() {
+    const exportBtn = qs('exportSettingsBtn');
+    const importBtn = qs('importSettingsBtn');
+    const fileInput = qs('importSettingsFile');
+    const preview = qs('importPreview');
+    if (!exportBtn || !importBtn || !fileInput || !preview) return;
+
+    let pendingBundle = null;
+
+    const getMode = () => document.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+
+    const hidePreview = () => {
+      pendingBundle = null;
+      preview.style.display = 'none';
+    };
+
+    const renderPreview = async () => {
+      if (!pendingBundle) return;
+      const result = await window.cc3Storage.previewImport(pendingBundle.bundle, { mode: getMode() });
+
+      qs('importPreviewTitle').textContent = `Changes from ${pendingBundle.fileName}:`;
+      const list = qs('importPreviewList');
+      list.innerHTML = '';
+      const lines = result.valid ? window.cc3Storage.describeImportSummary(result.summary) : result.errors;
+      lines.forEach((line) => {
+        const li = document.createElement('li');
+        li.textContent = line;
+        list.appendChild(li);
+      });
+      qs('importPreviewWarnings').textContent = (result.warnings || []).slice(0, 3).join(' • ');
+      qs('importApplyBtn').disabled = !result.valid;
+      preview.style.display = 'block';
+    };
+
+    exportBtn.onclick = async () => {
+      const bundle = await window.cc3Storage.exportAllData();
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `colorkit-settings-${window.cc3Storage.ymdFromDate(new Date())}.json`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showToast('Settings exported');
+    };
+
+    importBtn.onclick = () => fileInput.click();
+
+    fileInput.onchange = async (event) => {
+      const file = event.target.files[0];
+      event.target.value = '';
+      if (!file) return;
+
+      try {
+        const bundle = JSON.parse(await file.text());
+        pendingBundle = { bundle, fileName: file.name };
+        await renderPreview();
+      } catch (error) {
+        console.error('Error reading settings file:', error);
+        hidePreview();
+        alert("Couldn't read this file. Please choose a ColorKit settings export (.json).");
+      }
+    };
+
+    document.querySelectorAll('input[name="importMode"]').forEach((radio) => {
+      radio.onchange = () => renderPreview();
+    });
+
+    qs('importCancelBtn').onclick = hidePreview;
+
+    qs('importApplyBtn').onclick = async () => {
+      if (!pendingBundle) return;
+      const mode = getMode();
+      if (mode === 'replace' && !confirm('Replace ALL current settings and event colors with this file?')) return;
+
+      const result = await window.cc3Storage.importAllData(pendingBundle.bundle, { mode });
+      if (!result.success) {
+        alert(`❌ Import failed: ${result.error}`);
+        return;
+      }
+
+      hidePreview();
+
+      try {
+        const tabs = await chrome.tabs.query({ url: 'https://calendar.google.com/*' });
+        for (const tab of tabs) {
+          chrome.tabs.sendMessage(tab.id, { type: 'SETTINGS_IMPORTED' }).catch(() => {});
+        }
+      } catch (error) {
+        console.warn('Failed to notify content scripts:', error);
+      }
+
+      showToast('Settings imported');
+      setTimeout(() => window.location.reload(), 600);
+    };
+  }
+
   // Enhanced opacity control helper functions
   function updateOpacityDisplay(dayIndex, opacity) {
     const opacityValue = qs(`opacityValue${dayIndex}`);
@@ -6877,6 +8141,12 @@ Would you like to refresh all Google Calendar tabs?`;
     // Check auth and subscription first
     await checkAuthAndSubscription();
 
+    // Changes made here show up as "Popup" in the audit log
+    window.cc3Storage.setAuditSource('popup');
+
+    // Edit the settings of the Google account in the active calendar tab
+    await window.cc3Storage.useAccountOfActiveTab();
+
     await loadSettings();
     await loadCustomColors();
     updateToggle();
@@ -6887,6 +8157,11 @@ Would you like to refresh all Google Calendar tabs?`;
     updateTimeBlockingSettings();
     updateColorLab();
     setupEventListeners();
+    setupSettingsTransfer();
+    setupEventColorCleanup();
+    setupSettingsProfiles();
+    setupAccountSharing();
+    updateStorageQuotaWarning();
     setupColorLabEventListeners();
     setupDayClickHandlers();
     setupTimeBlockClickHandlers(); // Add time block color picker handlers
@@ -6896,11 +8171,10 @@ Would you like to refresh all Google Calendar tabs?`;
 
     // Listen for storage changes
     // Store listener reference for cleanup on popup close
-    storageChangeListener = (changes, area) => {
-      if (area === 'sync' && changes.settings) {
-        const oldSettings = changes.settings.oldValue || {};
-        const newSettings = changes.settings.newValue || {};
-        settings = newSettings;
+    storageChangeListener = async (changes, area) => {
+      if ((area === 'sync' || area === 'local') && window.cc3Storage.isSettingsChange(changes)) {
+        settings = await window.cc3Storage.getSettings();
+        updateStorageQuotaWarning();
 
         updateToggle();
         updateTimeBlockingToggle();
@@ -6927,6 +8201,10 @@ Would you like to refresh all Google Calendar tabs?`;
       storageChangeListener = null;
       debugLog('Popup closed - storage listener removed');
     }
+    if (profilesUnsubscribe) {
+      profilesUnsubscribe();
+      profilesUnsubscribe = null;
+    }
   });
 
   // Quick Add palette switching - Now handled by the rewritten system above
@@ -9413,7 +10691,7 @@ Would you like to refresh all Google Calendar tabs?`;
   function broadcastEventCalendarColorChange() {
     // Debug: log what we're broadcasting
     console.log('[Popup] Broadcasting calendar colors:', JSON.stringify(eventCalendarColors));
-    chrome.tabs.query({ url: 'https://calendar.google.com/*' }, (tabs) => {
+    queryAccountCalendarTabs().then((tabs) => {
       console.log('[Popup] Found', tabs.length, 'Calendar tabs to notify');
       tabs.forEach((tab) => {
         chrome.tabs.sendMessage(tab.id, {
@@ -0,0 +1,186 @@
+// Day colors outside the week grid: Year and Schedule view painting, datekey decoding and the
+// color each date resolves to, against HTML fixtures of Google Calendar's markup
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers/dom');
+
+const SETTINGS = {
+  weekdayColors: { 6: '#ffeb3b' },
+  weekdayOpacity: { 6: 40 },
+  dateColors: { '2026-01-01': '#f44336' },
+  dateOpacity: { '2026-01-01': 80 },
+  dateColorLabels: { '2026-01-01': "New Year's Day" },
+  dateRanges: [{ id: 'r1', startDate: '2026-01-01', endDate: '2026-01-04', color: '#4caf50', opacity: 50, label: 'Break' }],
+  milestones: [{ id: 'm1', date: '2026-01-05', leadDays: 1, color: '#2196f3', opacity: 60, label: 'Ship' }],
+};
+
+// What each fixture date resolves to; precedence is single date > milestone countdown > range > weekday
+const EXPECTED = {
+  '2026-01-01': { source: 'date', background: 'rgba(244, 67, 54, 0.8)', label: "New Year's Day" },
+  '2026-01-02': { source: 'range', background: 'rgba(76, 175, 80, 0.5)', label: 'Break' },
+  '2026-01-03': { source: 'range', background: 'rgba(76, 175, 80, 0.5)', label: 'Break' },
+  '2026-01-04': { source: 'milestone', background: 'rgba(33, 150, 243, 0.3)', label: '' },
+  '2026-01-05': { source: 'milestone', background: 'rgba(33, 150, 243, 0.6)', label: 'Ship' },
+  '2026-01-10': { source: 'weekday', background: 'rgba(255, 235, 59, 0.4)', label: '' },
+};
+
+const PAINTED = '[data-cc3-extra-view-painted]';
+
+function openPage(fixture, t) {
+  const page = createPage(fixture);
+  page.load('lib/dayColors.js');
+  page.load('features/calendar-coloring/core/yearScheduleColoring.js');
+  t.after(() => {
+    page.window.cc3YearScheduleColoring.teardown();
+    page.window.close();
+  });
+  return page;
+}
+
+const weekdayOf = (ymd) => new Date(`${ymd}T12:00:00`).getDay();
+const resolverFor = (window) => (settings, ymd, weekday) => window.cc3DayColors.resolveDayColor(settings, ymd, weekday);
+const background = (el) => el.style.getPropertyValue('background-color');
+
+test('datekeys decode to the dates Google encodes in them', (t) => {
+  const { window } = openPage('dom/year-view.html', t);
+  const { dateKeyToYmd, elementYmd } = window.cc3YearScheduleColoring;
+
+  assert.equal(dateKeyToYmd(28545), '2025-12-01');
+  assert.equal(dateKeyToYmd('28705'), '2026-01-01');
+  assert.equal(dateKeyToYmd('27741'), '2024-02-29');
+  for (const bad of [0, '28672', '-5', 'abc', null]) assert.equal(dateKeyToYmd(bad), null, String(bad));
+
+  const cells = [...window.document.querySelectorAll('[role="main"] [role="gridcell"]')];
+  assert.deepEqual(cells.map(elementYmd), [...Object.keys(EXPECTED), null, null]);
+});
+
+test('month cells read the datekey on the cell or its header, then fall back to data-date', (t) => {
+  const { window, load } = openPage('dom/month-view.html', t);
+  let feature = null;
+  window.cc3Features = { register: (registered) => (feature = registered) };
+  load('features/calendar-coloring/core/dayColoring.js');
+
+  const ymdOf = (id) => feature.getMonthCellYmd(window.document.getElementById(id));
+  assert.equal(ymdOf('on-cell'), '2026-02-28');
+  assert.equal(ymdOf('on-child'), '2024-02-29');
+  assert.equal(ymdOf('date-only'), '2026-03-01');
+  assert.equal(ymdOf('bad-key'), null);
+  assert.equal(ymdOf('no-date'), null);
+});
+
+test('each date resolves to the highest-precedence color that covers it', (t) => {
+  const { window } = openPage('dom/year-view.html', t);
+  const resolve = (settings, ymd) => window.cc3DayColors.resolveDayColor(settings, ymd, weekdayOf(ymd));
+
+  for (const [ymd, expected] of Object.entries(EXPECTED)) {
+    const info = resolve(SETTINGS, ymd);
+    assert.equal(info.source, expected.source, ymd);
+    assert.equal(info.label, expected.label, ymd);
+  }
+
+  // Peeling off the top layer uncovers the next one
+  const noDates = { ...SETTINGS, dateColors: {} };
+  assert.equal(resolve(noDates, '2026-01-01').source, 'range');
+  const noRanges = { ...noDates, dateRanges: [] };
+  assert.equal(resolve(noRanges, '2026-01-03').source, 'weekday');
+  assert.equal(resolve(noRanges, '2026-01-04').source, 'milestone');
+  assert.equal(resolve({ ...noRanges, milestones: [] }, '2026-01-04').color, undefined);
+});
+
+test('year view paints every day cell in the main area with its resolved color', (t) => {
+  const { window } = openPage('dom/year-view.html', t);
+  const { document } = window;
+  window.cc3YearScheduleColoring.applyExtraViewColors('year', SETTINGS, resolverFor(window));
+
+  const cells = [...document.querySelectorAll('[role="main"] [role="gridcell"]')];
+  const painted = Object.fromEntries(
+    cells.filter((cell) => background(cell)).map((cell) => [window.cc3YearScheduleColoring.elementYmd(cell), cell]),
+  );
+  assert.deepEqual(Object.keys(painted), Object.keys(EXPECTED));
+  for (const [ymd, expected] of Object.entries(EXPECTED)) {
+    assert.equal(background(painted[ymd]), expected.background, ymd);
+    // Year view days are too small for patterns
+    assert.equal(painted[ymd].style.getPropertyValue('background-image'), 'none', ymd);
+  }
+
+  // Labels become titles, but Google's own titles are kept
+  assert.equal(painted['2026-01-01'].title, "New Year's Day");
+  assert.equal(painted['2026-01-10'].title, 'Saturday, January 10');
+  // The sidebar mini-calendar is left to its own painter
+  assert.equal(background(document.querySelector('#drawerMiniMonthNavigator [data-date]')), '');
+
+  window.cc3YearScheduleColoring.teardown();
+  assert.equal(document.querySelectorAll(PAINTED).length, 0);
+  assert.equal(background(painted['2026-01-01']), '');
+  assert.equal(painted['2026-01-01'].title, '');
+  assert.equal(painted['2026-01-10'].title, 'Saturday, January 10');
+});
+
+test('schedule view paints each date group row once', (t) => {
+  const { window } = openPage('dom/schedule-view.html', t);
+  const { document } = window;
+  window.cc3YearScheduleColoring.applyExtraViewColors('agenda', SETTINGS, resolverFor(window));
+
+  const rows = { 'row-jan-1': '2026-01-01', 'row-jan-3': '2026-01-03', 'row-jan-10': '2026-01-10' };
+  for (const [id, ymd] of Object.entries(rows)) {
+    assert.equal(background(document.getElementById(id)), EXPECTED[ymd].background, id);
+  }
+  assert.deepEqual([...document.querySelectorAll(PAINTED)].map((el) => el.id), Object.keys(rows));
+  assert.equal(document.getElementById('row-jan-1').title, "New Year's Day");
+  // Spread into this realm's Array so deepEqual compares contents, not prototypes
+  assert.deepEqual([...window.cc3YearScheduleColoring.getVisibleDates()].sort(), Object.values(rows));
+});
+
+test('month view paints each day square with the shared resolver', async (t) => {
+  const page = createPage('dom/month-grid.html', { url: 'https://calendar.google.com/calendar/u/0/r/month/2026/2/1' });
+  const { window } = page;
+  const { document } = window;
+  page.load('lib/dayColors.js');
+  page.load('features/calendar-coloring/core/monthColoring.js');
+  t.after(() => {
+    window.cc3MonthColoring.teardownMonthPainter();
+    window.close();
+  });
+
+  // Five weeks from Sunday Feb 1; jsdom has no layout, so each square reports its grid slot
+  const grid = document.getElementById('grid');
+  const FEB_1 = 28737;
+  for (let i = 0; i < 35; i++) {
+    const cell = document.createElement('div');
+    cell.className = 'MGaLHf ChfiMc';
+    cell.setAttribute('data-datekey', String(FEB_1 + i));
+    const left = (i % 7) * 100;
+    const top = Math.floor(i / 7) * 100;
+    cell.getBoundingClientRect = () => ({ left, right: left + 100, top, bottom: top + 100 });
+    Object.defineProperty(cell, 'offsetParent', { get: () => document.body });
+    grid.appendChild(cell);
+  }
+
+  const settings = {
+    weekStart: 0,
+    weekdayColors: { 0: '#ffffff', 6: '#ffeb3b' },
+    weekdayOpacity: { 6: 40 },
+    // No stored opacity: a single date is solid, as in every other view
+    dateColors: { '2026-02-14': '#f44336' },
+    dateRanges: [{ id: 'r1', startDate: '2026-02-16', endDate: '2026-02-20', color: '#4caf50', opacity: 50 }],
+  };
+  window.cc3MonthColoring.applyMonthViewColors(settings, resolverFor(window));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  const cellFor = (ymd) => document.querySelector(`[data-datekey="${FEB_1 + Number(ymd.slice(8)) - 1}"]`);
+  const expectedBackground = (ymd) => {
+    const info = window.cc3DayColors.resolveDayColor(settings, ymd, weekdayOf(ymd));
+    const scratch = document.createElement('div');
+    window.cc3DayColors.applyFill(scratch, info.color, info.opacity, info.fill, info.underlay);
+    return background(scratch);
+  };
+
+  for (const ymd of ['2026-02-14', '2026-02-16', '2026-02-20', '2026-02-21']) {
+    assert.equal(background(cellFor(ymd)), expectedBackground(ymd), ymd);
+  }
+  assert.equal(background(cellFor('2026-02-14')), 'rgb(244, 67, 54)');
+  assert.equal(cellFor('2026-02-14').getAttribute('data-gce-date-colored'), '2026-02-14');
+  // Cleared (white) Sundays and uncolored weekdays stay unpainted
+  assert.equal(background(cellFor('2026-02-15')), '');
+  assert.equal(background(cellFor('2026-02-10')), '');
+});
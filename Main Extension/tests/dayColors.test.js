@@ -0,0 +1,145 @@
+// Day color resolvers (lib/dayColors.js): recurring rules, ranges, milestones and week cycles
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/loadScript');
+
+loadScript('lib/dayColors.js');
+const { ruleMatchesDate, findMatchingRule, findMatchingRange, findMilestone, findCycleWeek, resolveDayColor } =
+  self.cc3DayColors;
+
+const rule = (fields) => ({ id: fields.id || 'r', color: '#ffeb3b', enabled: true, ...fields });
+const matching = (r, dates) => dates.filter((ymd) => ruleMatchesDate(r, ymd));
+
+test('nthWeekday rules: nth from the start and last from the end of the month', () => {
+  const firstMonday = rule({ type: 'nthWeekday', weekday: 1, nth: [1] });
+  assert.deepEqual(matching(firstMonday, ['2026-01-05', '2026-01-12', '2026-02-02', '2026-01-06']), [
+    '2026-01-05',
+    '2026-02-02',
+  ]);
+
+  // March 2026 has five Mondays: the 30th is both the 5th and the last, the 23rd neither
+  const lastMonday = rule({ type: 'nthWeekday', weekday: 1, nth: [-1] });
+  assert.deepEqual(matching(lastMonday, ['2026-03-23', '2026-03-30', '2026-02-23']), ['2026-03-30', '2026-02-23']);
+  const fifthMonday = rule({ type: 'nthWeekday', weekday: 1, nth: [5] });
+  assert.deepEqual(matching(fifthMonday, ['2026-03-30', '2026-02-23']), ['2026-03-30']);
+});
+
+test('everyNWeeks and dayOfMonth rules, bounds and disabled rules', () => {
+  const biweekly = rule({ type: 'everyNWeeks', interval: 2, weekdays: [1], startDate: '2026-01-05' });
+  assert.deepEqual(matching(biweekly, ['2025-12-22', '2026-01-05', '2026-01-12', '2026-01-19', '2026-01-20']), [
+    '2026-01-05',
+    '2026-01-19',
+  ]);
+
+  const monthEnd = rule({ type: 'dayOfMonth', days: [-1] });
+  assert.deepEqual(matching(monthEnd, ['2024-02-29', '2026-02-28', '2026-01-31', '2026-01-30']), [
+    '2024-02-29',
+    '2026-02-28',
+    '2026-01-31',
+  ]);
+
+  const payday = rule({ type: 'dayOfMonth', days: [15], startDate: '2026-02-01', endDate: '2026-03-31' });
+  assert.deepEqual(matching(payday, ['2026-01-15', '2026-02-15', '2026-03-15', '2026-04-15']), [
+    '2026-02-15',
+    '2026-03-15',
+  ]);
+  assert.equal(ruleMatchesDate({ ...payday, enabled: false }, '2026-02-15'), false);
+});
+
+test('the highest priority rule wins, ties go to the rule listed first', () => {
+  const everyDay = (id, priority) => rule({ id, type: 'everyNWeeks', interval: 1, startDate: '2026-01-01', priority });
+  assert.equal(findMatchingRule([everyDay('low', 1), everyDay('high', 2)], '2026-01-07').id, 'high');
+  assert.equal(findMatchingRule([everyDay('first', 1), everyDay('second', 1)], '2026-01-07').id, 'first');
+  const uncolored = { ...everyDay('blank', 5), color: '' };
+  assert.equal(findMatchingRule([uncolored, everyDay('colored', 0)], '2026-01-07').id, 'colored');
+  assert.equal(findMatchingRule([everyDay('later', 9)], '2025-12-31'), null);
+});
+
+test('the shortest covering range wins, equal lengths go to the range added last', () => {
+  const range = (id, startDate, endDate, extra = {}) => ({ id, startDate, endDate, color: '#4caf50', ...extra });
+  const vacation = range('vacation', '2026-07-01', '2026-07-31');
+  const conference = range('conference', '2026-07-10', '2026-07-12');
+  assert.equal(findMatchingRange([conference, vacation], '2026-07-11').id, 'conference');
+  assert.equal(findMatchingRange([vacation, conference], '2026-07-11').id, 'conference');
+  assert.equal(findMatchingRange([vacation, conference], '2026-07-09').id, 'vacation');
+
+  const sprintA = range('a', '2026-07-13', '2026-07-17');
+  const sprintB = range('b', '2026-07-15', '2026-07-19');
+  assert.equal(findMatchingRange([sprintA, sprintB], '2026-07-16').id, 'b');
+
+  // 2026-07-11 is a Saturday
+  const workdays = range('workdays', '2026-07-06', '2026-07-17', { weekdaysOnly: true });
+  assert.equal(findMatchingRange([workdays], '2026-07-11'), null);
+  assert.equal(findMatchingRange([workdays], '2026-07-10').id, 'workdays');
+});
+
+test('milestone countdowns ramp up to the deadline day, which alone carries the label', () => {
+  const launch = { id: 'launch', date: '2026-03-10', leadDays: 4, color: '#f44336', opacity: 60, label: 'Launch' };
+  const at = (ymd, milestones = [launch]) => findMilestone(milestones, ymd);
+
+  assert.equal(at('2026-03-05'), null);
+  assert.equal(at('2026-03-11'), null);
+  assert.deepEqual(
+    ['2026-03-06', '2026-03-07', '2026-03-08', '2026-03-09', '2026-03-10'].map((ymd) => at(ymd).opacity),
+    [12, 24, 36, 48, 60],
+  );
+  assert.deepEqual([at('2026-03-09').daysLeft, at('2026-03-09').label], [1, '']);
+  assert.deepEqual([at('2026-03-10').daysLeft, at('2026-03-10').label], [0, 'Launch']);
+
+  // Overlapping windows: the nearest deadline wins, ties go to the milestone listed first
+  const review = { id: 'review', date: '2026-03-12', leadDays: 5, color: '#2196f3' };
+  assert.equal(at('2026-03-09', [review, launch]).milestone.id, 'launch');
+  assert.equal(at('2026-03-11', [review, launch]).milestone.id, 'review');
+  const twin = { ...launch, id: 'twin' };
+  assert.equal(at('2026-03-08', [launch, twin]).milestone.id, 'launch');
+
+  // The faintest step never drops below 5%
+  const faint = { date: '2026-03-20', leadDays: 9, color: '#000000', opacity: 10 };
+  assert.equal(findMilestone([faint], '2026-03-11').opacity, 5);
+});
+
+test('cycle weeks follow the anchor week under a non-Sunday week start', () => {
+  const cycle = {
+    enabled: true,
+    anchorDate: '2026-01-07', // A Wednesday: its Monday-start week is Jan 5-11
+    weeks: [
+      { label: 'Week A', color: '#dbeafe', opacity: 40 },
+      { label: 'Week B', color: '' },
+      { label: 'Week C', color: '#fef3c7' },
+    ],
+  };
+  const MONDAY = 1;
+  const indexOn = (ymd, weekStart = MONDAY) => findCycleWeek(cycle, ymd, weekStart).index;
+
+  const dates = ['2026-01-05', '2026-01-11', '2026-01-12', '2026-01-19', '2026-01-26'];
+  assert.deepEqual(dates.map((ymd) => indexOn(ymd)), [0, 0, 1, 2, 0]);
+  // Weeks before the anchor count backwards through the cycle
+  assert.equal(indexOn('2026-01-04'), 2);
+  assert.equal(indexOn('2025-12-22'), 1);
+  // With a Sunday start the 11th opens the next week instead
+  assert.equal(indexOn('2026-01-11', 0), 1);
+
+  assert.deepEqual(findCycleWeek(cycle, '2026-01-12', MONDAY), { index: 1, label: 'Week B', color: '', opacity: 30 });
+  assert.equal(findCycleWeek({ ...cycle, enabled: false }, '2026-01-12', MONDAY), null);
+});
+
+test('resolveDayColor: date colors default to full opacity and the cycle shows under or instead', () => {
+  const settings = {
+    weekStart: 1,
+    weekdayColors: { 1: '#ffffff', 2: '#e3f2fd' },
+    dateColors: { '2026-01-06': '#f44336' },
+    weekCycle: { enabled: true, anchorDate: '2026-01-05', weeks: [{ color: '#dbeafe', opacity: 40 }, { color: '' }] },
+  };
+
+  const dated = resolveDayColor(settings, '2026-01-06', 2);
+  assert.deepEqual([dated.source, dated.opacity], ['date', 100]);
+  assert.deepEqual(dated.underlay, { color: '#dbeafe', opacity: 40 });
+
+  // A cleared (white) weekday lets the cycle week show on its own
+  const cleared = resolveDayColor(settings, '2026-01-05', 1);
+  assert.deepEqual([cleared.source, cleared.color, cleared.underlay], ['cycle', '#dbeafe', null]);
+
+  // Weeks without a tint leave the weekday color alone
+  const untinted = resolveDayColor(settings, '2026-01-13', 2);
+  assert.deepEqual([untinted.source, untinted.color, untinted.underlay], ['weekday', '#e3f2fd', null]);
+});
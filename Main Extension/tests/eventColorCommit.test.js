@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('./helpers/storage');
+
+// Load storage as a page sees it: not the service worker, with a stubbed background
+function createPageStorage(sendMessage) {
+  globalThis.window = globalThis;
+  globalThis.chrome = { runtime: { sendMessage } };
+  try {
+    return createStorage();
+  } finally {
+    delete globalThis.window;
+  }
+}
+
+test.afterEach(() => {
+  delete globalThis.chrome;
+});
+
+const ops = [{ type: 'set', eventId: 'abc123', record: { hex: '#ff0000', isRecurring: false } }];
+
+test('commits through the background when it accepts', async () => {
+  const sent = [];
+  const { storage, adapter } = createPageStorage(async (message) => {
+    sent.push(message.type);
+    return { success: true, results: ['ok'] };
+  });
+  assert.deepEqual(await storage.commitEventColorOps(ops), ['ok']);
+  assert.deepEqual(sent, ['EVENT_COLORS_COMMIT']);
+  assert.equal(adapter.dump().local['cf.eventColors'], undefined);
+});
+
+test('a rejection from the background is passed up, not re-applied locally', async () => {
+  const { storage, adapter } = createPageStorage(async () => ({ success: false, error: 'quota exceeded' }));
+  await assert.rejects(storage.commitEventColorOps(ops), /quota exceeded/);
+  assert.equal(adapter.dump().local['cf.eventColors'], undefined);
+});
+
+test('falls back to the local queue when there is no receiver', async () => {
+  const { storage, adapter } = createPageStorage(async () => {
+    throw new Error('Could not establish connection. Receiving end does not exist.');
+  });
+  await storage.commitEventColorOps(ops);
+  assert.equal(adapter.dump().local['cf.eventColors'].abc123.hex, '#ff0000');
+});
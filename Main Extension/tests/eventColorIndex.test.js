@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('./helpers/storage');
+
+const EMAIL = 'user@example.com';
+const seriesId = (i) => btoa(`evt${i} ${EMAIL}`);
+const instanceId = (i, day) => btoa(`evt${i}_202601${day}T100000Z ${EMAIL}`);
+
+// 10,000 records: 5,000 recurring series plus one colored instance of each
+function buildColors(prefix = '') {
+  const colors = {};
+  for (let i = 0; i < 5000; i++) {
+    colors[seriesId(prefix + i)] = { hex: '#ff0000', isRecurring: true };
+    colors[instanceId(prefix + i, '05')] = { hex: '#00ff00', isRecurring: false };
+  }
+  return colors;
+}
+
+test('10k-entry lookups resolve instances to their series through the index', (t) => {
+  const { storage } = createStorage();
+  const colors = buildColors();
+  const index = storage.buildEventColorIndex(colors);
+  assert.equal(index.size, 10000);
+
+  const started = performance.now();
+  for (let i = 0; i < 5000; i++) {
+    assert.equal(storage.resolveEventColorId(colors, index, instanceId(i, '12')), seriesId(i));
+    assert.equal(storage.resolveEventColorId(colors, index, instanceId(i, '05')), instanceId(i, '05'));
+  }
+  const elapsed = performance.now() - started;
+  t.diagnostic(`10,000 lookups over 10,000 entries: ${elapsed.toFixed(1)}ms`);
+  // Decoding every stored ID per lookup would take minutes; the index keeps this well under a second
+  assert.ok(elapsed < 1000, `lookups took ${elapsed}ms`);
+});
+
+test('a stored index is reused only for the exact IDs it was built for', () => {
+  const { storage } = createStorage();
+  const colors = buildColors();
+  const index = storage.buildEventColorIndex(colors);
+  assert.equal(storage.ensureEventColorIndex(index, colors), index);
+
+  // Same number of entries, different IDs (import, restore, reset, unqueued write)
+  const replaced = buildColors('x');
+  const rebuilt = storage.ensureEventColorIndex(index, replaced);
+  assert.notEqual(rebuilt, index);
+  assert.equal(storage.resolveEventColorId(replaced, rebuilt, instanceId('x7', '12')), seriesId('x7'));
+
+  // Indexes from before the signature existed are rebuilt too
+  const legacy = { size: 10000, byBaseId: {}, byCalendar: {} };
+  assert.notEqual(storage.ensureEventColorIndex(legacy, colors), legacy);
+});
+
+test('colors swapped outside the queue with the same count are not looked up with the old index', async () => {
+  const { storage, adapter } = createStorage();
+  await storage.saveEventColor(seriesId(1), '#ff0000', true);
+
+  // Another writer replaces the only entry, keeping the count at one
+  await adapter.set('local', { 'cf.eventColors': { [seriesId(2)]: { hex: '#0000ff', isRecurring: true } } });
+
+  const { eventColors, index } = await storage.getIndexedEventColors();
+  assert.equal(storage.resolveEventColorId(eventColors, index, instanceId(2, '12')), seriesId(2));
+  assert.equal(storage.resolveEventColorId(eventColors, index, instanceId(1, '12')), null);
+});
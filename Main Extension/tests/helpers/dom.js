@@ -0,0 +1,24 @@
+// A jsdom page to load extension content scripts into, for the painters that read Google
+// Calendar's DOM. Scripts run in the page's own context, where `self` is `window`.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { EXTENSION_ROOT, readFixture } = require('./loadScript');
+
+/**
+ * @param {string} fixture - HTML fixture under tests/fixtures/
+ * @param {Object} [options] - { url } of the page, for code that reads the calendar route
+ * @returns {{window: Window, load: Function}} load(relativePath) runs an extension script in the page
+ */
+function createPage(fixture, { url } = {}) {
+  const dom = new JSDOM(readFixture(fixture), { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const context = dom.getInternalVMContext();
+  const load = (relativePath) => {
+    const file = path.join(EXTENSION_ROOT, relativePath);
+    new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  };
+  return { window: dom.window, load };
+}
+
+module.exports = { createPage };
@@ -0,0 +1,19 @@
+// Load the extension's classic (non-module) scripts into the test's global scope, the way
+// content scripts and pages see them: each one registers its API on `self` / `window`.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const EXTENSION_ROOT = path.join(__dirname, '..', '..');
+
+function loadScript(relativePath) {
+  globalThis.self = globalThis;
+  const file = path.join(EXTENSION_ROOT, relativePath);
+  vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+}
+
+function readFixture(relativePath) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', relativePath), 'utf8');
+}
+
+module.exports = { EXTENSION_ROOT, loadScript, readFixture };
@@ -0,0 +1,16 @@
+// A fresh cc3Storage on the in-memory adapter, for tests that exercise the real storage code
+const { loadScript } = require('./loadScript');
+
+/**
+ * @param {Object} [initial] - Starting data: { sync: {...}, local: {...} }
+ * @returns {{storage: Object, adapter: Object}} adapter.dump() shows what was written
+ */
+function createStorage(initial = {}) {
+  loadScript('lib/storageAdapters.js');
+  loadScript('lib/storage.js');
+  const adapter = self.cc3StorageAdapters.createMemoryAdapter(initial);
+  self.cc3Storage.setStorageAdapter(adapter);
+  return { storage: self.cc3Storage, adapter };
+}
+
+module.exports = { createStorage };
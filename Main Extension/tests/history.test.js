@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('./helpers/storage');
+
+test('a settings save is in the undo history as soon as it resolves', async () => {
+  const { storage } = createStorage();
+  await storage.saveEventColor('abc123', '#ff0000');
+  assert.equal((await storage.getHistoryState()).undoLabel, 'Event color change');
+
+  await storage.setDateColor('2026-12-25', '#00ff00');
+  assert.equal((await storage.getHistoryState()).undoLabel, 'Date color change');
+});
+
+test('undo right after a settings save reverts that save', async () => {
+  const { storage } = createStorage();
+  await storage.setDateColor('2026-12-25', '#00ff00');
+  const result = await storage.undo();
+  assert.equal(result.success, true);
+  assert.equal((await storage.getSettings()).dateColors['2026-12-25'], undefined);
+});
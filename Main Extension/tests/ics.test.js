@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, readFixture } = require('./helpers/loadScript');
+
+loadScript('lib/ics.js');
+const { parseIcs, toDayColorEntries } = self.cc3Ics;
+
+test('VALARM properties do not leak into their event', () => {
+  const { events } = parseIcs(readFixture('ics/valarm.ics'));
+  assert.equal(events.length, 2);
+  assert.equal(events[0].summary, 'Christmas');
+  assert.equal(events[0].startDate, '2026-12-25');
+  assert.equal(events[0].endDate, '2026-12-25');
+  assert.equal(events[1].summary, 'New Year');
+});
+
+test('an event with an alarm is imported under its own label', () => {
+  const { events } = parseIcs(readFixture('ics/valarm.ics'));
+  const { days } = toDayColorEntries(events, { from: '2026-01-01', to: '2027-12-31' });
+  assert.deepEqual(days, [
+    { date: '2026-12-25', label: 'Christmas' },
+    { date: '2027-01-01', label: 'New Year' },
+  ]);
+});
+
+test('folded lines are joined before parsing', () => {
+  const { calendarName, events } = parseIcs(readFixture('ics/folded.ics'));
+  assert.equal(calendarName, 'Company Holidays');
+  assert.equal(events[0].summary, 'Summer shutdown for all offices, including the warehouse');
+  assert.equal(events[0].startDate, '2026-08-03');
+  assert.equal(events[0].endDate, '2026-08-07');
+});
@@ -0,0 +1,119 @@
+// Schema migrations (lib/migrations.js), step by step against a v0 fixture
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, readFixture } = require('./helpers/loadScript');
+
+loadScript('lib/migrations.js');
+const { migrateSnapshot, runMigrations, CURRENT_SCHEMA_VERSION, SCHEMA_VERSION_KEY } = self.cc3Migrations;
+
+const fixture = () => JSON.parse(readFixture('migrations/v0.json'));
+const migrationsUpTo = (version) => self.cc3Migrations.MIGRATIONS.filter((m) => m.version <= version);
+const applyUpTo = (snapshot, version) => migrationsUpTo(version).reduce((s, m) => m.migrate(s), snapshot);
+
+test('v1 normalizes every event color record to { background, text, border, borderWidth }', () => {
+  const { local } = applyUpTo(fixture(), 1);
+  const colors = local['cf.eventColors'];
+
+  assert.deepEqual(colors['string-record'], {
+    background: '#ff0000',
+    text: null,
+    border: null,
+    borderWidth: null,
+    hex: '#ff0000',
+    isRecurring: false,
+  });
+  assert.deepEqual(colors['hex-record'], {
+    hex: '#00ff00',
+    isRecurring: true,
+    appliedAt: 1700000000000,
+    background: '#00ff00',
+    text: null,
+    border: null,
+    borderWidth: null,
+  });
+  assert.deepEqual(colors['current-record'], fixture().local['cf.eventColors']['current-record']);
+  assert.deepEqual(colors['google-colors'], fixture().local['cf.eventColors']['google-colors']);
+  assert.equal('unusable' in colors, false);
+  assert.equal(local.firstInstall, true);
+});
+
+test('v2 strips retired text coloring keys at every depth', () => {
+  const { settings } = applyUpTo(fixture(), 2).sync;
+  const serialized = JSON.stringify(settings);
+
+  for (const key of ['pendingTextColors', 'textColors', 'completedStyling']) {
+    assert.equal(serialized.includes(`"${key}"`), false, `${key} left behind`);
+  }
+  assert.deepEqual(settings.weekdayColors, { 1: '#e3f2fd' });
+  assert.equal(settings.eventColoring.enabled, true);
+});
+
+test('v3 splits settings into per-subsystem sync keys', () => {
+  const { sync } = applyUpTo(fixture(), 3);
+  const original = fixture().sync.settings;
+
+  assert.deepEqual(sync['settings.dayColoring.dateColors'], original.dateColors);
+  assert.deepEqual(sync['settings.dayColoring.dateOpacity'], original.dateOpacity);
+  assert.deepEqual(sync['settings.timeBlocking.dateSpecificSchedule'], original.timeBlocking.dateSpecificSchedule);
+  assert.deepEqual(sync['settings.timeBlocking'], { enabled: true, weeklySchedule: { mon: [] } });
+  assert.deepEqual(sync['settings.eventColoring.templates'], original.eventColoring.templates);
+  assert.deepEqual(sync['settings.eventColoring.calendarColors'], original.eventColoring.calendarColors);
+  assert.deepEqual(sync['settings.eventColoring'], { enabled: true });
+  assert.equal('settings.dayColoring.dateColorLabels' in sync, false);
+
+  assert.deepEqual(sync.settings, { enabled: true, weekdayColors: { 1: '#e3f2fd' } });
+  assert.deepEqual(sync.customDayColors, ['#ffffff']);
+});
+
+test('migrateSnapshot applies only the steps newer than the stored version', () => {
+  const full = migrateSnapshot(fixture(), 0);
+  assert.deepEqual(full.applied, [1, 2, 3]);
+  assert.equal(full.version, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(full.snapshot, applyUpTo(fixture(), 3));
+
+  const fromV2 = migrateSnapshot(fixture(), 2);
+  assert.deepEqual(fromV2.applied, [3]);
+  assert.deepEqual(fromV2.snapshot.local['cf.eventColors'], fixture().local['cf.eventColors']);
+
+  const current = migrateSnapshot(fixture(), CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(current.applied, []);
+  assert.deepEqual(current.snapshot, fixture());
+});
+
+function stubChromeStorage(initial) {
+  const areas = { sync: { ...initial.sync }, local: { ...initial.local } };
+  let writes = 0;
+  const area = (name) => ({
+    get: (_keys, cb) => cb(JSON.parse(JSON.stringify(areas[name]))),
+    set: (items, cb) => {
+      writes++;
+      Object.assign(areas[name], JSON.parse(JSON.stringify(items)));
+      cb();
+    },
+    remove: (keys, cb) => {
+      writes++;
+      for (const k of keys) delete areas[name][k];
+      cb();
+    },
+  });
+  globalThis.chrome = { runtime: {}, storage: { sync: area('sync'), local: area('local') } };
+  return { areas, writes: () => writes };
+}
+
+test('runMigrations writes the upgrade once and is a no-op on the next start', async () => {
+  const store = stubChromeStorage(fixture());
+
+  const first = await runMigrations();
+  assert.deepEqual(first, { from: 0, to: CURRENT_SCHEMA_VERSION, applied: [1, 2, 3] });
+  assert.equal(store.areas.local[SCHEMA_VERSION_KEY], CURRENT_SCHEMA_VERSION);
+  const expected = migrateSnapshot(fixture(), 0).snapshot;
+  assert.deepEqual(store.areas.sync, expected.sync);
+  assert.deepEqual(store.areas.local, { ...expected.local, [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION });
+
+  const writesAfterFirst = store.writes();
+  const second = await runMigrations();
+  assert.deepEqual(second, { from: CURRENT_SCHEMA_VERSION, to: CURRENT_SCHEMA_VERSION, applied: [] });
+  assert.equal(store.writes(), writesAfterFirst);
+
+  delete globalThis.chrome;
+});
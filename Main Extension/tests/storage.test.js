@@ -0,0 +1,161 @@
+// cc3Storage against the in-memory adapter (lib/storageAdapters.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('./helpers/storage');
+
+const EMAIL = 'user@example.com';
+const seriesId = (base) => btoa(`${base} ${EMAIL}`);
+const instanceId = (base, day) => btoa(`${base}_202601${day}T100000Z ${EMAIL}`);
+const block = (start, end, label) => ({ timeRange: [start, end], color: '#FFEB3B', label });
+
+test('recurring colors: save, find any instance, remove the series', async () => {
+  const { storage, adapter } = createStorage();
+  await storage.saveEventColor(seriesId('standup'), '#ff0000', true);
+  await storage.saveEventColor(instanceId('standup', '07'), '#00ff00', false);
+  await storage.saveEventColor(seriesId('other'), '#0000ff', true);
+
+  assert.equal((await storage.findEventColor(instanceId('standup', '14'))).hex, '#ff0000');
+  assert.equal((await storage.findEventColor(instanceId('standup', '07'))).hex, '#00ff00');
+
+  assert.equal(await storage.removeRecurringEventColors(instanceId('standup', '14')), 2);
+  assert.equal(await storage.findEventColor(instanceId('standup', '14')), null);
+  assert.equal((await storage.findEventColor(instanceId('other', '14'))).hex, '#0000ff');
+  assert.deepEqual(Object.keys(adapter.dump().local['cf.eventColors']), [seriesId('other')]);
+});
+
+test('weekly time blocks: add keeps them sorted, update and remove by index', async () => {
+  const { storage } = createStorage();
+  await storage.addTimeBlock('mon', block('13:00', '14:00', 'Lunch'));
+  await storage.addTimeBlock('mon', block('09:00', '10:00', 'Focus'));
+  let blocks = (await storage.getSettings()).timeBlocking.weeklySchedule.mon;
+  assert.deepEqual(blocks.map((b) => b.label), ['Focus', 'Lunch']);
+
+  await storage.updateTimeBlock('mon', 1, block('08:00', '08:30', 'Early lunch'));
+  blocks = (await storage.getSettings()).timeBlocking.weeklySchedule.mon;
+  assert.deepEqual(blocks.map((b) => b.label), ['Early lunch', 'Focus']);
+
+  await storage.removeTimeBlock('mon', 0);
+  blocks = (await storage.getSettings()).timeBlocking.weeklySchedule.mon;
+  assert.deepEqual(blocks.map((b) => b.label), ['Focus']);
+});
+
+test('date-specific time blocks: the date disappears with its last block', async () => {
+  const { storage } = createStorage();
+  await storage.addDateSpecificTimeBlock('2026-03-02', block('10:00', '11:00', 'Review'));
+  await storage.updateDateSpecificTimeBlock('2026-03-02', 0, block('10:00', '12:00', 'Long review'));
+  assert.equal((await storage.getSettings()).timeBlocking.dateSpecificSchedule['2026-03-02'][0].label, 'Long review');
+
+  await storage.removeDateSpecificTimeBlock('2026-03-02', 0);
+  assert.equal('2026-03-02' in (await storage.getSettings()).timeBlocking.dateSpecificSchedule, false);
+});
+
+test('performCompleteReset clears colors and history and restores default settings', async () => {
+  const { storage, adapter } = createStorage();
+  await storage.setDateColor('2026-12-25', '#ff0000');
+  await storage.addTimeBlock('tue', block('09:00', '10:00', 'Focus'));
+  await storage.saveEventColor(seriesId('standup'), '#ff0000', true);
+
+  const result = await storage.performCompleteReset();
+  assert.equal(result.success, true);
+
+  const settings = await storage.getSettings();
+  assert.deepEqual(settings.dateColors, {});
+  assert.deepEqual(settings.timeBlocking.weeklySchedule.tue, []);
+  const local = adapter.dump().local;
+  for (const key of ['cf.eventColors', 'cf.eventColorIndex', 'cf.history']) assert.equal(key in local, false, key);
+  // The way back from the reset is kept
+  assert.ok(local['cf.backups']?.length > 0);
+});
+
+test('milestones only remove the deadline color they added', async () => {
+  const { storage } = createStorage();
+  // The user colored this day themselves, in the same color the milestone uses
+  await storage.setDateColor('2026-03-10', '#ff5722');
+  await storage.setMilestone({ id: 'm1', date: '2026-03-10', color: '#ff5722', label: 'Launch' });
+  await storage.setMilestone({ id: 'm2', date: '2026-03-20', color: '#ff5722', label: 'Review' });
+
+  let settings = await storage.getSettings();
+  assert.deepEqual(settings.dateColorOwners, { '2026-03-20': 'milestone:m2' });
+
+  await storage.deleteMilestone('m1');
+  await storage.deleteMilestone('m2');
+  settings = await storage.getSettings();
+  assert.deepEqual(settings.dateColors, { '2026-03-10': '#ff5722' });
+  assert.deepEqual(settings.dateColorOwners, {});
+});
+
+test('calendar imports only remove dates they still own', async () => {
+  const { storage } = createStorage();
+  const options = { importId: 'holidays', name: 'Holidays', color: '#4caf50' };
+  await storage.setDateColor('2026-01-01', '#4caf50');
+  const first = await storage.importDateColors(
+    { days: [{ date: '2026-01-01' }, { date: '2026-05-01' }, { date: '2026-12-25' }] },
+    options,
+  );
+  assert.deepEqual([first.added, first.skipped], [2, 1]);
+
+  // Taken over by hand, still in the import's color
+  await storage.setDateColor('2026-12-25', '#4caf50');
+  let settings = await storage.getSettings();
+  assert.deepEqual(settings.dateColorOwners, { '2026-05-01': 'import:holidays' });
+
+  await storage.removeDateColorImport('holidays');
+  settings = await storage.getSettings();
+  assert.deepEqual(settings.dateColors, { '2026-01-01': '#4caf50', '2026-12-25': '#4caf50' });
+  assert.deepEqual(settings.dateColorOwners, {});
+  assert.deepEqual(settings.icsImports, {});
+});
+
+test('sharded settings survive a round trip through storage', async () => {
+  const { storage, adapter } = createStorage();
+  // Enough date colors that they can't share one sync item with the rest of the settings
+  for (let day = 1; day <= 28; day++) {
+    const date = `2026-02-${String(day).padStart(2, '0')}`;
+    await storage.setDateColor(date, '#123456');
+    await storage.setDateColorLabel(date, `Label for ${date} `.repeat(8));
+  }
+  await storage.setDateRange({ startDate: '2026-07-01', endDate: '2026-07-14', color: '#00ff00', label: 'Vacation' });
+  await storage.addTimeBlock('wed', block('09:00', '10:00', 'Focus'));
+  await storage.setWeekStart(1);
+  const saved = await storage.getSettings();
+
+  const stored = adapter.dump();
+  const shards = Object.keys(stored.sync).filter((key) => key.startsWith('settings'));
+  assert.ok(shards.length > 1, 'settings are split across keys');
+  for (const key of shards) {
+    const bytes = new TextEncoder().encode(key + JSON.stringify(stored.sync[key])).length;
+    assert.ok(bytes <= 8192, `${key} is ${bytes} bytes`);
+  }
+
+  // A new context reading the same storage sees identical settings
+  const { storage: reloaded } = createStorage(stored);
+  assert.deepEqual(await reloaded.getSettings(), saved);
+});
+
+test('import previews list date ranges, rules, milestones and view options', async () => {
+  const { storage: source } = createStorage();
+  await source.setDateRange({ id: 'r1', startDate: '2026-07-01', endDate: '2026-07-14', color: '#00ff00' });
+  await source.setMilestone({ id: 'm1', date: '2026-09-01', color: '#ff0000' });
+  await source.setSettings({ weekNumbers: { enabled: true } });
+  const bundle = await source.exportAllData();
+
+  const { storage } = createStorage();
+  await storage.setDateRange({ id: 'r0', startDate: '2026-03-01', endDate: '2026-03-02', color: '#0000ff' });
+  await storage.setDayColorRule({ id: 'rule1', type: 'weekday', weekdays: [1], color: '#ffeb3b' });
+
+  const { summary } = await storage.previewImport(bundle, { mode: 'replace' });
+  const sections = Object.fromEntries(summary.sections.map((s) => [s.path, s]));
+  assert.deepEqual(
+    [sections.dateRanges, sections.dayColorRules, sections.milestones].map(({ added, removed }) => [added, removed]),
+    [
+      [1, 1],
+      [0, 1],
+      [1, 0],
+    ],
+  );
+  assert.equal(sections.weekNumbers.updated, 1);
+  const lines = storage.describeImportSummary(summary);
+  for (const line of ['Date ranges: 1 added, 1 removed', 'Day color rules: 1 removed', 'Milestones: 1 added']) {
+    assert.ok(lines.includes(line), line);
+  }
+});
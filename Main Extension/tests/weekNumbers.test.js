@@ -0,0 +1,102 @@
+// Week numbering (lib/weekNumbers.js): ISO, US and 52/53-week fiscal calendars
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/loadScript');
+
+loadScript('lib/weekNumbers.js');
+const { isoWeek, usWeek, fiscalWeek, weekLabel, periodBoundary } = self.cc3WeekNumbers;
+
+const SUNDAY = 0;
+// FY named after the year it ends in: FY2026 starts on the Sunday nearest to 2025-10-01
+const OCTOBER_445 = { startMonth: 10, alignment: 'nearest', pattern: '445' };
+
+test('ISO weeks: week 1 holds the first Thursday, so year ends can spill either way', () => {
+  const cases = {
+    '2025-12-29': [2026, 1], // Monday before a Thursday New Year belongs to the new year
+    '2026-01-01': [2026, 1],
+    '2024-12-29': [2024, 52],
+    '2024-12-30': [2025, 1],
+    '2020-12-31': [2020, 53],
+    '2021-01-01': [2020, 53], // Friday New Year stays in the old year's week 53
+    '2021-01-04': [2021, 1],
+    '2026-12-31': [2026, 53], // Years starting on Thursday have 53 weeks
+    '2027-01-03': [2026, 53],
+    '2027-01-04': [2027, 1],
+  };
+  for (const [ymd, [year, week]] of Object.entries(cases)) {
+    assert.deepEqual(isoWeek(ymd), { year, week }, ymd);
+  }
+  assert.equal(isoWeek('2026-1-1'), null);
+});
+
+test('US weeks: Sunday start, week 1 is the week holding January 1', () => {
+  const cases = {
+    '2022-01-01': [2022, 1], // Saturday New Year: a one-day week 1
+    '2022-01-02': [2022, 2],
+    '2025-12-27': [2025, 52],
+    '2025-12-28': [2026, 1], // Late December Sunday already starts next year's week 1
+    '2026-01-03': [2026, 1],
+    '2026-01-04': [2026, 2],
+  };
+  for (const [ymd, [year, week]] of Object.entries(cases)) {
+    assert.deepEqual(usWeek(ymd), { year, week }, ymd);
+  }
+});
+
+test('fiscal year starting in October with 4-4-5 periods', () => {
+  const at = (ymd) => fiscalWeek(ymd, OCTOBER_445, SUNDAY);
+
+  // 2025-10-01 is a Wednesday, so FY2026 starts on the Sunday before; FY2027 on the Sunday after 2026-10-01
+  const lastDay = at('2025-09-27');
+  assert.deepEqual([lastDay.fiscalYear, lastDay.week, lastDay.weeksInYear, lastDay.period], [2025, 52, 52, 12]);
+  assert.deepEqual(at('2025-09-28'), {
+    fiscalYear: 2026,
+    week: 1,
+    weeksInYear: 53,
+    period: 1,
+    quarter: 1,
+    periodStart: true,
+    yearStart: true,
+  });
+
+  // Period starts: weeks 1, 5, 9 (the 5-week period), then quarter 2 at week 14 ... period 12 at week 48
+  const starts = { '2025-10-26': [5, 2], '2025-11-23': [9, 3], '2025-12-28': [14, 4], '2026-08-23': [48, 12] };
+  for (const [ymd, [week, period]] of Object.entries(starts)) {
+    const info = at(ymd);
+    assert.deepEqual([info.week, info.period, info.periodStart], [week, period, true], ymd);
+  }
+  assert.equal(at('2025-10-25').period, 1);
+  assert.equal(at('2025-10-27').periodStart, false);
+  assert.equal(at('2025-12-28').quarter, 2);
+
+  // The 53rd week joins period 12, and the next day starts FY2027
+  assert.deepEqual([at('2026-10-03').week, at('2026-10-03').period], [53, 12]);
+  assert.deepEqual([at('2026-10-04').fiscalYear, at('2026-10-04').week, at('2026-10-04').yearStart], [2027, 1, true]);
+  assert.equal(at('2026-10-04').weeksInYear, 52);
+});
+
+test('fiscal alignment and pattern options', () => {
+  // 'first' waits for the first week start on or after 2025-10-01
+  const first = { ...OCTOBER_445, alignment: 'first' };
+  assert.equal(fiscalWeek('2025-10-04', first, SUNDAY).fiscalYear, 2025);
+  assert.equal(fiscalWeek('2025-10-05', first, SUNDAY).yearStart, true);
+
+  // 5-4-4 moves the second period start a week later
+  const info = fiscalWeek('2025-11-02', { ...OCTOBER_445, pattern: '544' }, SUNDAY);
+  assert.deepEqual([info.week, info.period, info.periodStart], [6, 2, true]);
+});
+
+test('labels and period boundaries for the overlay', () => {
+  assert.deepEqual(weekLabel('2021-01-01', { system: 'iso' }), { text: 'W53', title: 'ISO week 53, 2020' });
+  assert.deepEqual(weekLabel('2025-12-28', { system: 'us' }), { text: 'W1', title: 'Week 1, 2026' });
+  assert.deepEqual(weekLabel('2025-10-26', { system: 'fiscal', fiscal: OCTOBER_445 }, SUNDAY), {
+    text: 'FW5',
+    title: 'FY2026 week 5 of 53 · Period 2 · Q1',
+  });
+
+  const config = { system: 'fiscal', highlightPeriods: true, fiscal: OCTOBER_445 };
+  assert.deepEqual(periodBoundary('2026-10-04', config, SUNDAY), { label: 'FY2027 begins', yearStart: true });
+  assert.deepEqual(periodBoundary('2025-10-26', config, SUNDAY), { label: 'Period 2 begins', yearStart: false });
+  assert.equal(periodBoundary('2025-10-27', config, SUNDAY), null);
+  assert.equal(periodBoundary('2025-10-26', { ...config, highlightPeriods: false }, SUNDAY), null);
+});